@@ -1,27 +1,70 @@
-import React, { useState } from 'react';
-import { Line } from 'react-chartjs-2';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import {
   Chart as ChartJS,
   CategoryScale,
   LinearScale,
+  LogarithmicScale,
   PointElement,
   LineElement,
+  BarElement,
+  Filler,
   Title,
   Tooltip,
   Legend
 } from 'chart.js';
+import zoomPlugin from 'chartjs-plugin-zoom';
 
-import katex from 'katex';
-import 'katex/dist/katex.min.css';
-
-function KatexFormula({ tex, displayMode = true }) {
-  const html = katex.renderToString(tex, {
-    throwOnError: false,
-    displayMode,
-  });
-
-  return <div dangerouslySetInnerHTML={{ __html: html }} />;
-}
+import { TASKS } from './tasks';
+import { buildCustomTask } from './tasks/custom';
+import { applyInputs, defaultInputs } from './tasks/schema';
+import KatexFormula from './components/KatexFormula';
+import CustomProblemEditor from './components/CustomProblemEditor';
+import ParameterEditor, { FieldGroup } from './components/ParameterEditor';
+import { SOLVER_SETTINGS_SCHEMA, parseSolverSettings } from './solverSettings';
+import { sweepSettingsSchema, defaultSweepSettings, parseSweepSettings, paramLabel } from './sweepSettings';
+import { CHAOS_SETTINGS_SCHEMA, parseChaosSettings } from './chaosSettings';
+import { bvpSettingsSchema, defaultBvpSettings, parseBvpSettings } from './bvpSettings';
+import { UNCERTAINTY_SETTINGS_SCHEMA, parseUncertaintySettings } from './uncertaintySettings';
+import ConvergenceStudy from './components/ConvergenceStudy';
+import SolverStatistics from './components/SolverStatistics';
+import SolutionPlots from './components/SolutionPlots';
+import SweepDiagram from './components/SweepDiagram';
+import ChaosAnalysis from './components/ChaosAnalysis';
+import EventEditor from './components/EventEditor';
+import EventTable from './components/EventTable';
+import RunHistory from './components/RunHistory';
+import InvariantDrift from './components/InvariantDrift';
+import VerificationReport from './components/VerificationReport';
+import BoundaryValueSolution from './components/BoundaryValueSolution';
+import MeasurementImport from './components/MeasurementImport';
+import QuantitySelector from './components/QuantitySelector';
+import SensitivityReport from './components/SensitivityReport';
+import FitReport from './components/FitReport';
+import UncertaintyEditor from './components/UncertaintyEditor';
+import UncertaintyReport from './components/UncertaintyReport';
+import { fittableQuantities } from './analysis/fitting';
+import { sensitivityQuantities } from './analysis/sensitivity';
+import { VERIFICATION_PROBLEMS } from './analysis/verification';
+import { validateEvents } from './tasks/events';
+import { decodeSession, defaultSessionConfig, encodeSession } from './session';
+import {
+  addToHistory,
+  createHistoryEntry,
+  loadHistory,
+  removeFromHistory,
+  renameInHistory,
+  storeHistory
+} from './runHistory';
+import { useSolverWorker } from './worker/useSolverWorker';
+import { listMethods, REFERENCE_METHOD } from './solver';
+import {
+  buildMetadata,
+  comparisonRows,
+  comparisonToCsv,
+  downloadFile,
+  solutionsToCsv,
+  solutionsToJson
+} from './export';
 
 function validateNumber(input) {
     const regex = /^\d*\.?\d{0,3}$/;
@@ -31,351 +74,299 @@ function validateNumber(input) {
     return true;
 }
 
+// Подписи и цвета методов — из реестра решателей
+const METHOD_LABELS = Object.fromEntries(listMethods().map(entry => [entry.name, entry.label]));
+const METHOD_COLORS = Object.fromEntries(listMethods().map(entry => [entry.name, entry.color]));
+
 ChartJS.register(
   CategoryScale,
   LinearScale,
+  LogarithmicScale,
   PointElement,
   LineElement,
+  BarElement,
+  Filler,
   Title,
   Tooltip,
-  Legend
+  Legend,
+  zoomPlugin
 );
 
-// Конфиг задач
-const TASKS = {
-  beam: {
-    title: "Решение задачи о движении планки",
-    equation: {
-      main: `m \\cdot x'''(t) + k \\cdot x'(t) + c \\cdot x^3(t) = F_0 \\cdot \\cos(\\omega t)`,
-      params: (params) => `\\text{где } m = ${params.m},\\ k = ${params.k},\\ c = ${params.c},\\ F_0 = ${params.F0},\\ \\omega = ${params.omega.toFixed(2)}`
-    },
-    initialConditions: (ic) => `x(0) = ${ic.x},\\quad x'(0) = ${ic.v},\\quad x''(0) = ${ic.a}`,
-    params: {
-      m: 1,
-      k: 0.2,
-      c: 4,
-      F0: 1,
-      omega: 2 * Math.PI
-    },
-    initialConditionsValues: {
-      x: 0.5,
-      v: 0,
-      a: -1
-    },
-    yLabel: 'Отклонение, м',
-    solutionLabel: 'Отклонение'
-  },
-  gyroscope: {
-    title: "Решение задачи о движении гироскопа с задержкой реакции",
-    equation: {
-      main: `m \\cdot \\theta'''(t) + \\alpha \\cdot \\theta''(t) + \\beta \\cdot \\sin(\\theta(t)) = 0`,
-      params: (params) => `\\text{где } m = ${params.m},\\ \\alpha = ${params.alpha},\\ \\beta = ${params.beta}`
-    },
-    initialConditions: (ic) => `\\theta(0) = ${ic.x},\\quad \\theta'(0) = ${ic.v},\\quad \\theta''(0) = ${ic.a}`,
-    params: {
-      m: 3,
-      alpha: 1.2,
-      beta: 9.8
-    },
-    initialConditionsValues: {
-      x: 0.1,
-      v: 0,
-      a: -1
-    },
-    yLabel: 'Угловое отклонение, рад',
-    solutionLabel: 'Угловое отклонение'
-  }
-};
-
 const BeamSolver = () => {
-  const [currentTask, setCurrentTask] = useState('beam');
-  const taskConfig = TASKS[currentTask];
+  // Конфигурация из адреса страницы (ссылка на расчёт) или значения по умолчанию
+  const [initialSession] = useState(() => decodeSession(window.location.search) ?? defaultSessionConfig());
+  const [currentTask, setCurrentTask] = useState(initialSession.task);
+  const [customProblem, setCustomProblem] = useState(initialSession.customProblem);
+  const [taskInputs, setTaskInputs] = useState(() => ({
+    ...Object.fromEntries(Object.entries(TASKS).map(([name, task]) => [name, defaultInputs(task)])),
+    ...(initialSession.task in TASKS ? { [initialSession.task]: initialSession.inputs } : {})
+  }));
+  const taskConfig = useMemo(() => (
+    currentTask === 'custom'
+      ? buildCustomTask(customProblem)
+      : applyInputs(TASKS[currentTask], taskInputs[currentTask])
+  ), [currentTask, customProblem, taskInputs]);
+  const taskErrors = taskConfig.errors;
+
+  const updateTaskInput = (group, name, value) => {
+    setTaskInputs(prev => ({
+      ...prev,
+      [currentTask]: {
+        ...prev[currentTask],
+        [group]: { ...prev[currentTask][group], [name]: value }
+      }
+    }));
+  };
+
+  const resetTaskInputs = () => {
+    setTaskInputs(prev => ({ ...prev, [currentTask]: defaultInputs(TASKS[currentTask]) }));
+  };
 
   // Состояния компонента
-  const [stepSize, setStepSize] = useState(0.01);
-  const [endTime, setEndTime] = useState(1);
-  const [method, setMethod] = useState('rkf');
+  const [stepSize, setStepSize] = useState(initialSession.stepSize);
+  const [endTime, setEndTime] = useState(initialSession.endTime);
+  const [outputStep, setOutputStep] = useState(initialSession.outputStep);
+  const [method, setMethod] = useState(initialSession.method);
   const [result, setResult] = useState(null);
-  const [chartData, setChartData] = useState(null);
   const [isCalculating, setIsCalculating] = useState(false);
   const [comparisonResults, setComparisonResults] = useState(null);
   const [displayedEndTime, setDisplayedEndTime] = useState(endTime);
-  const [allSolutions, setAllSolutions] = useState({
-    rkf: null,
-    dp: null,
-    euler: null
-  });
-
-  // Функция правой части дифференциального уравнения
-  const f = (t, x, v, a) => {
-    if (currentTask === 'beam') {
-      return (taskConfig.params.F0 * Math.cos(taskConfig.params.omega * t) - 
-              taskConfig.params.k * v - 
-              taskConfig.params.c * Math.pow(x, 3));
-    } else { // Вторая задача
-      return (-taskConfig.params.alpha * a - 
-              taskConfig.params.beta * Math.sin(x)) / taskConfig.params.m;
-    }
-  };
+  // Решения по методам: { [имя метода]: [{ t, x, v, a }] }
+  const [allSolutions, setAllSolutions] = useState({});
+  const [progress, setProgress] = useState(null);
+  const [isAborted, setIsAborted] = useState(false);
+  const [mode, setMode] = useState(initialSession.mode);
+  const [levels, setLevels] = useState(initialSession.levels);
+  const [convergenceResult, setConvergenceResult] = useState(null);
+  const [solverStats, setSolverStats] = useState(null);
+  const [solverSettings, setSolverSettings] = useState(initialSession.solverSettings);
+  const parsedSolverSettings = useMemo(() => parseSolverSettings(solverSettings), [solverSettings]);
+  // Развёртка по параметру доступна задачам с периодической внешней силой
+  const [sweepSettings, setSweepSettings] = useState(initialSession.sweepSettings);
+  const parsedSweepSettings = useMemo(() => (
+    taskConfig.forcingPeriod ? parseSweepSettings(taskConfig, sweepSettings) : null
+  ), [taskConfig, sweepSettings]);
+  const [sweepResult, setSweepResult] = useState(null);
+  const [chaosSettings, setChaosSettings] = useState(initialSession.chaosSettings);
+  const parsedChaosSettings = useMemo(() => parseChaosSettings(chaosSettings), [chaosSettings]);
+  const [chaosResult, setChaosResult] = useState(null);
+  // События g(t, x, x', ...) = 0, отслеживаемые при решении
+  const [eventSpecs, setEventSpecs] = useState(initialSession.events);
+  const eventErrors = useMemo(() => validateEvents(eventSpecs, taskConfig), [eventSpecs, taskConfig]);
+  // Найденные события по методам: { [имя метода]: { events, stoppedAt } }
+  const [solverEvents, setSolverEvents] = useState({});
+  // Баланс задачи вдоль решения по методам: { [имя метода]: [{ t, value }] }
+  const [invariants, setInvariants] = useState({});
+  // Проверка по точному решению: тестовая задача и результат
+  const [verificationProblem, setVerificationProblem] = useState(initialSession.verificationProblem);
+  const [verificationResult, setVerificationResult] = useState(null);
+  // Краевая задача: какие начальные значения неизвестны и условия при t = T
+  const taskOrder = taskConfig.initialState(taskConfig.initialConditionsValues).length;
+  const [bvpSettings, setBvpSettings] = useState(initialSession.bvpSettings);
+  const parsedBvpSettings = useMemo(() => parseBvpSettings(taskOrder, bvpSettings), [taskOrder, bvpSettings]);
+  const [shootingResult, setShootingResult] = useState(null);
+  // Измерения из CSV ({ name, points }) и подбор параметров по ним
+  const [measurements, setMeasurements] = useState(null);
+  const [fitted, setFitted] = useState(initialSession.fitted);
+  const [fitResult, setFitResult] = useState(null);
+  // Величины для анализа чувствительности (ключи вида "params.k") и результат
+  const [sensitivity, setSensitivity] = useState(initialSession.sensitivity);
+  const [sensitivityResult, setSensitivityResult] = useState(null);
+  // Монте-Карло: число реализаций, зерно и распределения величин ({ "params.k": { kind, width } })
+  const [uncertaintySettings, setUncertaintySettings] = useState(initialSession.uncertaintySettings);
+  const [distributions, setDistributions] = useState(initialSession.distributions);
+  const parsedUncertaintySettings = useMemo(() => (
+    parseUncertaintySettings(uncertaintySettings, distributions, fittableQuantities(taskConfig))
+  ), [uncertaintySettings, distributions, taskConfig]);
+  const [uncertaintyResult, setUncertaintyResult] = useState(null);
+  // Задание последнего запуска — для описания расчёта в экспортируемых файлах
+  // и конфигурация сеанса, с которой он запущен, — для истории
+  const [lastRun, setLastRun] = useState(null);
+  const [history, setHistory] = useState(() => loadHistory());
+  const [runName, setRunName] = useState('');
+  const partialRef = useRef(null);
+  const { start: startWorker, stop: stopWorker } = useSolverWorker();
 
-  // Модифицированный метод Эйлера
-  const solveModifiedEuler = (h, tEnd) => {
-    const solution = [];
-    let t = 0;
-    let x = taskConfig.initialConditionsValues.x;
-    let v = taskConfig.initialConditionsValues.v;
-    let a = taskConfig.initialConditionsValues.a;
-    
-    solution.push({ t, x, v, a });
-
-    while (t <= tEnd) {
-      // прогноз
-      const a1 = f(t, x, v, a);
-      const v1 = v + h * a;
-      const x1 = x + h * v;
-
-      // коррекция
-      const a2 = f(t + h, x1, v1, a1);
-      const vNew = v + h * (a + a2) / 2;
-      const xNew = x + h * (v + v1) / 2;
-
-      t += h;
-      x = xNew;
-      v = vNew;
-      a = (a1 + a2) / 2;
-      
-      solution.push({ t, x, v, a });
-    }
-    
-    return solution;
-  };
-
-  // Метод Рунге-Кутты-Фельдберга
-  const solveRKF = (hInit, tEnd, tol = 1e-6) => {
-    const solution = [];
-    let t = 0;
-    let x = taskConfig.initialConditionsValues.x;
-    let v = taskConfig.initialConditionsValues.v;
-    let a = taskConfig.initialConditionsValues.a;
-    
-    let h = hInit;
-    const hMin = 1e-6;
-    const hMax = 0.5;
-
-    solution.push({ t, x, v, a });
-
-    while (t < tEnd) {
-      if (t + h > tEnd) h = tEnd - t;
-
-      // Коэффициенты для RKF45
-      const k1 = h * v;
-      const l1 = h * a;
-      const m1 = h * f(t, x, v, a);
-
-      const k2 = h * (v + l1 / 4);
-      const l2 = h * (a + m1 / 4);
-      const m2 = h * f(t + h / 4, x + k1 / 4, v + l1 / 4, a + m1 / 4);
-
-      const k3 = h * (v + (3 * l1 + 9 * l2) / 32);
-      const l3 = h * (a + (3 * m1 + 9 * m2) / 32);
-      const m3 = h * f(t + (3 * h) / 8, x + (3 * k1 + 9 * k2) / 32, v + (3 * l1 + 9 * l2) / 32, a + (3 * m1 + 9 * m2) / 32);
-
-      const k4 = h * (v + (1932 * l1 - 7200 * l2 + 7296 * l3) / 2197);
-      const l4 = h * (a + (1932 * m1 - 7200 * m2 + 7296 * m3) / 2197);
-      const m4 = h * f(
-        t + (12 * h) / 13,
-        x + (1932 * k1 - 7200 * k2 + 7296 * k3) / 2197,
-        v + (1932 * l1 - 7200 * l2 + 7296 * l3) / 2197,
-        a + (1932 * m1 - 7200 * m2 + 7296 * m3) / 2197
-      );
+  // Текущая конфигурация сеанса (см. session) синхронизируется с адресом страницы
+  const session = useMemo(() => ({
+    task: currentTask,
+    // У пользовательской задачи нет полей параметров по схеме — в адрес они не попадают
+    inputs: currentTask === 'custom' ? defaultInputs(TASKS.beam) : taskInputs[currentTask],
+    customProblem,
+    mode,
+    method,
+    stepSize,
+    endTime,
+    outputStep,
+    levels,
+    solverSettings,
+    sweepSettings,
+    chaosSettings,
+    events: eventSpecs,
+    verificationProblem,
+    bvpSettings,
+    fitted,
+    sensitivity,
+    uncertaintySettings,
+    distributions
+  }), [currentTask, taskInputs, customProblem, mode, method, stepSize, endTime, outputStep, levels,
+    solverSettings, sweepSettings, chaosSettings, eventSpecs, verificationProblem, bvpSettings, fitted, sensitivity,
+    uncertaintySettings, distributions]);
 
-      const k5 = h * (v + (439 * l1) / 216 - 8 * l2 + (3680 * l3) / 513 - (845 * l4) / 4104);
-      const l5 = h * (a + (439 * m1) / 216 - 8 * m2 + (3680 * m3) / 513 - (845 * m4) / 4104);
-      const m5 = h * f(
-        t + h,
-        x + (439 * k1) / 216 - 8 * k2 + (3680 * k3) / 513 - (845 * k4) / 4104,
-        v + (439 * l1) / 216 - 8 * l2 + (3680 * l3) / 513 - (845 * l4) / 4104,
-        a + (439 * m1) / 216 - 8 * m2 + (3680 * m3) / 513 - (845 * m4) / 4104
-      );
+  useEffect(() => {
+    const query = encodeSession(session);
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+  }, [session]);
 
-      const k6 = h * (v - (8 * l1) / 27 + 2 * l2 - (3544 * l3) / 2565 + (1859 * l4) / 4104 - (11 * l5) / 40);
-      const l6 = h * (a - (8 * m1) / 27 + 2 * m2 - (3544 * m3) / 2565 + (1859 * m4) / 4104 - (11 * m5) / 40);
-      const m6 = h * f(
-        t + h / 2,
-        x - (8 * k1) / 27 + 2 * k2 - (3544 * k3) / 2565 + (1859 * k4) / 4104 - (11 * k5) / 40,
-        v - (8 * l1) / 27 + 2 * l2 - (3544 * l3) / 2565 + (1859 * l4) / 4104 - (11 * l5) / 40,
-        a - (8 * m1) / 27 + 2 * m2 - (3544 * m3) / 2565 + (1859 * m4) / 4104 - (11 * m5) / 40
+  const handleCopyLink = () => {
+    const url = window.location.href;
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(url).then(
+        () => alert('Ссылка на расчёт скопирована'),
+        () => window.prompt('Ссылка на расчёт:', url)
       );
+    } else {
+      window.prompt('Ссылка на расчёт:', url);
+    }
+  };
 
-      // 4-го порядка
-      const x4 = x + (25 * k1) / 216 + (1408 * k3) / 2565 + (2197 * k4) / 4104 - (k5) / 5;
-      const v4 = v + (25 * l1) / 216 + (1408 * l3) / 2565 + (2197 * l4) / 4104 - (l5) / 5;
-      const a4 = a + (25 * m1) / 216 + (1408 * m3) / 2565 + (2197 * m4) / 4104 - (m5) / 5;
-
-      // 5-го порядка
-      const x5 = x + (16 * k1) / 135 + (6656 * k3) / 12825 + (28561 * k4) / 56430 - (9 * k5) / 50 + (2 * k6) / 55;
-      const v5 = v + (16 * l1) / 135 + (6656 * l3) / 12825 + (28561 * l4) / 56430 - (9 * l5) / 50 + (2 * l6) / 55;
-      const a5 = a + (16 * m1) / 135 + (6656 * m3) / 12825 + (28561 * m4) / 56430 - (9 * m5) / 50 + (2 * m6) / 55;
-
-      // Оценка ошибки
-      const errX = Math.abs(x5 - x4);
-      const errV = Math.abs(v5 - v4);
-      const errA = Math.abs(a5 - a4);
-      const err = Math.max(errX, errV, errA);
-
-      if (err < tol) {
-        t += h;
-        x = x5;
-        v = v5;
-        a = a5;
-        solution.push({ t, x, v, a });
-      }
-
-      // Адаптация шага
-      const delta = 0.84 * Math.pow((tol / (err || 1e-10)), 0.25);
-      h = h * Math.min(Math.max(delta, 0.1), 4.0);
+  const resetResults = () => {
+    stopWorker();
+    setIsCalculating(false);
+    setProgress(null);
+    setResult(null);
+    setComparisonResults(null);
+    setConvergenceResult(null);
+    setSolverStats(null);
+    setAllSolutions({});
+    setSweepResult(null);
+    setChaosResult(null);
+    setSolverEvents({});
+    setInvariants({});
+    setVerificationResult(null);
+    setShootingResult(null);
+    setFitResult(null);
+    setSensitivityResult(null);
+    setUncertaintyResult(null);
+  };
 
-      if (h > hMax) h = hMax;
-      if (h < hMin) {
-        console.warn("Минимальный шаг достигнут, возможна потеря точности");
-        h = hMin;
-      }
+  const applySession = (config) => {
+    resetResults();
+    setCurrentTask(config.task);
+    setCustomProblem(config.customProblem);
+    if (config.task in TASKS) {
+      setTaskInputs(prev => ({ ...prev, [config.task]: config.inputs }));
     }
-
-    return solution;
+    setMode(config.mode);
+    setMethod(config.method);
+    setStepSize(config.stepSize);
+    setEndTime(config.endTime);
+    setOutputStep(config.outputStep);
+    setLevels(config.levels);
+    setSolverSettings(config.solverSettings);
+    setSweepSettings(config.sweepSettings);
+    setChaosSettings(config.chaosSettings);
+    setEventSpecs(config.events);
+    setVerificationProblem(config.verificationProblem);
+    setBvpSettings(config.bvpSettings);
+    setFitted(config.fitted);
+    setSensitivity(config.sensitivity);
+    setUncertaintySettings(config.uncertaintySettings);
+    setDistributions(config.distributions);
   };
 
-  // Метод Дормана-Принса
-  const solveDP = (hInit, tEnd, tol = 1e-6) => {
-    const solution = [];
-    let t = 0;
-    let h = hInit;
-    let x = taskConfig.initialConditionsValues.x;
-    let v = taskConfig.initialConditionsValues.v;
-    let a = taskConfig.initialConditionsValues.a;
-
-    solution.push({ t, x, v, a });
-
-    while (t < tEnd) {
-      if (t + h > tEnd) h = tEnd - t;
-
-      const k1 = h * v;
-      const l1 = h * a;
-      const m1 = h * f(t, x, v, a);
-
-      const k2 = h * (v + l1 / 5);
-      const l2 = h * (a + m1 / 5);
-      const m2 = h * f(t + h / 5, x + k1 / 5, v + l1 / 5, a + m1 / 5);
-
-      const k3 = h * (v + 3 * l1 / 40 + 9 * l2 / 40);
-      const l3 = h * (a + 3 * m1 / 40 + 9 * m2 / 40);
-      const m3 = h * f(
-        t + 3 * h / 10,
-        x + 3 * k1 / 40 + 9 * k2 / 40,
-        v + 3 * l1 / 40 + 9 * l2 / 40,
-        a + 3 * m1 / 40 + 9 * m2 / 40
-      );
+  // Найденные при подборе значения подставляются в поля ввода задачи
+  const applyFittedValues = (entries) => {
+    if (currentTask === 'custom') {
+      const params = { ...taskConfig.params };
+      const initialConditions = customProblem.initialConditions.slice();
+      entries.forEach(({ group, name, value }) => {
+        if (group === 'params') {
+          params[name] = value;
+        } else {
+          initialConditions[Number(name)] = String(value);
+        }
+      });
+      setCustomProblem(prev => ({
+        ...prev,
+        params: Object.entries(params).map(([name, value]) => `${name} = ${value}`).join(', '),
+        initialConditions
+      }));
+    } else {
+      entries.forEach(({ group, name, value }) => updateTaskInput(group, name, String(value)));
+    }
+  };
 
-      const k4 = h * (v + 44 * l1 / 45 - 56 * l2 / 15 + 32 * l3 / 9);
-      const l4 = h * (a + 44 * m1 / 45 - 56 * m2 / 15 + 32 * m3 / 9);
-      const m4 = h * f(
-        t + 4 * h / 5,
-        x + 44 * k1 / 45 - 56 * k2 / 15 + 32 * k3 / 9,
-        v + 44 * l1 / 45 - 56 * l2 / 15 + 32 * l3 / 9,
-        a + 44 * m1 / 45 - 56 * m2 / 15 + 32 * m3 / 9
-      );
+  // История хранится в localStorage; при переполнении хранилища старые запуски удаляются
+  const updateHistory = (update) => {
+    try {
+      setHistory(storeHistory(update(history)));
+    } catch (e) {
+      alert('Не удалось сохранить историю: хранилище браузера переполнено');
+    }
+  };
 
-      const k5 = h * (
-        v + 19372 * l1 / 6561 - 25360 * l2 / 2187 + 64448 * l3 / 6561 - 212 * l4 / 729
-      );
-      const l5 = h * (
-        a + 19372 * m1 / 6561 - 25360 * m2 / 2187 + 64448 * m3 / 6561 - 212 * m4 / 729
-      );
-      const m5 = h * f(
-        t + 8 * h / 9,
-        x + 19372 * k1 / 6561 - 25360 * k2 / 2187 + 64448 * k3 / 6561 - 212 * k4 / 729,
-        v + 19372 * l1 / 6561 - 25360 * l2 / 2187 + 64448 * l3 / 6561 - 212 * l4 / 729,
-        a + 19372 * m1 / 6561 - 25360 * m2 / 2187 + 64448 * m3 / 6561 - 212 * m4 / 729
-      );
+  const handleSaveRun = () => {
+    const points = allSolutions[method];
+    if (!lastRun || !points || !points.length) return;
+    updateHistory(entries => addToHistory(entries, createHistoryEntry({
+      name: runName.trim() || `${lastRun.title}, ${METHOD_LABELS[method]}`,
+      session: lastRun.session,
+      job: lastRun.job,
+      title: lastRun.title,
+      method,
+      points,
+      comparison: comparisonResults,
+      result,
+      endTime: displayedEndTime
+    })));
+    setRunName('');
+  };
 
-      const k6 = h * (
-        v + 9017 * l1 / 3168 - 355 * l2 / 33 + 46732 * l3 / 5247 + 49 * l4 / 176 - 5103 * l5 / 18656
-      );
-      const l6 = h * (
-        a + 9017 * m1 / 3168 - 355 * m2 / 33 + 46732 * m3 / 5247 + 49 * m4 / 176 - 5103 * m5 / 18656
-      );
-      const m6 = h * f(
-        t + h,
-        x + 9017 * k1 / 3168 - 355 * k2 / 33 + 46732 * k3 / 5247 + 49 * k4 / 176 - 5103 * k5 / 18656,
-        v + 9017 * l1 / 3168 - 355 * l2 / 33 + 46732 * l3 / 5247 + 49 * l4 / 176 - 5103 * l5 / 18656,
-        a + 9017 * m1 / 3168 - 355 * m2 / 33 + 46732 * m3 / 5247 + 49 * m4 / 176 - 5103 * m5 / 18656
-      );
+  // Загрузка запуска: конфигурация сеанса и сохранённый результат выбранного метода
+  const handleLoadRun = (entry) => {
+    applySession({ ...entry.session, mode: 'solve', method: entry.method });
+    setAllSolutions({ [entry.method]: entry.points });
+    setComparisonResults(entry.comparison);
+    setResult(entry.result);
+    setDisplayedEndTime(entry.endTime);
+    setIsAborted(false);
+    setLastRun({ job: entry.job, title: entry.title, session: entry.session });
+  };
 
-      const k7 = h * (
-        v + 35 * l1 / 384 + 500 * l3 / 1113 + 125 * l4 / 192 - 2187 * l5 / 6784 + 11 * l6 / 84
-      );
-      const l7 = h * (
-        a + 35 * m1 / 384 + 500 * m3 / 1113 + 125 * m4 / 192 - 2187 * m5 / 6784 + 11 * m6 / 84
-      );
-      const m7 = h * f(
-        t + h,
-        x + 35 * k1 / 384 + 500 * k3 / 1113 + 125 * k4 / 192 - 2187 * k5 / 6784 + 11 * k6 / 84,
-        v + 35 * l1 / 384 + 500 * l3 / 1113 + 125 * l4 / 192 - 2187 * l5 / 6784 + 11 * l6 / 84,
-        a + 35 * m1 / 384 + 500 * m3 / 1113 + 125 * m4 / 192 - 2187 * m5 / 6784 + 11 * m6 / 84
-      );
+  const getExportMetadata = () => (lastRun ? buildMetadata(lastRun.job, lastRun.title) : null);
 
-      // Основное решение 5-го порядка
-      const x5 = x + 35 * k1 / 384 + 500 * k3 / 1113 + 125 * k4 / 192 - 2187 * k5 / 6784 + 11 * k6 / 84;
-      const v5 = v + 35 * l1 / 384 + 500 * l3 / 1113 + 125 * l4 / 192 - 2187 * l5 / 6784 + 11 * l6 / 84;
-      const a5 = a + 35 * m1 / 384 + 500 * m3 / 1113 + 125 * m4 / 192 - 2187 * m5 / 6784 + 11 * m6 / 84;
-
-      // Вспомогательное решение 4-го порядка
-      const x4 = x + 5179 * k1 / 57600 + 7571 * k3 / 16695 + 393 * k4 / 640 - 92097 * k5 / 339200 + 187 * k6 / 2100 + k7 / 40;
-      const v4 = v + 5179 * l1 / 57600 + 7571 * l3 / 16695 + 393 * l4 / 640 - 92097 * l5 / 339200 + 187 * l6 / 2100 + l7 / 40;
-      const a4 = a + 5179 * m1 / 57600 + 7571 * m3 / 16695 + 393 * m4 / 640 - 92097 * m5 / 339200 + 187 * m6 / 2100 + m7 / 40;
-
-      // Оценка ошибки
-      const err = Math.max(Math.abs(x5 - x4), Math.abs(v5 - v4), Math.abs(a5 - a4));
-      const safety = 0.9;
-      const minScale = 0.1;
-      const maxScale = 4.0;
-
-      if (err <= tol) {
-        t += h;
-        x = x5;
-        v = v5;
-        a = a5;
-        solution.push({ t, x, v, a });
+  const handleExport = (format) => {
+    const metadata = getExportMetadata();
+    switch (format) {
+      case 'csv':
+        downloadFile(`${currentTask}-solutions.csv`, solutionsToCsv(allSolutions, metadata), 'text/csv');
+        break;
+      case 'json':
+        downloadFile(`${currentTask}-solutions.json`, solutionsToJson(allSolutions, metadata), 'application/json');
+        break;
+      case 'comparison': {
+        const rows = comparisonRows(allSolutions, METHOD_LABELS, REFERENCE_METHOD);
+        downloadFile(`${currentTask}-comparison.csv`, comparisonToCsv(rows, metadata), 'text/csv');
+        break;
       }
-
-      // Адаптивное изменение шага
-      const scale = safety * Math.pow(tol / (err || 1e-10), 0.2);
-      h *= Math.max(minScale, Math.min(maxScale, scale));
+      default:
+        break;
     }
-
-    return solution;
-  };
-
-  const createChartData = (solution, methodName) => {
-    if (!solution) return null;
-    
-    const filteredSolution = solution.filter(p => p.t <= endTime + stepSize / 10);
-    
-    return {
-      labels: filteredSolution.map(p => p.t.toFixed(3)),
-      datasets: [{
-        label: `${taskConfig.solutionLabel} (${methodName})`,
-        data: filteredSolution.map(p => p.x),
-        borderColor: methodName === 'Рунге-Кутты-Фельдберга' ? 'rgb(255, 99, 132)' :
-                   methodName === 'Дорман-Принс' ? 'rgb(54, 162, 235)' :
-                   'rgb(255, 159, 64)',
-        tension: 0.1
-      }]
-    };
   };
 
   // Кнопка "Решить"
   const handleSolve = () => {
+    if (Object.keys(taskErrors).length > 0) {
+      alert('Исправьте ошибки в описании задачи!');
+      return;
+    }
+
+    if (Object.keys(parsedSolverSettings.errors).length > 0) {
+      alert('Исправьте настройки адаптивных методов!');
+      return;
+    }
+
     if ((stepSize <= 0 || stepSize > 0.5 || endTime <= 0 || endTime > 3) || 
         (validateNumber(stepSize) !== true) || 
         (validateNumber(endTime) !== true) || 
@@ -384,80 +375,437 @@ const BeamSolver = () => {
       return;
     }
 
-    setDisplayedEndTime(endTime);
+    if (!(outputStep > 0) || validateNumber(outputStep) !== true ||
+        outputStep > endTime || endTime / outputStep > 10000) {
+      alert('Недопустимый шаг вывода!');
+      return;
+    }
+
+    if (mode === 'solve' && Object.keys(eventErrors).length > 0) {
+      alert('Исправьте выражения событий!');
+      return;
+    }
+
+    if (mode === 'convergence' && !(Number.isInteger(levels) && levels >= 1 && levels <= 12)) {
+      alert('Число уровней должно быть целым от 1 до 12!');
+      return;
+    }
+
+    if (mode === 'sweep' && !parsedSweepSettings) {
+      alert('Развёртка доступна только для задач с периодической внешней силой (параметр ω)!');
+      return;
+    }
+
+    if (mode === 'sweep' && Object.keys(parsedSweepSettings.errors).length > 0) {
+      alert('Исправьте настройки развёртки!');
+      return;
+    }
+
+    if (mode === 'chaos' && !taskConfig.forcingPeriod) {
+      alert('Сечение Пуанкаре строится только для задач с периодической внешней силой (параметр ω)!');
+      return;
+    }
+
+    if (mode === 'chaos' && Object.keys(parsedChaosSettings.errors).length > 0) {
+      alert('Исправьте настройки сечения Пуанкаре!');
+      return;
+    }
+
+    if (mode === 'shooting' && Object.keys(parsedBvpSettings.errors).length > 0) {
+      alert('Исправьте краевые условия!');
+      return;
+    }
+
+    const fittedQuantities = fittableQuantities(taskConfig)
+      .filter(({ group, name }) => fitted.includes(`${group}.${name}`));
+    if (mode === 'fit' && !measurements) {
+      alert('Загрузите измерения!');
+      return;
+    }
+
+    if (mode === 'fit' && fittedQuantities.length === 0) {
+      alert('Выберите подбираемые величины!');
+      return;
+    }
+
+    const sensitivityKeys = sensitivityQuantities(taskConfig)
+      .filter(({ group, name }) => sensitivity.includes(`${group}.${name}`));
+    if (mode === 'sensitivity' && sensitivityKeys.length === 0) {
+      alert('Выберите величины для анализа чувствительности!');
+      return;
+    }
+
+    if (mode === 'uncertainty' && Object.keys(parsedUncertaintySettings.errors).length > 0) {
+      alert('Исправьте распределения величин и настройки метода Монте-Карло!');
+      return;
+    }
+
     setIsCalculating(true);
-    
-    setTimeout(() => {
-      const rkfSolution = solveRKF(stepSize, endTime);
-      const dpSolution = solveDP(stepSize, endTime);
-      const eulerSolution = solveModifiedEuler(stepSize, endTime);
-      
-      const findLastPoint = (solution) => {
-        const exactPoint = solution.find(p => Math.abs(p.t - endTime) < 1e-10);
-        if (exactPoint) return exactPoint;
-        
-        const pointsBeforeEnd = solution.filter(p => p.t <= endTime);
-        return pointsBeforeEnd[pointsBeforeEnd.length - 1] || null;
-      };
-      
-      const rkfPoint = findLastPoint(rkfSolution);
-      const dpPoint = findLastPoint(dpSolution);
-      const eulerPoint = findLastPoint(eulerSolution);
-      
-      const calculateDeviation = (value) => {
-        if (!dpPoint || !value) return null;
-        return Math.abs((value - dpPoint.x) / dpPoint.x * 100).toFixed(4);
-      };
-      
-      setComparisonResults({
-        stepSize,
-        endTime,
-        methods: {
-          dp: {
-            value: dpPoint ? dpPoint.x.toFixed(6) : null,
-            deviation: "0.0000"
-          },
-          rkf: {
-            value: rkfPoint ? rkfPoint.x.toFixed(6) : null,
-            deviation: calculateDeviation(rkfPoint?.x)
-          },
-          euler: {
-            value: eulerPoint ? eulerPoint.x.toFixed(6) : null,
-            deviation: calculateDeviation(eulerPoint?.x)
+    setIsAborted(false);
+    setProgress(null);
+
+    const job = {
+      mode,
+      task: currentTask,
+      params: taskConfig.params,
+      initialConditionsValues: taskConfig.initialConditionsValues,
+      customProblem,
+      methods: Object.keys(METHOD_LABELS),
+      h: stepSize,
+      tEnd: endTime,
+      outputStep,
+      levels,
+      method,
+      sweep: mode === 'sweep' ? parsedSweepSettings.options : undefined,
+      chaos: mode === 'chaos' ? parsedChaosSettings.options : undefined,
+      events: mode === 'solve' ? eventSpecs : undefined,
+      verification: mode === 'verification' ? { problem: verificationProblem } : undefined,
+      bvp: mode === 'shooting' ? parsedBvpSettings.options : undefined,
+      fit: mode === 'fit' ? { fitted: fittedQuantities } : undefined,
+      measurements: mode === 'fit' ? measurements.points : undefined,
+      sensitivity: mode === 'sensitivity' ? { quantities: sensitivityKeys } : undefined,
+      uncertainty: mode === 'uncertainty' ? parsedUncertaintySettings.options : undefined,
+      ...parsedSolverSettings.options
+    };
+
+    setLastRun({ job, title: taskConfig.title, session });
+
+    if (mode === 'convergence') {
+      runConvergence(job);
+    } else if (mode === 'sweep') {
+      runSweep(job);
+    } else if (mode === 'chaos') {
+      runChaos(job);
+    } else if (mode === 'verification') {
+      runVerification(job);
+    } else if (mode === 'shooting') {
+      runShooting(job);
+    } else if (mode === 'fit') {
+      runFit(job);
+    } else if (mode === 'sensitivity') {
+      runSensitivity(job);
+    } else if (mode === 'uncertainty') {
+      runUncertainty(job);
+    } else {
+      runSolve(job);
+    }
+  };
+
+  const handleWorkerError = (message) => {
+    stopWorker();
+    setIsCalculating(false);
+    setProgress(null);
+    alert(`Ошибка расчёта: ${message.message}`);
+  };
+
+  const runSolve = (job) => {
+    setDisplayedEndTime(job.tEnd);
+    const partial = {};
+    const stats = {};
+    const events = {};
+    const balances = {};
+    const failures = {};
+    partialRef.current = { partial, stats, events, balances, failures };
+
+    startWorker(job, (message) => {
+      switch (message.type) {
+        case 'progress':
+          partial[message.method] = (partial[message.method] || []).concat(message.points);
+          setProgress({
+            fraction: (message.index + message.t / message.tEnd) / job.methods.length,
+            text: `${METHOD_LABELS[message.method]} (${message.index + 1} из ${job.methods.length}): ` +
+              `t = ${message.t.toFixed(3)} из ${message.tEnd}, ` +
+              `шагов принято: ${message.accepted}, отклонено: ${message.rejected}`
+          });
+          break;
+        case 'done':
+          if (message.error) {
+            delete partial[message.method];
+            failures[message.method] = message.error;
+            break;
           }
-        }
-      });
-      
-      let currentSolution;
-      switch(method) {
-        case 'rkf': currentSolution = rkfSolution; break;
-        case 'dormand-prince': currentSolution = dpSolution; break;
-        case 'euler': currentSolution = eulerSolution; break;
-        default: currentSolution = [];
+          partial[message.method] = message.points;
+          stats[message.method] = message.stats;
+          events[message.method] = { events: message.events, stoppedAt: message.stoppedAt };
+          if (message.invariant) balances[message.method] = message.invariant;
+          break;
+        case 'finished':
+          if (job.methods.every(name => failures[name])) {
+            handleWorkerError({ message: failures[job.methods[0]] });
+            break;
+          }
+          stopWorker();
+          showResults(partial, stats, job.tEnd, false, events, balances, failures);
+          break;
+        default:
+          handleWorkerError(message);
       }
+    });
+  };
 
-      const filteredSolution = currentSolution.filter(p => p.t <= endTime + stepSize / 10);
-      
-      const chartData = {
-        labels: filteredSolution.map(p => p.t.toFixed(3)),
-        datasets: [{
-          label: `${taskConfig.solutionLabel} (0 ≤ t ≤ ${endTime})`,
-          data: currentSolution.map(p => p.x),
-          borderColor: 'rgb(87, 36, 255)',
-          tension: 0.1
-        }]
-      };
-      
-      setAllSolutions({
-        rkf: rkfSolution,
-        dp: dpSolution,
-        euler: eulerSolution
-      });
-      
-      setResult(dpPoint ? dpPoint.x : null);
-      setChartData(chartData);
+  const runConvergence = (job) => {
+    setConvergenceResult(null);
+
+    startWorker(job, (message) => {
+      switch (message.type) {
+        case 'studyProgress':
+          setProgress({
+            fraction: message.done / message.total,
+            text: `${METHOD_LABELS[message.method]}: расчёт ${message.done} из ${message.total}`
+          });
+          break;
+        case 'convergence':
+          setConvergenceResult(message.result);
+          break;
+        case 'finished':
+          stopWorker();
+          setIsCalculating(false);
+          setProgress(null);
+          break;
+        default:
+          handleWorkerError(message);
+      }
+    });
+  };
+
+  const runSweep = (job) => {
+    setSweepResult(null);
+    const label = paramLabel(taskConfig, job.sweep.param);
+
+    startWorker(job, (message) => {
+      switch (message.type) {
+        case 'sweepProgress':
+          setProgress({
+            fraction: message.done / message.total,
+            text: `${label} = ${message.value.toFixed(4)}: расчёт ${message.done} из ${message.total}`
+          });
+          break;
+        case 'sweep':
+          setSweepResult(message.result);
+          break;
+        case 'finished':
+          stopWorker();
+          setIsCalculating(false);
+          setProgress(null);
+          break;
+        default:
+          handleWorkerError(message);
+      }
+    });
+  };
+
+  const runChaos = (job) => {
+    setChaosResult(null);
+
+    startWorker(job, (message) => {
+      switch (message.type) {
+        case 'chaosProgress':
+          setProgress({
+            fraction: message.done / message.total,
+            text: `Период ${message.done} из ${message.total}` +
+              (message.done <= job.chaos.transient ? ' (переходный процесс)' : '')
+          });
+          break;
+        case 'chaos':
+          setChaosResult(message.result);
+          break;
+        case 'finished':
+          stopWorker();
+          setIsCalculating(false);
+          setProgress(null);
+          break;
+        default:
+          handleWorkerError(message);
+      }
+    });
+  };
+
+  const runVerification = (job) => {
+    setVerificationResult(null);
+
+    startWorker(job, (message) => {
+      switch (message.type) {
+        case 'verificationProgress':
+          setProgress({
+            fraction: message.done / message.total,
+            text: `${METHOD_LABELS[message.method]}: расчёт ${message.done} из ${message.total}`
+          });
+          break;
+        case 'verification':
+          setVerificationResult(message.result);
+          break;
+        case 'finished':
+          stopWorker();
+          setIsCalculating(false);
+          setProgress(null);
+          break;
+        default:
+          handleWorkerError(message);
+      }
+    });
+  };
+
+  const runShooting = (job) => {
+    setShootingResult(null);
+
+    startWorker(job, (message) => {
+      switch (message.type) {
+        case 'shootingProgress':
+          setProgress({
+            fraction: message.iteration / message.maxIterations,
+            text: `Итерация ${message.iteration}: невязка ${message.norm.toExponential(3)}`
+          });
+          break;
+        case 'shooting':
+          setShootingResult(message.result);
+          break;
+        case 'finished':
+          stopWorker();
+          setIsCalculating(false);
+          setProgress(null);
+          break;
+        default:
+          handleWorkerError(message);
+      }
+    });
+  };
+
+  const runFit = (job) => {
+    setFitResult(null);
+
+    startWorker(job, (message) => {
+      switch (message.type) {
+        case 'fitProgress':
+          setProgress({
+            fraction: message.iteration / message.maxIterations,
+            text: `Итерация ${message.iteration}: среднеквадратичная невязка ${message.rms.toExponential(3)}`
+          });
+          break;
+        case 'fit':
+          setFitResult(message.result);
+          break;
+        case 'finished':
+          stopWorker();
+          setIsCalculating(false);
+          setProgress(null);
+          break;
+        default:
+          handleWorkerError(message);
+      }
+    });
+  };
+
+  const runSensitivity = (job) => {
+    setSensitivityResult(null);
+
+    startWorker(job, (message) => {
+      switch (message.type) {
+        case 'sensitivityProgress':
+          setProgress({
+            fraction: message.done / message.total,
+            text: `Проверка разностями: ${message.done} из ${message.total}`
+          });
+          break;
+        case 'sensitivity':
+          setSensitivityResult(message.result);
+          break;
+        case 'finished':
+          stopWorker();
+          setIsCalculating(false);
+          setProgress(null);
+          break;
+        default:
+          handleWorkerError(message);
+      }
+    });
+  };
+
+  const runUncertainty = (job) => {
+    setUncertaintyResult(null);
+
+    startWorker(job, (message) => {
+      switch (message.type) {
+        case 'uncertaintyProgress':
+          setProgress({
+            fraction: message.done / message.total,
+            text: `Реализация ${message.done} из ${message.total}`
+          });
+          break;
+        case 'uncertainty':
+          setUncertaintyResult(message.result);
+          break;
+        case 'finished':
+          stopWorker();
+          setIsCalculating(false);
+          setProgress(null);
+          break;
+        default:
+          handleWorkerError(message);
+      }
+    });
+  };
+
+  // Отмена: показываем то, что успели посчитать
+  const handleCancel = () => {
+    stopWorker();
+    if (mode !== 'solve') {
       setIsCalculating(false);
-    }, 100);
+      setProgress(null);
+    } else {
+      const { partial, stats, events, balances, failures } = partialRef.current ||
+        { partial: {}, stats: {}, events: {}, balances: {}, failures: {} };
+      showResults(partial, stats, endTime, true, events, balances, failures);
+    }
+  };
+
+  // failures — ошибки методов, не закончивших расчёт: { [метод]: сообщение }
+  const showResults = (solutions, stats, tEnd, aborted, events, balances, failures = {}) => {
+    // Последний узел сетки вывода — ровно endTime
+    const lastPoint = (solution) => (solution && solution[solution.length - 1]) || null;
+    const referencePoint = lastPoint(solutions[REFERENCE_METHOD]);
+
+    const calculateDeviation = (value) => {
+      if (!referencePoint || !value) return null;
+      return Math.abs((value - referencePoint.x) / referencePoint.x * 100).toFixed(4);
+    };
+
+    // При отмене и остановке по событию методы заканчивают расчёт в разных точках t —
+    // сравнивать их бессмысленно
+    const stopped = Object.values(events).some(e => e.stoppedAt !== null);
+    const partialRun = aborted || stopped;
+    setComparisonResults(partialRun ? null : {
+      stepSize,
+      endTime: tEnd,
+      methods: Object.fromEntries(Object.keys(METHOD_LABELS).map(name => {
+        const point = lastPoint(solutions[name]);
+        return [name, {
+          value: point ? point.x.toFixed(6) : null,
+          deviation: calculateDeviation(point?.x),
+          error: failures[name] || null
+        }];
+      }))
+    });
+
+    const currentSolution = solutions[method] || [];
+    const currentPoint = lastPoint(currentSolution);
+    const reached = partialRun ? (currentPoint ? currentPoint.t : 0) : tEnd;
+
+    setAllSolutions(Object.fromEntries(
+      Object.entries(solutions).filter(([, points]) => points.length)
+    ));
+
+    // Если эталонный метод не закончил расчёт, показывается результат выбранного или любого другого метода
+    const resultPoint = partialRun
+      ? currentPoint
+      : referencePoint || currentPoint || lastPoint(Object.values(solutions).find(points => points.length));
+    setDisplayedEndTime(Number(reached.toFixed(3)));
+    setResult(resultPoint ? resultPoint.x : null);
+    setSolverStats(stats);
+    setSolverEvents(events);
+    setInvariants(balances);
+    setIsAborted(aborted);
+    setIsCalculating(false);
+    setProgress(null);
   };
 
   return (
@@ -468,16 +816,18 @@ const BeamSolver = () => {
             id="task" 
             value={currentTask} 
             onChange={(e) => {
+              resetResults();
               setCurrentTask(e.target.value);
-              setResult(null);
-              setChartData(null);
-              setComparisonResults(null);
-              setAllSolutions({ rkf: null, dp: null, euler: null });
+              const nextTask = e.target.value === 'custom' ? buildCustomTask(customProblem) : TASKS[e.target.value];
+              if (nextTask.forcingPeriod) {
+                setSweepSettings(defaultSweepSettings(nextTask));
+              }
             }}
             style={{ padding: '5px' }}
         >
           <option value="beam">Движение планки</option>
           <option value="gyroscope">Движение гироскопа</option>
+          <option value="custom">Пользовательская задача</option>
         </select>
       </div>
       <h1>{taskConfig.title}</h1>
@@ -485,16 +835,54 @@ const BeamSolver = () => {
         <h2>Уравнение движения:</h2>
         <KatexFormula tex={taskConfig.equation.main} />
         <KatexFormula tex={taskConfig.equation.params(taskConfig.params)} />
+        {currentTask === 'custom' && (
+          <CustomProblemEditor
+            problem={customProblem}
+            order={taskConfig.order}
+            errors={taskErrors}
+            onChange={setCustomProblem}
+          />
+        )}
       </div>
 
       <div style={{ marginBottom: '20px' }}>
         <h2>Начальные условия:</h2>
-        <KatexFormula tex={taskConfig.initialConditions(taskConfig.initialConditionsValues)} />
+        <KatexFormula tex={taskConfig.initialConditions(taskConfig.initialConditionsValues, taskConfig.params)} />
       </div>
+
+      {currentTask !== 'custom' && (
+        <ParameterEditor
+          task={taskConfig}
+          inputs={taskInputs[currentTask]}
+          errors={taskErrors}
+          onChange={updateTaskInput}
+          onReset={resetTaskInputs}
+        />
+      )}
       
       <div style={{ marginBottom: '20px' }}>
         <h2>Параметры решения:</h2>
         <div style={{ display: 'flex', gap: '20px', flexDirection: 'column', flexWrap: 'wrap' }}>
+          <div>
+            <label htmlFor="mode">Режим: </label>
+            <select 
+              id="mode" 
+              value={mode} 
+              onChange={(e) => setMode(e.target.value)}
+              style={{ padding: '5px' }}
+            >
+              <option value="solve">Решение</option>
+              <option value="convergence">Исследование сходимости</option>
+              <option value="sweep" disabled={!taskConfig.forcingPeriod}>Развёртка по параметру</option>
+              <option value="chaos" disabled={!taskConfig.forcingPeriod}>Сечение Пуанкаре и показатель Ляпунова</option>
+              <option value="verification">Проверка по точному решению</option>
+              <option value="shooting">Краевая задача (метод стрельбы)</option>
+              <option value="fit">Подбор параметров по измерениям</option>
+              <option value="sensitivity">Чувствительность к параметрам</option>
+              <option value="uncertainty">Распространение неопределённости (Монте-Карло)</option>
+            </select>
+          </div>
+
           <div>
             <label htmlFor="method">Метод: </label>
             <select 
@@ -503,9 +891,9 @@ const BeamSolver = () => {
               onChange={(e) => setMethod(e.target.value)}
               style={{ padding: '5px' }}
             >
-              <option value="rkf">Рунге-Кутты-Фельдберга</option>
-              <option value="dormand-prince">Дорман-Принс</option>
-              <option value="euler">Модифицированный Эйлер</option>
+              {listMethods().map(entry => (
+                <option key={entry.name} value={entry.name}>{entry.label}</option>
+              ))}
             </select>
           </div>
           
@@ -536,6 +924,153 @@ const BeamSolver = () => {
               style={{ padding: '5px', width: '80px' }}
             />
           </div>
+
+          <div>
+            <label htmlFor="outputStep">Шаг вывода (Δt): </label>
+            <input 
+              id="outputStep" 
+              type="number" 
+              min="0.001" 
+              max="3" 
+              step="0.001" 
+              value={outputStep} 
+              onChange={(e) => setOutputStep(parseFloat(e.target.value))}
+              style={{ padding: '5px', width: '80px' }}
+            />
+          </div>
+
+          <FieldGroup
+            title="Настройки адаптивных методов"
+            group="solver"
+            schema={SOLVER_SETTINGS_SCHEMA}
+            values={solverSettings}
+            errors={parsedSolverSettings.errors}
+            onChange={(group, name, value) => setSolverSettings(prev => ({ ...prev, [name]: value }))}
+          />
+
+          {mode === 'sweep' && parsedSweepSettings && (
+            <FieldGroup
+              title="Развёртка по параметру"
+              group="sweep"
+              schema={sweepSettingsSchema(taskConfig)}
+              values={sweepSettings}
+              errors={parsedSweepSettings.errors}
+              onChange={(group, name, value) => setSweepSettings(prev => ({ ...prev, [name]: value }))}
+            />
+          )}
+
+          {(mode === 'solve' || mode === 'fit') && (
+            <MeasurementImport measurements={measurements} symbol={taskConfig.symbol} onChange={setMeasurements} />
+          )}
+
+          {mode === 'fit' && (
+            <QuantitySelector
+              title="Подбираемые величины"
+              hint="Начальное приближение — текущие значения параметров и начальных условий задачи."
+              task={taskConfig}
+              quantities={fittableQuantities(taskConfig)}
+              selected={fitted}
+              onChange={setFitted}
+            />
+          )}
+
+          {mode === 'sensitivity' && (
+            <QuantitySelector
+              title="Чувствительность к величинам"
+              hint={taskConfig.delays ? 'Чувствительность к запаздыванию не вычисляется.' : null}
+              task={taskConfig}
+              quantities={sensitivityQuantities(taskConfig)}
+              selected={sensitivity}
+              onChange={setSensitivity}
+            />
+          )}
+
+          {mode === 'uncertainty' && (
+            <div>
+              <UncertaintyEditor
+                task={taskConfig}
+                quantities={fittableQuantities(taskConfig)}
+                distributions={distributions}
+                errors={parsedUncertaintySettings.errors}
+                onChange={setDistributions}
+              />
+              <FieldGroup
+                title="Метод Монте-Карло"
+                group="uncertainty"
+                schema={UNCERTAINTY_SETTINGS_SCHEMA}
+                values={uncertaintySettings}
+                errors={parsedUncertaintySettings.errors}
+                onChange={(group, name, value) => setUncertaintySettings(prev => ({ ...prev, [name]: value }))}
+              />
+            </div>
+          )}
+
+          {mode === 'solve' && (
+            <EventEditor events={eventSpecs} errors={eventErrors} symbol={taskConfig.symbol} onChange={setEventSpecs} />
+          )}
+
+          {mode === 'chaos' && (
+            <FieldGroup
+              title="Сечение Пуанкаре и показатель Ляпунова"
+              group="chaos"
+              schema={CHAOS_SETTINGS_SCHEMA}
+              values={chaosSettings}
+              errors={parsedChaosSettings.errors}
+              onChange={(group, name, value) => setChaosSettings(prev => ({ ...prev, [name]: value }))}
+            />
+          )}
+
+          {mode === 'verification' && (
+            <div>
+              <label htmlFor="verificationProblem">Тестовая задача: </label>
+              <select
+                id="verificationProblem"
+                value={verificationProblem}
+                onChange={(e) => setVerificationProblem(e.target.value)}
+                style={{ padding: '5px' }}
+              >
+                {Object.entries(VERIFICATION_PROBLEMS).map(([name, problem]) => (
+                  <option key={name} value={name}>{problem.label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {mode === 'shooting' && (
+            <div>
+              <FieldGroup
+                title="Краевые условия"
+                group="bvp"
+                schema={bvpSettingsSchema(taskOrder, taskConfig.symbol)}
+                values={{ ...defaultBvpSettings(taskOrder), ...bvpSettings }}
+                errors={parsedBvpSettings.errors}
+                onChange={(group, name, value) => setBvpSettings(prev => ({ ...prev, [name]: value }))}
+              />
+              {parsedBvpSettings.errors['bvp.count'] && (
+                <p style={{ color: '#d32f2f', fontSize: '0.9em' }}>{parsedBvpSettings.errors['bvp.count']}</p>
+              )}
+              <p style={{ fontSize: '0.9em', color: '#666' }}>
+                T — конечное время. Заданные значения при t = 0 и начальные приближения неизвестных
+                берутся из начальных условий задачи.
+              </p>
+            </div>
+          )}
+
+          {mode === 'convergence' && (
+            <div>
+              <label htmlFor="levels">Число делений шага / уменьшений допуска: </label>
+              <input 
+                id="levels" 
+                type="number" 
+                min="1" 
+                max="12" 
+                step="1" 
+                value={levels} 
+                onChange={(e) => setLevels(parseInt(e.target.value, 10))}
+                style={{ padding: '5px', width: '80px' }}
+              />
+            </div>
+          )}
         </div>
       </div>
       
@@ -551,13 +1086,114 @@ const BeamSolver = () => {
           cursor: isCalculating ? 'not-allowed' : 'pointer'
         }}
       >
-        {isCalculating ? 'Вычисление...' : 'Решить'}
+        {isCalculating ? 'Вычисление...' : { convergence: 'Исследовать', sweep: 'Построить', chaos: 'Построить', verification: 'Проверить', shooting: 'Решить', fit: 'Подобрать', sensitivity: 'Исследовать', uncertainty: 'Построить' }[mode] || 'Решить'}
       </button>
+      <button onClick={handleCopyLink} style={{ marginLeft: '10px', padding: '10px 20px', cursor: 'pointer' }}>
+        Ссылка на расчёт
+      </button>
+
+      {isCalculating && (
+        <div style={{ marginTop: '15px' }}>
+          {progress && (
+            <>
+              <progress value={progress.fraction} max={1} style={{ width: '100%' }} />
+              <p style={{ margin: '5px 0', fontSize: '0.9em', color: '#666' }}>{progress.text}</p>
+            </>
+          )}
+          <button
+            onClick={handleCancel}
+            style={{ padding: '5px 15px', cursor: 'pointer' }}
+          >
+            Отменить
+          </button>
+        </div>
+      )}
       
-      {result !== null && (
+      {mode === 'convergence' && convergenceResult && (
+        <ConvergenceStudy
+          result={convergenceResult}
+          labels={METHOD_LABELS}
+          colors={METHOD_COLORS}
+          getMetadata={getExportMetadata}
+        />
+      )}
+
+      {mode === 'sweep' && sweepResult && (
+        <SweepDiagram
+          result={sweepResult}
+          paramLabel={paramLabel(taskConfig, sweepResult.param)}
+          methodLabel={METHOD_LABELS[sweepResult.method]}
+          symbol={taskConfig.symbol}
+          getMetadata={getExportMetadata}
+        />
+      )}
+
+      {mode === 'verification' && verificationResult && (
+        <VerificationReport
+          result={verificationResult}
+          labels={METHOD_LABELS}
+          colors={METHOD_COLORS}
+          endTime={lastRun?.job.tEnd}
+          getMetadata={getExportMetadata}
+        />
+      )}
+
+      {mode === 'shooting' && shootingResult && (
+        <BoundaryValueSolution
+          result={shootingResult}
+          methodLabel={METHOD_LABELS[shootingResult.method]}
+          task={taskConfig}
+          endTime={lastRun?.job.tEnd}
+          getMetadata={getExportMetadata}
+        />
+      )}
+
+      {mode === 'fit' && fitResult && (
+        <FitReport
+          result={fitResult}
+          methodLabel={METHOD_LABELS[fitResult.method]}
+          task={taskConfig}
+          getMetadata={getExportMetadata}
+          onApply={applyFittedValues}
+        />
+      )}
+
+      {mode === 'sensitivity' && sensitivityResult && (
+        <SensitivityReport
+          result={sensitivityResult}
+          methodLabel={METHOD_LABELS[sensitivityResult.method]}
+          task={taskConfig}
+          endTime={lastRun?.job.tEnd}
+          getMetadata={getExportMetadata}
+        />
+      )}
+
+      {mode === 'uncertainty' && uncertaintyResult && (
+        <UncertaintyReport
+          result={uncertaintyResult}
+          methodLabel={METHOD_LABELS[uncertaintyResult.method]}
+          task={taskConfig}
+          endTime={lastRun?.job.tEnd}
+          getMetadata={getExportMetadata}
+        />
+      )}
+
+      {mode === 'chaos' && chaosResult && (
+        <ChaosAnalysis
+          result={chaosResult}
+          methodLabel={METHOD_LABELS[chaosResult.method]}
+          symbol={taskConfig.symbol}
+          getMetadata={getExportMetadata}
+        />
+      )}
+
+      {mode === 'solve' && result !== null && (
         <div style={{ marginTop: '30px' }}>
           <h2>Результат:</h2>
-          <p>{taskConfig.solutionLabel} при t = {displayedEndTime} с: <strong>{result.toFixed(6)}</strong> {currentTask === 'beam' ? 'м' : 'рад'}</p>
+          {isAborted && (
+            <p style={{ color: '#d32f2f' }}>Расчёт отменён, показан частичный результат.</p>
+          )}
+          <p>{taskConfig.solutionLabel} при t = {displayedEndTime} с: <strong>{result.toFixed(6)}</strong> {taskConfig.unit}</p>
           
           {comparisonResults && (
             <div style={{ marginTop: '20px' }}>
@@ -566,26 +1202,24 @@ const BeamSolver = () => {
                 <thead>
                   <tr style={{ backgroundColor: '#f2f2f2' }}>
                     <th style={{ border: '1px solid #ddd', padding: '8px', textAlign: 'left' }}>Метод</th>
-                    <th style={{ border: '1px solid #ddd', padding: '8px', textAlign: 'left' }}>Значение {currentTask === 'beam' ? 'x' : 'θ'}({displayedEndTime})</th>
+                    <th style={{ border: '1px solid #ddd', padding: '8px', textAlign: 'left' }}>Значение {taskConfig.symbol}({displayedEndTime})</th>
                     <th style={{ border: '1px solid #ddd', padding: '8px', textAlign: 'left' }}>Отклонение от эталона (%)</th>
                   </tr>
                 </thead>
                 <tbody>
-                  <tr>
-                    <td style={{ border: '1px solid #ddd', padding: '8px' }}>Рунге-Кутты-Фельдберга</td>
-                    <td style={{ border: '1px solid #ddd', padding: '8px' }}>{comparisonResults.methods.rkf.value}</td>
-                    <td style={{ border: '1px solid #ddd', padding: '8px' }}>{comparisonResults.methods.rkf.deviation}</td>
-                  </tr>
-                  <tr>
-                    <td style={{ border: '1px solid #ddd', padding: '8px' }}>Дорман-Принс (эталон)</td>
-                    <td style={{ border: '1px solid #ddd', padding: '8px' }}>{comparisonResults.methods.dp.value}</td>
-                    <td style={{ border: '1px solid #ddd', padding: '8px' }}>{comparisonResults.methods.dp.deviation}</td>
-                  </tr>
-                  <tr>
-                    <td style={{ border: '1px solid #ddd', padding: '8px' }}>Модифицированный Эйлер</td>
-                    <td style={{ border: '1px solid #ddd', padding: '8px' }}>{comparisonResults.methods.euler.value}</td>
-                    <td style={{ border: '1px solid #ddd', padding: '8px' }}>{comparisonResults.methods.euler.deviation}</td>
-                  </tr>
+                  {Object.entries(METHOD_LABELS).map(([name, label]) => (
+                    <tr key={name}>
+                      <td style={{ border: '1px solid #ddd', padding: '8px' }}>
+                        {label}{name === REFERENCE_METHOD ? ' (эталон)' : ''}
+                      </td>
+                      <td style={{ border: '1px solid #ddd', padding: '8px' }}>
+                        {comparisonResults.methods[name].error
+                          ? <span style={{ color: '#d32f2f' }}>{comparisonResults.methods[name].error}</span>
+                          : comparisonResults.methods[name].value}
+                      </td>
+                      <td style={{ border: '1px solid #ddd', padding: '8px' }}>{comparisonResults.methods[name].deviation}</td>
+                    </tr>
+                  ))}
                 </tbody>
               </table>
               <p style={{ marginTop: '10px', fontSize: '0.9em', color: '#666' }}>
@@ -593,99 +1227,92 @@ const BeamSolver = () => {
               </p>
             </div>
           )}
-          
-          {chartData && (
-            <div style={{ marginTop: '30px' }}>
-              <h3>График {currentTask === 'beam' ? 'отклонения планки' : 'углового отклонения'} (метод: {
-                method === 'rkf' ? 'Рунге-Кутты-Фельдберга' : 
-                method === 'dormand-prince' ? 'Дорман-Принс' : 
-                'Модифицированный Эйлер'
-              }):</h3>
-              <div style={{ height: '400px' }}>
-                <Line 
-                  data={chartData} 
-                  options={{
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    scales: {
-                      x: {
-                        title: {
-                          display: true,
-                          text: 'Время, с'
-                        }
-                      },
-                      y: {
-                        title: {
-                          display: true,
-                          text: taskConfig.yLabel
-                        }
-                      }
-                    }
-                  }}
-                />
-              </div>
-
-              {/* Графики других методов */}
-              {method !== 'rkf' && allSolutions.rkf && (
-                <div style={{ marginTop: '40px' }}>
-                  <h4>График метода Рунге-Кутты-Фельдберга:</h4>
-                  <div style={{ height: '300px' }}>
-                    <Line 
-                      data={createChartData(allSolutions.rkf, 'Рунге-Кутты-Фельдберга')} 
-                      options={{
-                        responsive: true,
-                        maintainAspectRatio: false,
-                        scales: {
-                          x: { title: { display: true, text: 'Время, с' } },
-                          y: { title: { display: true, text: taskConfig.yLabel } }
-                        }
-                      }}
-                    />
-                  </div>
-                </div>
-              )}
 
-              {method !== 'dormand-prince' && allSolutions.dp && (
-                <div style={{ marginTop: '40px' }}>
-                  <h4>График метода Дорман-Принс:</h4>
-                  <div style={{ height: '300px' }}>
-                    <Line 
-                      data={createChartData(allSolutions.dp, 'Дорман-Принс')} 
-                      options={{
-                        responsive: true,
-                        maintainAspectRatio: false,
-                        scales: {
-                          x: { title: { display: true, text: 'Время, с' } },
-                          y: { title: { display: true, text: taskConfig.yLabel } }
-                        }
-                      }}
-                    />
-                  </div>
-                </div>
-              )}
+          <div style={{ marginTop: '20px' }}>
+            <strong>Экспорт: </strong>
+            <button onClick={() => handleExport('csv')} style={{ marginRight: '10px', padding: '5px 10px', cursor: 'pointer' }}>
+              Траектории (CSV)
+            </button>
+            <button onClick={() => handleExport('json')} style={{ marginRight: '10px', padding: '5px 10px', cursor: 'pointer' }}>
+              Траектории (JSON)
+            </button>
+            {comparisonResults && (
+              <button onClick={() => handleExport('comparison')} style={{ padding: '5px 10px', cursor: 'pointer' }}>
+                Сравнение методов (CSV)
+              </button>
+            )}
+          </div>
 
-              {method !== 'euler' && allSolutions.euler && (
-                <div style={{ marginTop: '40px' }}>
-                  <h4>График метода Модифицированный Эйлер:</h4>
-                  <div style={{ height: '300px' }}>
-                    <Line 
-                      data={createChartData(allSolutions.euler, 'Модифицированный Эйлер')} 
-                      options={{
-                        responsive: true,
-                        maintainAspectRatio: false,
-                        scales: {
-                          x: { title: { display: true, text: 'Время, с' } },
-                          y: { title: { display: true, text: taskConfig.yLabel } }
-                        }
-                      }}
-                    />
-                  </div>
-                </div>
-              )}
-            </div>
+          <div style={{ marginTop: '10px' }}>
+            <label htmlFor="runName">Название запуска: </label>
+            <input
+              id="runName"
+              type="text"
+              value={runName}
+              placeholder={lastRun ? `${lastRun.title}, ${METHOD_LABELS[method]}` : ''}
+              onChange={(e) => setRunName(e.target.value)}
+              style={{ padding: '5px', width: '300px', marginRight: '10px' }}
+            />
+            <button onClick={handleSaveRun} disabled={!allSolutions[method]} style={{ padding: '5px 10px', cursor: 'pointer' }}>
+              Сохранить в историю
+            </button>
+          </div>
+
+          {lastRun?.job.events?.length > 0 && solverEvents[method] && (
+            <EventTable
+              events={solverEvents[method].events}
+              expressions={lastRun.job.events.map(e => e.expression)}
+              stoppedAt={solverEvents[method].stoppedAt}
+              symbol={taskConfig.symbol}
+              methodLabel={METHOD_LABELS[method]}
+            />
           )}
+
+          {solverStats && (
+            <SolverStatistics
+              stats={solverStats}
+              labels={METHOD_LABELS}
+              colors={METHOD_COLORS}
+              method={method}
+              getMetadata={getExportMetadata}
+            />
+          )}
+          
+          {taskConfig.invariant && (
+            <InvariantDrift
+              invariants={invariants}
+              labels={METHOD_LABELS}
+              colors={METHOD_COLORS}
+              task={taskConfig}
+              filenamePrefix={currentTask}
+              getMetadata={getExportMetadata}
+            />
+          )}
+
+          <SolutionPlots
+            solutions={allSolutions}
+            method={method}
+            reference={REFERENCE_METHOD}
+            labels={METHOD_LABELS}
+            colors={METHOD_COLORS}
+            task={taskConfig}
+            endTime={displayedEndTime}
+            filenamePrefix={currentTask}
+            getMetadata={getExportMetadata}
+            events={Object.fromEntries(Object.entries(solverEvents).map(([name, found]) => [name, found.events]))}
+            eventLabels={lastRun?.job.events?.map(e => e.expression) ?? []}
+            measurements={measurements?.points}
+          />
         </div>
       )}
+
+      <RunHistory
+        entries={history}
+        labels={METHOD_LABELS}
+        onLoad={handleLoadRun}
+        onDelete={(id) => updateHistory(entries => removeFromHistory(entries, id))}
+        onRename={(id, name) => updateHistory(entries => renameInHistory(entries, id, name))}
+      />
     </div>
   );
 };
@@ -0,0 +1,80 @@
+import { DivergenceError } from '../solver';
+import { runTask, isBoundedState, spanStepLimit, StepLimitError } from '../tasks/run';
+
+// Состояние через один период T внешней силы, начиная из y0.
+// Правая часть периодична по t с периодом T, поэтому каждый период считается с t = 0.
+// Решение, ушедшее на бесконечность (DivergenceError решателя или состояние вне isBoundedState), — ошибка.
+// Предел числа шагов растёт с T / h или T / hMin (см. spanStepLimit);
+// его превышение означает слишком мелкий шаг, а не расходимость.
+const advancePeriod = (task, method, y0, period, solverOptions) => {
+  let result = null;
+  try {
+    result = runTask(task, method, {
+      ...solverOptions, y0, tEnd: period, outputStep: period, maxSteps: spanStepLimit(method, period, solverOptions)
+    });
+  } catch (e) {
+    if (e instanceof StepLimitError) {
+      throw new Error(`${e.message} за период внешней силы: увеличьте шаг h или ослабьте допуски`);
+    }
+    if (!(e instanceof DivergenceError)) throw e;
+  }
+  if (!result || !isBoundedState(result.finalState)) {
+    throw new Error('Решение уходит на бесконечность: сечение Пуанкаре и показатель Ляпунова не определены');
+  }
+  return result.finalState;
+};
+
+const distance = (p, q) => Math.sqrt(p.reduce((sum, pi, m) => sum + (pi - q[m]) ** 2, 0));
+
+// Точка на отрезке от base к q, удалённая от base на scale · |q - base|
+const rescale = (base, q, scale) => base.map((bi, m) => bi + (q[m] - bi) * scale);
+
+// Сечение Пуанкаре и старший показатель Ляпунова для задачи с периодической внешней силой.
+// Траектория начинается из начальных условий задачи; первые transient периодов T отбрасываются,
+// затем на periods периодах собираются точки сечения y(kT) (конечные состояния решателя
+// по плотной выдаче) и оценивается показатель Ляпунова по двум траекториям (метод Бенеттина):
+// возмущённая траектория ведётся на расстоянии d0 от основной, после каждого периода
+// расстояние d измеряется и возмущение снова сжимается до d0; λ(t) = Σ ln(d / d0) / t.
+// Возвращает { period, section: [{ t, y }], history: [{ t, exponent }], exponent }.
+export const chaosAnalysis = (task, method, {
+  transient = 100, periods = 200, d0 = 1e-8, onProgress, ...solverOptions
+}) => {
+  if (!task.forcingPeriod) {
+    throw new Error('У задачи нет периодической внешней силы');
+  }
+  const period = task.forcingPeriod(task.params);
+  if (!(period > 0 && Number.isFinite(period))) {
+    throw new Error('Период внешней силы не определён');
+  }
+
+  const advance = (y0) => advancePeriod(task, method, y0, period, solverOptions);
+  const total = transient + periods;
+
+  let state = task.initialState(task.initialConditionsValues);
+  for (let k = 1; k <= transient; k++) {
+    state = advance(state);
+    if (onProgress) onProgress({ done: k, total });
+  }
+
+  // Начальное возмущение направлено по диагонали
+  let perturbed = state.map(yi => yi + d0 / Math.sqrt(state.length));
+  const section = [{ t: transient * period, y: state }];
+  const history = [];
+  let sum = 0;
+
+  for (let k = 1; k <= periods; k++) {
+    state = advance(state);
+    perturbed = advance(perturbed);
+
+    const d = distance(state, perturbed);
+    sum += Math.log(d / d0);
+    perturbed = rescale(state, perturbed, d0 / d);
+
+    const t = (transient + k) * period;
+    section.push({ t, y: state });
+    history.push({ t, exponent: sum / (k * period) });
+    if (onProgress) onProgress({ done: transient + k, total });
+  }
+
+  return { method, period, section, history, exponent: sum / (periods * period) };
+};
@@ -0,0 +1,56 @@
+import { TASKS } from '../tasks';
+import { chaosAnalysis } from './chaos';
+
+// x'' + 2ζ x' + x = cos t: установившийся режим периодический — сечение сходится в одну точку,
+// возмущения затухают как e^(-ζt), старший показатель Ляпунова равен -ζ
+const oscillator = {
+  params: { zeta: 0.2, omega: 1 },
+  initialConditionsValues: { x: 0, v: 0 },
+  initialState: (ic) => [ic.x, ic.v],
+  f: (t, [x, v], p) => Math.cos(p.omega * t) - 2 * p.zeta * v - x,
+  forcingPeriod: (p) => 2 * Math.PI / p.omega
+};
+
+test('damped linear oscillator has a one-point section and a negative exponent', () => {
+  const progress = [];
+  const result = chaosAnalysis(oscillator, 'dormand-prince', {
+    transient: 10,
+    periods: 20,
+    h: 0.01,
+    atol: 1e-12,
+    onProgress: (p) => progress.push(p.done)
+  });
+
+  expect(progress).toHaveLength(30);
+  expect(result.section).toHaveLength(21);
+  expect(result.history).toHaveLength(20);
+  const xs = result.section.slice(5).map(p => p.y[0]);
+  expect(Math.max(...xs) - Math.min(...xs)).toBeLessThan(1e-4);
+  expect(result.exponent).toBeCloseTo(-0.2, 2);
+});
+
+test('chaotic Duffing oscillator has a positive exponent', () => {
+  // Аттрактор Уэды: x'' + 0.05 x' + x³ = 7.5 cos t
+  const duffing = {
+    ...oscillator,
+    f: (t, [x, v]) => 7.5 * Math.cos(t) - 0.05 * v - x * x * x,
+    initialConditionsValues: { x: 1, v: 0 }
+  };
+  const result = chaosAnalysis(duffing, 'dormand-prince', { transient: 20, periods: 60, h: 0.01, atol: 1e-9 });
+  expect(result.exponent).toBeGreaterThan(0.02);
+});
+
+test('fixed-step methods at low forcing frequency keep a bounded trajectory', () => {
+  // При ω = 1 и h = 0.01 на период приходится 629 шагов
+  const result = chaosAnalysis(oscillator, 'rk4', { transient: 10, periods: 10, h: 0.01 });
+  expect(result.section).toHaveLength(11);
+  expect(result.section.every(p => p.y.every(Number.isFinite))).toBe(true);
+  expect(result.exponent).toBeCloseTo(-0.2, 1);
+});
+
+test('divergent trajectories and tasks without forcing are reported', () => {
+  expect(() => chaosAnalysis(TASKS.gyroscope, 'rkf', {})).toThrow('нет периодической');
+  // Уравнение задачи о планке при параметрах по умолчанию уходит на бесконечность при t ≈ 4.5
+  expect(() => chaosAnalysis(TASKS.beam, 'dormand-prince', { transient: 5, periods: 5, h: 0.01 }))
+    .toThrow('уходит на бесконечность');
+});
@@ -0,0 +1,115 @@
+import { runTask } from '../tasks/run';
+import { getMethod, REFERENCE_METHOD } from '../solver';
+
+// Ниже этого уровня ошибка определяется округлением, а не методом
+const ERROR_FLOOR = 1e-13;
+// Ошибка меньше REFERENCE_MARGIN · referenceTol сравнима с погрешностью самого эталона
+const REFERENCE_MARGIN = 100;
+
+// Наклон прямой МНК для log(y) от log(x)
+export const fitLogSlope = (xs, ys) => {
+  const pairs = xs
+    .map((x, i) => [x, ys[i]])
+    .filter(([x, y]) => x > 0 && y > ERROR_FLOOR && Number.isFinite(x) && Number.isFinite(y))
+    .map(([x, y]) => [Math.log(x), Math.log(y)]);
+  if (pairs.length < 2) return null;
+
+  const n = pairs.length;
+  const mx = pairs.reduce((sum, [x]) => sum + x, 0) / n;
+  const my = pairs.reduce((sum, [, y]) => sum + y, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  for (const [x, y] of pairs) {
+    sxy += (x - mx) * (y - my);
+    sxx += (x - mx) * (x - mx);
+  }
+  return sxx > 0 ? sxy / sxx : null;
+};
+
+// Исследование сходимости: глобальная ошибка x(tEnd) относительно эталона,
+// полученного методом Дормана-Принса с допуском referenceTol.
+// Методы с постоянным шагом: h, h/2, ..., h/2^levels;
+// адаптивные методы: tol = 1e-2, 1e-3, ..., 1e-(2 + levels), tol задаёт те допуски
+// из настроек (atol, rtol), которые в них положительны. Допуски меньше REFERENCE_MARGIN · referenceTol
+// не проверяются: такой расчёт точнее эталона. Тогда tolLimit — наименьший проверенный допуск, иначе null.
+// Порядок оценивается только по уровням с ошибкой больше REFERENCE_MARGIN · referenceTol.
+export const convergenceStudy = (task, methods, {
+  h, tEnd, levels = 8, referenceTol = 1e-12, onProgress,
+  atol = 1e-6, rtol = 0, norm, hMin, hMax, initialStep
+}) => {
+  const tolerances = (tol) => ({ atol: atol > 0 ? tol : 0, rtol: rtol > 0 ? tol : 0 });
+  const settings = { norm, hMin, hMax, initialStep };
+
+  const resolution = REFERENCE_MARGIN * referenceTol;
+  const tolLevels = Math.max(0, Math.min(levels, Math.floor(-Math.log10(resolution) + 1e-9) - 2));
+  const levelsOf = (method) => (getMethod(method).adaptive ? tolLevels : levels);
+
+  const total = 1 + methods.reduce((sum, method) => sum + levelsOf(method) + 1, 0);
+  let done = 0;
+  const report = (method) => {
+    done++;
+    if (onProgress) onProgress({ done, total, method });
+  };
+  const endValue = (result) => result.points[result.points.length - 1].x;
+
+  const reference = runTask(task, REFERENCE_METHOD, {
+    ...settings,
+    ...tolerances(referenceTol),
+    h: Math.min(h, 1e-3),
+    tEnd,
+    outputStep: tEnd
+  });
+  const xRef = endValue(reference);
+  report(REFERENCE_METHOD);
+
+  const series = methods.map((method) => {
+    const { adaptive, order } = getMethod(method);
+    const points = [];
+
+    for (let i = 0; i <= levelsOf(method); i++) {
+      const options = adaptive ? { h, tol: Math.pow(10, -(2 + i)) } : { h: h / Math.pow(2, i) };
+      const result = runTask(task, method, {
+        ...settings,
+        ...(adaptive ? tolerances(options.tol) : {}),
+        h: options.h,
+        tEnd,
+        outputStep: tEnd
+      });
+      points.push({
+        // Для адаптивных методов — средний принятый шаг
+        h: adaptive ? tEnd / result.stats.accepted : options.h,
+        tol: options.tol,
+        evaluations: result.stats.evaluations,
+        error: Math.abs(endValue(result) - xRef)
+      });
+      report(method);
+    }
+
+    // Порядок оценивается по более точной половине уровней, где ошибка уже асимптотическая,
+    // но ещё больше погрешности эталона
+    const resolved = points.filter(p => p.error > resolution);
+    const fitted = resolved.length > 3 ? resolved.slice(Math.floor(resolved.length / 2)) : resolved;
+    const errors = fitted.map(p => p.error);
+    const byStep = fitLogSlope(fitted.map(p => p.h), errors);
+    const byEvaluations = fitLogSlope(fitted.map(p => p.evaluations), errors);
+
+    return {
+      method,
+      adaptive,
+      order,
+      points,
+      // Наблюдаемый порядок: ошибка ~ h^p ~ N^(-p)
+      orderByStep: byStep,
+      orderByEvaluations: byEvaluations === null ? null : -byEvaluations
+    };
+  });
+
+  return {
+    reference: xRef,
+    referenceTol,
+    resolution,
+    tolLimit: tolLevels < levels && methods.some(method => getMethod(method).adaptive) ? Math.pow(10, -(2 + tolLevels)) : null,
+    tEnd,
+    series
+  };
+};
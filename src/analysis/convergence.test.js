@@ -0,0 +1,50 @@
+import { TASKS } from '../tasks';
+import { convergenceStudy, fitLogSlope } from './convergence';
+
+test('fits the slope of a power law', () => {
+  const xs = [1, 2, 4, 8];
+  expect(fitLogSlope(xs, xs.map(x => 3 * Math.pow(x, -2)))).toBeCloseTo(-2, 10);
+  expect(fitLogSlope([1], [1])).toBeNull();
+});
+
+test('modified Euler converges with second order on the beam task', () => {
+  const progress = [];
+  const result = convergenceStudy(TASKS.beam, ['euler'], {
+    h: 0.05,
+    tEnd: 1,
+    levels: 4,
+    onProgress: (p) => progress.push(p.done)
+  });
+  const [euler] = result.series;
+  expect(euler.points).toHaveLength(5);
+  expect(euler.orderByStep).toBeGreaterThan(1.8);
+  expect(euler.orderByStep).toBeLessThan(2.2);
+  expect(progress[progress.length - 1]).toBe(6);
+});
+
+test('fixed-step methods from the registry show their declared order', () => {
+  const result = convergenceStudy(TASKS.beam, ['heun3', 'rk4', 'abm'], { h: 0.05, tEnd: 1, levels: 4 });
+  for (const series of result.series) {
+    expect(Math.abs(series.orderByStep - series.order)).toBeLessThan(0.3);
+  }
+});
+
+test('levels finer than the reference accuracy do not distort the fitted order', () => {
+  const progress = [];
+  const result = convergenceStudy(TASKS.beam, ['heun3', 'rk4', 'abm', 'bs32'], {
+    h: 0.05,
+    tEnd: 1,
+    levels: 12,
+    onProgress: (p) => progress.push(p.done)
+  });
+  for (const series of result.series) {
+    expect(Math.abs(series.orderByStep - series.order)).toBeLessThan(0.3);
+  }
+  // Адаптивный метод проверяется только до допуска 100 · referenceTol
+  expect(result.tolLimit).toBeCloseTo(1e-10, 20);
+  expect(result.series[3].points).toHaveLength(9);
+  expect(result.series[3].points[8].tol).toBeCloseTo(1e-10, 20);
+  expect(progress[progress.length - 1]).toBe(1 + 3 * 13 + 9);
+
+  expect(convergenceStudy(TASKS.beam, ['rk4'], { h: 0.05, tEnd: 1, levels: 12 }).tolLimit).toBeNull();
+});
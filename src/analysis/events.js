@@ -0,0 +1,25 @@
+// Оценки по найденным событиям одного вида (см. runTask, events):
+// период — среднее время между соседними переходами в одном направлении
+// (для события «любое» — через один); амплитуда — полуразность средних x
+// в переходах сверху вниз и снизу вверх: для события x' = 0 это максимумы и минимумы x.
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const intervals = (times) => times.slice(1).map((t, i) => t - times[i]);
+
+// occurrences — события { direction, t, x, ... } одного вида в порядке времени,
+// direction — знак изменения g. Возвращает { count, period, amplitude } (null — мало событий).
+export const eventSummary = (occurrences) => {
+  const byDirection = (sign) => occurrences.filter(p => p.direction === sign);
+  const rising = byDirection(1);
+  const falling = byDirection(-1);
+
+  const periods = [...intervals(rising.map(p => p.t)), ...intervals(falling.map(p => p.t))];
+  return {
+    count: occurrences.length,
+    period: periods.length ? mean(periods) : null,
+    amplitude: rising.length && falling.length
+      ? Math.abs(mean(falling.map(p => p.x)) - mean(rising.map(p => p.x))) / 2
+      : null
+  };
+};
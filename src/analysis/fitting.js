@@ -0,0 +1,210 @@
+import { runTask, isDivergence, grownStepLimit } from '../tasks/run';
+import { luDecompose, luSolve } from '../solver/linalg';
+
+// Подбираемые величины: { group, name } — параметр задачи (group = 'params')
+// или начальное условие (group = 'initialConditions'); ключ group — поле конфига задачи
+export const FIT_GROUPS = {
+  params: 'params',
+  initialConditions: 'initialConditionsValues'
+};
+
+// Величины задачи, которые можно подбирать: числовые параметры и начальные условия
+export const fittableQuantities = (task) => [
+  ...Object.keys(task.params)
+    .filter(name => !task.paramsSchema?.[name]?.options)
+    .map(name => ({ group: 'params', name })),
+  ...Object.keys(task.initialConditionsValues).map(name => ({ group: 'initialConditions', name }))
+];
+
+// Относительное приращение при вычислении матрицы Якоби разностями вперёд
+const JACOBIAN_DELTA = 1e-6;
+// Попыток уменьшить невязку на одной итерации: после каждой неудачной λ увеличивается в 10 раз
+const MAX_TRIALS = 12;
+// Квантиль нормального распределения для двустороннего 95% интервала
+const Z_95 = 1.96;
+// Число точек траектории с подобранными значениями для графика
+const PLOT_POINTS = 500;
+
+const sumOfSquares = (residuals) => residuals.reduce((sum, r) => sum + r * r, 0);
+
+// Конфиг задачи с подставленными значениями подбираемых величин
+export const withFittedValues = (task, fitted, values) => {
+  const next = {
+    ...task,
+    params: { ...task.params },
+    initialConditionsValues: Array.isArray(task.initialConditionsValues)
+      ? task.initialConditionsValues.slice()
+      : { ...task.initialConditionsValues }
+  };
+  fitted.forEach(({ group, name }, j) => { next[FIT_GROUPS[group]][name] = values[j]; });
+  return next;
+};
+
+// Нормальная матрица JᵀJ и вектор Jᵀr
+const normalEquations = (jacobian, residuals) => {
+  const n = jacobian[0].length;
+  const a = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (__, j) => (
+    jacobian.reduce((sum, row) => sum + row[i] * row[j], 0)
+  )));
+  const g = Array.from({ length: n }, (_, i) => jacobian.reduce((sum, row, k) => sum + row[i] * residuals[k], 0));
+  return { a, g };
+};
+
+// Матрица Якоби J[k][j] = ∂r_k/∂p_j; null, если решение с приращением ушло на бесконечность
+const fitJacobian = (residualsFor, p, r) => {
+  const columns = [];
+  for (let j = 0; j < p.length; j++) {
+    const delta = JACOBIAN_DELTA * Math.max(1, Math.abs(p[j]));
+    const shifted = p.slice();
+    shifted[j] += delta;
+    const rj = residualsFor(shifted);
+    if (!rj) return null;
+    columns.push(rj.map((value, k) => (value - r[k]) / delta));
+  }
+  return r.map((_, k) => columns.map(column => column[k]));
+};
+
+// Шаг Левенберга — Марквардта: (JᵀJ + λ diag(JᵀJ)) δ = −Jᵀr; λ растёт, пока сумма квадратов
+// невязок не уменьшится. Возвращает { values, residuals, lambda } или, если уменьшить не удалось,
+// { diverged } — признак, что все пробные решения ушли на бесконечность
+const levenbergMarquardtStep = (residualsFor, p, r, jacobian, lambda) => {
+  const { a, g } = normalEquations(jacobian, r);
+  const sse = sumOfSquares(r);
+  let diverged = true;
+  for (let trial = 0; trial < MAX_TRIALS; trial++) {
+    const damping = lambda * Math.pow(10, trial);
+    const damped = a.map((row, i) => row.map((value, j) => (i === j ? value + damping * Math.max(value, 1e-12) : value)));
+    let step;
+    try {
+      step = luSolve(luDecompose(damped), g.map(value => -value));
+    } catch (e) {
+      continue;
+    }
+    const values = p.map((pj, j) => pj + step[j]);
+    const residuals = residualsFor(values);
+    if (!residuals) continue;
+    diverged = false;
+    if (sumOfSquares(residuals) < sse) {
+      return { values, residuals, lambda: damping / 10 };
+    }
+  }
+  return { diverged };
+};
+
+// Стандартные ошибки по ковариационной матрице s² (JᵀJ)⁻¹, s² = Σr² / (m − n);
+// null, если измерений не больше, чем подбираемых величин, или матрица вырождена
+const standardErrors = (jacobian, residuals) => {
+  const m = residuals.length;
+  const n = jacobian[0].length;
+  if (m <= n) return null;
+  const variance = sumOfSquares(residuals) / (m - n);
+  try {
+    const lu = luDecompose(normalEquations(jacobian, residuals).a);
+    return Array.from({ length: n }, (_, j) => {
+      const unit = Array.from({ length: n }, (__, i) => (i === j ? 1 : 0));
+      return Math.sqrt(variance * luSolve(lu, unit)[j]);
+    });
+  } catch (e) {
+    return null;
+  }
+};
+
+// Подбор параметров и начальных условий fitted = [{ group, name }] по измерениям [{ t, x }]
+// методом наименьших квадратов (Левенберг — Марквардт). Прямая модель — решение задачи методом
+// method в моменты измерений.
+// Итерации прекращаются, когда сумма квадратов невязок уменьшается относительно меньше чем на tol
+// или не уменьшается ни при каком λ (достигнут минимум с точностью решателя).
+// Возвращает { method, fitted: [{ group, name, initial, value, stdError, interval }],
+// residuals: [{ t, measured, model, residual }], rms, history: [{ iteration, rms, lambda }],
+// converged, message, points }; interval — приближённый 95% доверительный интервал
+// по линеаризации модели около найденных значений (null, если его нельзя оценить).
+export const fitParameters = (task, method, {
+  measurements, fitted, tol = 1e-10, maxIterations = 50, maxSteps = 1e5, onProgress, ...solverOptions
+}) => {
+  if (!fitted.length) {
+    throw new Error('Не выбраны подбираемые параметры');
+  }
+  if (!measurements.length) {
+    throw new Error('Нет измерений');
+  }
+  const times = measurements.map(m => m.t);
+  const tEnd = times[times.length - 1];
+  if (!(tEnd > 0)) {
+    throw new Error('Измерения должны охватывать отрезок времени t > 0');
+  }
+
+  // Невязки модели в моменты измерений; null, если решение уходит на бесконечность
+  let stepLimit = maxSteps;
+  const residualsFor = (values) => {
+    let result;
+    try {
+      result = runTask(withFittedValues(task, fitted, values), method, {
+        ...solverOptions, tEnd, times, maxSteps: stepLimit
+      });
+    } catch (e) {
+      if (!isDivergence(e)) throw e;
+      return null;
+    }
+    stepLimit = grownStepLimit(stepLimit, result.stats);
+    const residuals = result.points.map((point, k) => point.x - measurements[k].x);
+    return residuals.every(Number.isFinite) ? residuals : null;
+  };
+  const rmsOf = (residuals) => Math.sqrt(sumOfSquares(residuals) / residuals.length);
+
+  const initial = fitted.map(({ group, name }) => task[FIT_GROUPS[group]][name]);
+  let p = initial;
+  let r = residualsFor(p);
+  if (!r) {
+    throw new Error('Решение с исходными значениями параметров уходит на бесконечность: измените начальное приближение');
+  }
+  let lambda = 1e-3;
+  const history = [{ iteration: 0, rms: rmsOf(r), lambda: null }];
+  let message = null;
+
+  for (let k = 1; ; k++) {
+    if (k > maxIterations) {
+      message = `Подбор не сошёлся за ${maxIterations} итераций`;
+      break;
+    }
+    const jacobian = fitJacobian(residualsFor, p, r);
+    if (!jacobian) {
+      message = 'Решение уходит на бесконечность при малом изменении параметров';
+      break;
+    }
+    const step = levenbergMarquardtStep(residualsFor, p, r, jacobian, lambda);
+    if (!step.values) {
+      if (step.diverged) message = 'Решение уходит на бесконечность при любом шаге: измените начальное приближение';
+      break;
+    }
+
+    const decrease = (sumOfSquares(r) - sumOfSquares(step.residuals)) / sumOfSquares(r);
+    p = step.values;
+    r = step.residuals;
+    lambda = step.lambda;
+    history.push({ iteration: k, rms: rmsOf(r), lambda });
+    if (onProgress) onProgress({ iteration: k, maxIterations, rms: rmsOf(r) });
+    if (decrease < tol) break;
+  }
+
+  const finalJacobian = fitJacobian(residualsFor, p, r);
+  const errors = finalJacobian && standardErrors(finalJacobian, r);
+  const fittedTask = withFittedValues(task, fitted, p);
+  const { points } = runTask(fittedTask, method, { ...solverOptions, tEnd, outputStep: tEnd / PLOT_POINTS });
+
+  return {
+    method,
+    fitted: fitted.map((entry, j) => ({
+      ...entry,
+      initial: initial[j],
+      value: p[j],
+      stdError: errors ? errors[j] : null,
+      interval: errors ? [p[j] - Z_95 * errors[j], p[j] + Z_95 * errors[j]] : null
+    })),
+    residuals: measurements.map((m, k) => ({ t: m.t, measured: m.x, model: m.x + r[k], residual: r[k] })),
+    rms: rmsOf(r),
+    history,
+    converged: message === null,
+    message,
+    points
+  };
+};
@@ -0,0 +1,60 @@
+import { TASKS } from '../tasks';
+import { runTask } from '../tasks/run';
+import { fitParameters, withFittedValues } from './fitting';
+
+const options = { h: 0.01, atol: 1e-10 };
+
+// Измерения — решение задачи с параметрами truth в моменты 0, 0.05, ..., 1 плюс шум noise(k)
+const synthetic = (task, truth, noise = () => 0) => {
+  const { points } = runTask({ ...task, params: { ...task.params, ...truth } }, 'dormand-prince', {
+    ...options, tEnd: 1, outputStep: 0.05
+  });
+  return points.map((p, k) => ({ t: p.t, x: p.x + noise(k) }));
+};
+
+test('exact data recover the parameters that produced them', () => {
+  const measurements = synthetic(TASKS.beam, { k: 0.5, c: 3 });
+  const progress = [];
+  const result = fitParameters(TASKS.beam, 'rkf', {
+    ...options,
+    measurements,
+    fitted: [{ group: 'params', name: 'k' }, { group: 'params', name: 'c' }],
+    onProgress: (p) => progress.push(p.iteration)
+  });
+
+  expect(result.converged).toBe(true);
+  expect(result.fitted.map(f => f.initial)).toEqual([0.2, 4]);
+  expect(result.fitted[0].value).toBeCloseTo(0.5, 4);
+  expect(result.fitted[1].value).toBeCloseTo(3, 4);
+  expect(result.rms).toBeLessThan(1e-7);
+  expect(progress.length).toBe(result.history.length - 1);
+  expect(result.residuals).toHaveLength(measurements.length);
+  expect(result.points[result.points.length - 1].t).toBeCloseTo(1, 12);
+});
+
+test('noisy data give confidence intervals that cover the true values', () => {
+  // Детерминированный «шум» амплитудой 1e-3
+  const measurements = synthetic(TASKS.beam, { c: 3 }, (k) => 1e-3 * Math.sin(7.3 * k));
+  const result = fitParameters(TASKS.beam, 'dormand-prince', {
+    ...options,
+    measurements,
+    fitted: [{ group: 'params', name: 'c' }, { group: 'initialConditions', name: 'a' }]
+  });
+
+  const [c, a] = result.fitted;
+  expect(c.interval[0]).toBeLessThan(3);
+  expect(c.interval[1]).toBeGreaterThan(3);
+  expect(a.interval[0]).toBeLessThan(-1);
+  expect(a.interval[1]).toBeGreaterThan(-1);
+  expect(c.stdError).toBeGreaterThan(0);
+  expect(result.rms).toBeGreaterThan(5e-4);
+});
+
+test('fitted values are substituted into a copy of the task', () => {
+  const task = withFittedValues(TASKS.gyroscope, [{ group: 'params', name: 'tau' }, { group: 'initialConditions', name: 'x' }], [0.3, 0.2]);
+  expect(task.params.tau).toBe(0.3);
+  expect(task.initialConditionsValues.x).toBe(0.2);
+  expect(TASKS.gyroscope.params.tau).toBe(0.2);
+  expect(() => fitParameters(TASKS.beam, 'rkf', { ...options, measurements: [], fitted: [{ group: 'params', name: 'k' }] }))
+    .toThrow('Нет измерений');
+});
@@ -0,0 +1,45 @@
+// Баланс I(t) = value(t, y) − ∫₀ᵗ rate(s, y(s)) ds, постоянный на точном решении
+// (см. invariant в конфиге задачи). Интеграл считается квадратурой Гаусса-Лежандра
+// по интерполянтам принятых шагов, поэтому его погрешность меньше погрешности метода
+// и дрейф I(t) − I(0) показывает ошибку самого решения.
+
+// Узлы и веса трёхточечной квадратуры Гаусса-Лежандра на [-1, 1]
+const GAUSS_NODES = [-Math.sqrt(0.6), 0, Math.sqrt(0.6)];
+const GAUSS_WEIGHTS = [5 / 9, 8 / 9, 5 / 9];
+
+const gauss = (g, a, b) => {
+  const half = (b - a) / 2;
+  const mid = (a + b) / 2;
+  return half * GAUSS_NODES.reduce((sum, node, i) => sum + GAUSS_WEIGHTS[i] * g(mid + half * node), 0);
+};
+
+// times — узлы вывода по возрастанию, segments — отрезки плотной выдачи { t0, t1, interpolate },
+// evaluate(t) — состояние решения, rate(t, y) и value(t, y) — с подставленными параметрами.
+// Возвращает [{ t, value: I(t) }].
+export const balanceSeries = ({ value, rate }, times, segments, evaluate) => {
+  const series = [];
+  let integral = 0;
+  let segment = 0;
+
+  times.forEach((t, k) => {
+    if (k > 0) {
+      // Интеграл по [times[k-1], t] — по частям, попадающим в отдельные шаги решателя
+      let a = times[k - 1];
+      while (a < t) {
+        while (segment < segments.length - 1 && segments[segment].t1 <= a) segment++;
+        const { t1, interpolate } = segments[segment] || { t1: t, interpolate: evaluate };
+        const b = segment < segments.length - 1 ? Math.min(t, t1) : t;
+        integral += gauss((s) => rate(s, interpolate(s)), a, b);
+        a = b;
+      }
+    }
+    series.push({ t, value: value(t, evaluate(t)) - integral });
+  });
+
+  return series;
+};
+
+// Максимальный по модулю дрейф |I(t) − I(0)|
+export const maxDrift = (series) => series.reduce(
+  (max, p) => Math.max(max, Math.abs(p.value - series[0].value)), 0
+);
@@ -0,0 +1,175 @@
+import { runTask, isDivergence, isBoundedState, grownStepLimit, StepLimitError } from '../tasks/run';
+import { solve, solveDDE, createDenseOutput, uniformTimes } from '../solver';
+import { FIT_GROUPS, fittableQuantities, withFittedValues } from './fitting';
+
+// Приращение при дифференцировании правой части и начальных условий разностями вперёд
+const DIRECTION_DELTA = Math.sqrt(Number.EPSILON);
+// Относительное приращение величины при проверке центральными разностями
+const CHECK_DELTA = 1e-4;
+// Ниже этой доли масштаба решения x(T) считается нулём: нормированная чувствительность не определена
+const ZERO_FRACTION = 1e-8;
+
+const valueOf = (task, { group, name }) => task[FIT_GROUPS[group]][name];
+
+// Величины, чувствительность к которым можно вычислить: числовые параметры и начальные условия.
+// Параметры, от которых зависят запаздывания, исключаются: производная по запаздыванию
+// требует производной решения в момент t − τ.
+export const sensitivityQuantities = (task) => fittableQuantities(task).filter(quantity => {
+  if (!task.delays || quantity.group !== 'params') return true;
+  const value = task.params[quantity.name];
+  const shifted = task.delays(withFittedValues(task, [quantity], [value + 1]).params);
+  return task.delays(task.params).every((tau, i) => tau === shifted[i]);
+});
+
+// Производная g(ε) = fn(точка + ε · направление) при ε = 0 разностью вперёд; scale — масштаб точки
+const directional = (fn, f0, scale, size) => {
+  if (size === 0) return 0;
+  const eps = DIRECTION_DELTA * Math.max(1, scale) / size;
+  return (fn(eps) - f0) / eps;
+};
+
+const maxAbs = (values) => values.reduce((max, v) => Math.max(max, Math.abs(v)), 0);
+
+// Производные по величине quantity разностью вперёд: начального состояния и предыстории
+const stateDerivative = (task, quantity, stateOf) => {
+  const value = valueOf(task, quantity);
+  const delta = DIRECTION_DELTA * Math.max(1, Math.abs(value));
+  const base = stateOf(task);
+  const shifted = stateOf(withFittedValues(task, [quantity], [value + delta]));
+  return base.map((y, i) => (shifted[i] - y) / delta);
+};
+
+// Чувствительности решения s_j(t) = ∂y(t)/∂q_j к параметрам и начальным условиям quantities = [{ group, name }]
+// из уравнений в вариациях, решаемых вместе с исходным уравнением методом method:
+//   s_j' = [s_j,1, ..., s_j,n−1, ∂f/∂y · s_j + ∂f/∂y(t − τ) · s_j(t − τ) + ∂f/∂q_j],
+// s_j(0) = ∂y(0)/∂q_j. Производная f вдоль (s_j, s_j(t − τ), e_j) берётся разностью вперёд —
+// одно дополнительное вычисление f на величину. Для проверки ∂x(T)/∂q_j считается также
+// центральными разностями по двум решениям исходного уравнения.
+// Расширенная система решается решателем напрямую, поэтому её число шагов ограничено так же, как
+// у повторных решений (grownStepLimit по номинальному решению с пределом maxSteps): решение,
+// уходящее на бесконечность или застрявшее на минимальном шаге, прерывается ошибкой.
+// Возвращает { method, quantities: [{ group, name, value, derivative, finiteDifference, discrepancy,
+// normalized }], order, points: [{ t, x, dx: [∂x/∂q_j] }], xEnd }; quantities упорядочены по убыванию
+// |normalized| = |q / x(T) · ∂x(T)/∂q| (null, если q = 0 или x(T) ≈ 0 — такие величины в конце),
+// order — величины в исходном порядке, в котором идут dx; discrepancy — относительное расхождение
+// с центральными разностями.
+export const sensitivityAnalysis = (task, method, { quantities, maxSteps = 1e5, onProgress, ...solverOptions }) => {
+  if (!quantities.length) {
+    throw new Error('Не выбраны величины для анализа чувствительности');
+  }
+  const divergence = () => new Error('Решение уходит на бесконечность: чувствительности не определены');
+  const { params, initialConditionsValues: ic } = task;
+  const { tEnd, outputStep } = solverOptions;
+  const y0 = task.initialState(ic);
+  const n = y0.length;
+  const count = quantities.length;
+
+  const slice = (Y, j) => Y.slice(n * (j + 1), n * (j + 2));
+  const paramsFor = (j, eps) => {
+    const { group, name } = quantities[j];
+    return group === 'params' ? { ...params, [name]: params[name] + eps } : params;
+  };
+
+  const rhs = (t, Y, lagged) => {
+    const y = Y.slice(0, n);
+    const lag = lagged && lagged.map(L => L.slice(0, n));
+    const f0 = task.f(t, y, params, lag);
+    const result = [...y.slice(1), f0];
+    for (let j = 0; j < count; j++) {
+      const s = slice(Y, j);
+      const sLag = lagged && lagged.map(L => slice(L, j));
+      const size = Math.max(maxAbs(s), ...(sLag || []).map(maxAbs), quantities[j].group === 'params' ? 1 : 0);
+      const df = directional((eps) => task.f(
+        t,
+        y.map((v, i) => v + eps * s[i]),
+        paramsFor(j, eps),
+        lag && lag.map((L, k) => L.map((v, i) => v + eps * sLag[k][i]))
+      ), f0, maxAbs(y), size);
+      result.push(...s.slice(1), df);
+    }
+    return result;
+  };
+
+  const Y0 = [
+    ...y0,
+    ...quantities.flatMap(quantity => stateDerivative(task, quantity, (other) => other.initialState(other.initialConditionsValues)))
+  ];
+  let nominal;
+  try {
+    nominal = runTask(task, method, { ...solverOptions, outputStep: tEnd, maxSteps });
+  } catch (e) {
+    if (isDivergence(e)) throw divergence();
+    throw e;
+  }
+  if (!isBoundedState(nominal.finalState)) throw divergence();
+
+  const dense = createDenseOutput(Y0, 0);
+  const stepLimit = grownStepLimit(maxSteps, nominal.stats);
+  let attempts = 0;
+  const options = {
+    ...solverOptions,
+    onSegment: dense.onSegment,
+    onStep: (step) => {
+      if (++attempts > stepLimit) throw new StepLimitError(stepLimit, step.t);
+    }
+  };
+
+  const history = (t) => [
+    ...task.history(t, ic, params),
+    ...quantities.flatMap(quantity => stateDerivative(task, quantity, (other) => (
+      other.history(t, other.initialConditionsValues, other.params)
+    )))
+  ];
+  try {
+    if (task.delays) {
+      solveDDE(method, rhs, Y0, history, task.delays(params), [0, tEnd], options);
+    } else {
+      solve(method, rhs, Y0, [0, tEnd], options);
+    }
+  } catch (e) {
+    if (isDivergence(e)) throw divergence();
+    throw e;
+  }
+
+  const points = dense.resample(uniformTimes(0, tEnd, outputStep)).map(({ t, y }) => ({
+    t,
+    x: y[0],
+    dx: quantities.map((_, j) => y[n * (j + 1)])
+  }));
+  const end = points[points.length - 1];
+  const scale = maxAbs(points.map(p => p.x));
+
+  // Проверка центральными разностями
+  const xEndFor = (quantity, value) => {
+    const { points: solution } = runTask(withFittedValues(task, [quantity], [value]), method, {
+      ...solverOptions, outputStep: tEnd
+    });
+    return solution[solution.length - 1].x;
+  };
+
+  const rows = quantities.map((quantity, j) => {
+    const value = valueOf(task, quantity);
+    const delta = CHECK_DELTA * Math.max(1, Math.abs(value));
+    const finiteDifference = (xEndFor(quantity, value + delta) - xEndFor(quantity, value - delta)) / (2 * delta);
+    if (onProgress) onProgress({ done: j + 1, total: count });
+    const derivative = end.dx[j];
+    const size = Math.max(Math.abs(derivative), Math.abs(finiteDifference));
+    return {
+      ...quantity,
+      value,
+      derivative,
+      finiteDifference,
+      discrepancy: size > 0 ? Math.abs(derivative - finiteDifference) / size : 0,
+      normalized: value !== 0 && Math.abs(end.x) > ZERO_FRACTION * scale ? value / end.x * derivative : null
+    };
+  });
+
+  const rank = (row) => (row.normalized === null ? -1 : Math.abs(row.normalized));
+  return {
+    method,
+    quantities: rows.sort((p, q) => rank(q) - rank(p)),
+    order: quantities,
+    points,
+    xEnd: end.x
+  };
+};
@@ -0,0 +1,63 @@
+import { TASKS } from '../tasks';
+import { sensitivityAnalysis, sensitivityQuantities } from './sensitivity';
+
+const options = { h: 0.01, atol: 1e-10, tEnd: 1, outputStep: 0.05 };
+
+test('x\' = −k x has the analytic sensitivities −t x and e^(−kt)', () => {
+  const decay = {
+    params: { k: 2 },
+    initialConditionsValues: { x: 3 },
+    initialState: (ic) => [ic.x],
+    f: (t, [x], p) => -p.k * x
+  };
+  const result = sensitivityAnalysis(decay, 'dormand-prince', {
+    ...options,
+    quantities: [{ group: 'params', name: 'k' }, { group: 'initialConditions', name: 'x' }]
+  });
+
+  const end = result.points[result.points.length - 1];
+  expect(end.dx[0]).toBeCloseTo(-1 * 3 * Math.exp(-2), 6);
+  expect(end.dx[1]).toBeCloseTo(Math.exp(-2), 6);
+  // Нормированные: k/x · ∂x/∂k = −kT = −2, x0/x · ∂x/∂x0 = 1
+  expect(result.quantities.map(q => q.name)).toEqual(['k', 'x']);
+  expect(result.quantities[0].normalized).toBeCloseTo(-2, 5);
+  expect(result.quantities[1].normalized).toBeCloseTo(1, 5);
+});
+
+test('beam and gyroscope sensitivities agree with finite differences', () => {
+  for (const name of ['beam', 'gyroscope']) {
+    const task = TASKS[name];
+    const result = sensitivityAnalysis(task, 'rkf', { ...options, quantities: sensitivityQuantities(task) });
+    result.quantities.forEach(row => {
+      expect(Math.abs(row.derivative - row.finiteDifference)).toBeLessThan(1e-5 * Math.max(1, Math.abs(row.finiteDifference)));
+    });
+  }
+});
+
+test('parameters that change the delay are excluded', () => {
+  const names = sensitivityQuantities(TASKS.gyroscope).map(q => `${q.group}.${q.name}`);
+  expect(names).toEqual(['params.m', 'params.alpha', 'params.beta', 'initialConditions.x', 'initialConditions.v', 'initialConditions.a']);
+  expect(() => sensitivityAnalysis(TASKS.beam, 'rkf', { ...options, quantities: [] })).toThrow('Не выбраны');
+});
+
+test('a diverging parameter set stops with an error instead of running at the minimum step', () => {
+  // Уравнение задачи о планке при параметрах по умолчанию уходит на бесконечность при t ≈ 4.5
+  const quantities = [{ group: 'params', name: 'k' }, { group: 'params', name: 'c' }];
+  for (const method of ['dormand-prince', 'rk4']) {
+    expect(() => sensitivityAnalysis(TASKS.beam, method, { ...options, tEnd: 10, quantities }))
+      .toThrow('уходит на бесконечность');
+  }
+
+  // Номинальное решение гладкое, а уравнение в вариациях по k содержит разрывную силу:
+  // расширенная система застревает на мелком шаге и прерывается по пределу числа шагов
+  const chattering = {
+    params: { k: 2 },
+    initialConditionsValues: { x: 1 },
+    initialState: (ic) => [ic.x],
+    f: (t, [x], p) => -p.k * x + (p.k - 2) * 1e6 * Math.sign(Math.sin(1e4 * t))
+  };
+  expect(() => sensitivityAnalysis(chattering, 'dormand-prince', {
+    ...options,
+    quantities: [{ group: 'params', name: 'k' }]
+  })).toThrow('уходит на бесконечность');
+});
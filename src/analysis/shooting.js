@@ -0,0 +1,131 @@
+import { runTask, isDivergence, grownStepLimit } from '../tasks/run';
+import { luDecompose, luSolve } from '../solver/linalg';
+
+// Относительное приращение неизвестных при вычислении матрицы Якоби разностями вперёд;
+// достаточно большое, чтобы разность не тонула в погрешности адаптивного решателя
+const JACOBIAN_DELTA = 1e-6;
+// Сколько раз шаг Ньютона можно уменьшить вдвое, пока невязка не станет меньше
+const MAX_HALVINGS = 10;
+
+const residualNorm = (residuals) => Math.max(...residuals.map(Math.abs));
+
+// Матрица Якоби J[i][j] = ∂r_i/∂s_j; null, если решение с приращением ушло на бесконечность
+const shootingJacobian = (shoot, s, r) => {
+  const columns = [];
+  for (let j = 0; j < s.length; j++) {
+    const delta = JACOBIAN_DELTA * Math.max(1, Math.abs(s[j]));
+    const shifted = s.slice();
+    shifted[j] += delta;
+    const rj = shoot(shifted);
+    if (!rj) return null;
+    columns.push(rj.map((ri, i) => (ri - r[i]) / delta));
+  }
+  return r.map((_, i) => columns.map(column => column[i]));
+};
+
+// Шаг Ньютона s + scale · step с наибольшим scale = 1, 1/2, 1/4, ..., уменьшающим невязку;
+// null, если такого нет
+const dampedStep = (shoot, s, r, step) => {
+  for (let m = 0; m <= MAX_HALVINGS; m++) {
+    const scale = Math.pow(2, -m);
+    const next = s.map((sj, j) => sj + scale * step[j]);
+    const residuals = shoot(next);
+    if (residuals && residualNorm(residuals) < residualNorm(r)) {
+      return { unknowns: next, residuals, scale };
+    }
+  }
+  return null;
+};
+
+// Краевая задача методом стрельбы: начальные значения y_i(0) с индексами unknowns неизвестны
+// и подбираются так, чтобы выполнялись условия y_index(T) = value для targets = [{ index, value }];
+// остальные начальные значения и начальные приближения неизвестных — из начальных условий задачи.
+// Невязки r(s) = y_index(T) − value обнуляются методом Ньютона с матрицей Якоби разностями
+// (для одной неизвестной — метод секущих с малым приращением) и уменьшением шага вдвое,
+// если полный шаг не уменьшает невязку.
+// Возвращает { method, unknowns, targets, converged, message, history, initialState, points, stats };
+// history — итерации [{ iteration, unknowns, residuals, norm, scale }], message — причина,
+// по которой метод не сошёлся; траектория points строится по последнему приближению.
+export const shootingMethod = (task, method, {
+  unknowns, targets, tol = 1e-8, maxIterations = 30, maxSteps = 1e5, onProgress, ...solverOptions
+}) => {
+  if (!unknowns.length || unknowns.length !== targets.length) {
+    throw new Error('Число условий при t = T должно равняться числу неизвестных начальных значений');
+  }
+  const base = task.initialState(task.initialConditionsValues);
+  const stateFor = (s) => {
+    const y0 = base.slice();
+    unknowns.forEach((index, j) => { y0[index] = s[j]; });
+    return y0;
+  };
+
+  // Невязки условий при t = T; null, если решение уходит на бесконечность
+  let stepLimit = maxSteps;
+  const shoot = (s) => {
+    let result;
+    try {
+      result = runTask(task, method, {
+        ...solverOptions, y0: stateFor(s), outputStep: solverOptions.tEnd, maxSteps: stepLimit
+      });
+    } catch (e) {
+      if (!isDivergence(e)) throw e;
+      return null;
+    }
+    stepLimit = grownStepLimit(stepLimit, result.stats);
+    const residuals = targets.map(({ index, value }) => result.finalState[index] - value);
+    return residuals.every(Number.isFinite) ? residuals : null;
+  };
+
+  let s = unknowns.map(index => base[index]);
+  let r = shoot(s);
+  if (!r) {
+    throw new Error('Решение с начальным приближением уходит на бесконечность: измените начальные условия');
+  }
+  const history = [{ iteration: 0, unknowns: s, residuals: r, norm: residualNorm(r), scale: null }];
+  let message = null;
+
+  for (let k = 1; residualNorm(r) > tol; k++) {
+    if (k > maxIterations) {
+      message = `Метод стрельбы не сошёлся за ${maxIterations} итераций: невязка ${residualNorm(r).toExponential(3)} больше допуска ${tol}`;
+      break;
+    }
+
+    const jacobian = shootingJacobian(shoot, s, r);
+    if (!jacobian) {
+      message = 'Решение уходит на бесконечность при малом изменении неизвестных: задайте другое начальное приближение';
+      break;
+    }
+    let step;
+    try {
+      step = luSolve(luDecompose(jacobian), r.map(ri => -ri));
+    } catch (e) {
+      message = 'Матрица Якоби вырождена: условия при t = T не зависят от неизвестных начальных значений';
+      break;
+    }
+    const next = step.every(Number.isFinite) ? dampedStep(shoot, s, r, step) : null;
+    if (!next) {
+      message = 'Шаг Ньютона не уменьшает невязку: задайте другое начальное приближение неизвестных';
+      break;
+    }
+
+    s = next.unknowns;
+    r = next.residuals;
+    history.push({ iteration: k, unknowns: s, residuals: r, norm: residualNorm(r), scale: next.scale });
+    if (onProgress) onProgress({ iteration: k, maxIterations, norm: residualNorm(r) });
+  }
+
+  const initialState = stateFor(s);
+  const { points, stats } = runTask(task, method, { ...solverOptions, y0: initialState });
+
+  return {
+    method,
+    unknowns,
+    targets,
+    converged: message === null,
+    message,
+    history,
+    initialState,
+    points,
+    stats
+  };
+};
@@ -0,0 +1,64 @@
+import { TASKS } from '../tasks';
+import { shootingMethod } from './shooting';
+import { parseBvpSettings } from '../bvpSettings';
+
+// x'' = −x, x(0) = 0: x(t) = x'(0) sin t
+const sine = {
+  params: {},
+  initialConditionsValues: [0, 5],
+  initialState: (ic) => ic,
+  f: (t, [x]) => -x
+};
+
+const options = { h: 0.01, atol: 1e-10, outputStep: 0.01 };
+
+test('shooting finds the missing initial slope of a linear problem', () => {
+  const progress = [];
+  const result = shootingMethod(sine, 'dormand-prince', {
+    ...options,
+    tEnd: Math.PI / 2,
+    unknowns: [1],
+    targets: [{ index: 0, value: 1 }],
+    onProgress: (p) => progress.push(p.iteration)
+  });
+
+  expect(result.converged).toBe(true);
+  expect(result.initialState[1]).toBeCloseTo(1, 7);
+  expect(result.history[0].unknowns).toEqual([5]);
+  expect(progress).toEqual(result.history.slice(1).map(h => h.iteration));
+  expect(result.points[result.points.length - 1].x).toBeCloseTo(1, 7);
+});
+
+test('the beam problem converges with conditions at both ends', () => {
+  const { options: bvp, errors } = parseBvpSettings(3, {});
+  expect(errors).toEqual({});
+  const result = shootingMethod(TASKS.beam, 'rkf', { ...options, ...bvp, tEnd: 1 });
+  expect(result.converged).toBe(true);
+  expect(result.initialState.slice(0, 2)).toEqual([0.5, 0]);
+  expect(Math.abs(result.points[result.points.length - 1].x)).toBeLessThan(1e-8);
+});
+
+test('failure to converge is reported with the iteration history', () => {
+  // x(π) = 0 при любом x'(0): условие x(π) = 1 невыполнимо
+  const result = shootingMethod(sine, 'dormand-prince', {
+    ...options,
+    tEnd: Math.PI,
+    unknowns: [1],
+    targets: [{ index: 0, value: 1 }]
+  });
+  expect(result.converged).toBe(false);
+  expect(result.message).toBeTruthy();
+  expect(result.history.length).toBeGreaterThan(0);
+
+  const limited = shootingMethod(TASKS.beam, 'rkf', {
+    ...options, ...parseBvpSettings(3, {}).options, tEnd: 1, maxIterations: 1, tol: 1e-14
+  });
+  expect(limited.converged).toBe(false);
+  expect(limited.message).toContain('не сошёлся за 1');
+});
+
+test('the number of conditions must match the number of unknowns', () => {
+  expect(parseBvpSettings(3, { start1: 'unknown' }).errors['bvp.count']).toContain('(2)');
+  expect(parseBvpSettings(3, { start2: 'given' }).errors['bvp.count']).toBeTruthy();
+  expect(() => shootingMethod(sine, 'rkf', { ...options, tEnd: 1, unknowns: [1], targets: [] })).toThrow('Число условий');
+});
@@ -0,0 +1,92 @@
+import { DivergenceError } from '../solver';
+import { runTask, isBoundedState, spanStepLimit, StepLimitError } from '../tasks/run';
+
+// Значения параметра: count точек от from до to включительно
+export const sweepValues = (from, to, count) =>
+  Array.from({ length: count }, (_, i) => from + (to - from) * i / (count - 1));
+
+// Экстремум выборки, уточнённый параболой через соседние точки
+// (без уточнения амплитуда занижается на долю 1 - cos(π / pointsPerPeriod))
+const refinedExtremum = (xs, sign) => {
+  let i = 0;
+  for (let j = 1; j < xs.length; j++) {
+    if (sign * xs[j] > sign * xs[i]) i = j;
+  }
+  if (i === 0 || i === xs.length - 1) return xs[i];
+  const [a, b, c] = [xs[i - 1], xs[i], xs[i + 1]];
+  const curvature = a - 2 * b + c;
+  return curvature === 0 ? b : b - (a - c) * (a - c) / (8 * curvature);
+};
+
+// Установившийся режим при одном значении параметра: x в моменты t = kT
+// (стробоскопическое отображение) и амплитуда — половина размаха x
+const steadyState = (points, transient, samples, pointsPerPeriod) => {
+  const xs = points.slice(transient * pointsPerPeriod).map(p => p.x);
+  return {
+    samples: xs.filter((_, i) => i % pointsPerPeriod === 0 && i < samples * pointsPerPeriod),
+    amplitude: (refinedExtremum(xs, 1) - refinedExtremum(xs, -1)) / 2
+  };
+};
+
+// Развёртка по параметру param задачи с периодической внешней силой (task.forcingPeriod).
+// Для каждого значения решение строится на transient + samples периодах T внешней силы,
+// переходный процесс (первые transient периодов) отбрасывается.
+// Каждый расчёт начинается из конечного состояния предыдущего (продолжение по параметру);
+// direction = 'both' добавляет обратный проход, на котором видны гистерезис и сосуществующие режимы.
+// Если решение уходит на бесконечность (решатель останавливается DivergenceError или состояние
+// выходит за границу isBoundedState), точка помечается diverged, а следующий расчёт начинается
+// из начальных условий задачи. Число шагов ограничено по T / h или T / hMin (см. spanStepLimit).
+// Возвращает { param, method, branches: [{ direction, points: [{ value, samples, amplitude, diverged }] }] }.
+export const parameterSweep = (task, method, {
+  param, from, to, count, transient = 100, samples = 50, pointsPerPeriod = 20,
+  direction = 'up', onProgress, ...solverOptions
+}) => {
+  if (!task.forcingPeriod) {
+    throw new Error('У задачи нет периодической внешней силы');
+  }
+
+  const values = sweepValues(from, to, count);
+  const passes = direction === 'both' ? [values, values.slice().reverse()] : [values];
+  const total = passes.length * count;
+  let done = 0;
+  let y0;
+
+  const branches = passes.map((pass, index) => ({
+    direction: index === 0 ? 'up' : 'down',
+    points: pass.map((value) => {
+      const params = { ...task.params, [param]: value };
+      const period = task.forcingPeriod(params);
+      if (!(period > 0 && Number.isFinite(period))) {
+        throw new Error(`Период внешней силы не определён при ${param} = ${value}`);
+      }
+
+      const tEnd = (transient + samples) * period;
+      let result = null;
+      try {
+        result = runTask({ ...task, params }, method, {
+          ...solverOptions,
+          y0,
+          tEnd,
+          outputStep: period / pointsPerPeriod,
+          maxSteps: spanStepLimit(method, tEnd, solverOptions)
+        });
+      } catch (e) {
+        if (e instanceof StepLimitError) {
+          throw new Error(`${e.message} при ${param} = ${value}: увеличьте шаг h или ослабьте допуски`);
+        }
+        if (!(e instanceof DivergenceError)) throw e;
+      }
+      const diverged = !result || !isBoundedState(result.finalState) ||
+        !result.points.every(p => isBoundedState([p.x]));
+      y0 = diverged ? undefined : result.finalState;
+
+      done++;
+      if (onProgress) onProgress({ done, total, value });
+      return diverged
+        ? { value, samples: [], amplitude: null, diverged }
+        : { value, ...steadyState(result.points, transient, samples, pointsPerPeriod), diverged };
+    })
+  }));
+
+  return { param, method, branches };
+};
@@ -0,0 +1,80 @@
+import { TASKS } from '../tasks';
+import { parameterSweep, sweepValues } from './sweep';
+
+test('sweep values include both ends', () => {
+  expect(sweepValues(1, 2, 5)).toEqual([1, 1.25, 1.5, 1.75, 2]);
+});
+
+// x'' + 2ζ x' + x = cos ωt: установившийся режим — одна точка стробоскопического
+// отображения, амплитуда 1 / sqrt((1 - ω²)² + (2ζω)²)
+const oscillator = {
+  params: { zeta: 0.2, omega: 1 },
+  initialConditionsValues: { x: 0, v: 0 },
+  initialState: (ic) => [ic.x, ic.v],
+  f: (t, [x, v], p) => Math.cos(p.omega * t) - 2 * p.zeta * v - x,
+  forcingPeriod: (p) => 2 * Math.PI / p.omega
+};
+
+test('damped linear oscillator settles to a period-one response with the resonance amplitude', () => {
+  const progress = [];
+  const result = parameterSweep(oscillator, 'dormand-prince', {
+    param: 'omega',
+    from: 0.5,
+    to: 1.5,
+    count: 3,
+    transient: 20,
+    samples: 5,
+    h: 0.01,
+    atol: 1e-9,
+    direction: 'both',
+    onProgress: (p) => progress.push(p.done)
+  });
+
+  expect(result.branches.map(branch => branch.direction)).toEqual(['up', 'down']);
+  expect(progress).toEqual([1, 2, 3, 4, 5, 6]);
+  for (const { value, samples, amplitude } of result.branches[0].points) {
+    expect(samples).toHaveLength(5);
+    expect(Math.max(...samples) - Math.min(...samples)).toBeLessThan(1e-4);
+    expect(amplitude).toBeCloseTo(1 / Math.hypot(1 - value * value, 2 * 0.2 * value), 3);
+  }
+});
+
+test('fixed-step methods at low forcing frequency are not mistaken for divergent runs', () => {
+  // При ω = 0.5 и h = 0.01 на период приходится 1257 шагов
+  const result = parameterSweep(oscillator, 'rk4', {
+    param: 'omega',
+    from: 0.5,
+    to: 1,
+    count: 2,
+    transient: 20,
+    samples: 5,
+    h: 0.01
+  });
+  for (const { value, amplitude, diverged } of result.branches[0].points) {
+    expect(diverged).toBe(false);
+    expect(amplitude).toBeCloseTo(1 / Math.hypot(1 - value * value, 2 * 0.2 * value), 3);
+  }
+});
+
+test('tasks without periodic forcing cannot be swept', () => {
+  expect(() => parameterSweep(TASKS.gyroscope, 'rkf', { param: 'beta', from: 1, to: 2, count: 2 }))
+    .toThrow('нет периодической');
+});
+
+test('divergent runs are marked instead of hanging at the minimum step', () => {
+  // Уравнение третьего порядка задачи о планке при этих параметрах уходит на бесконечность при t ≈ 4.5
+  const result = parameterSweep(TASKS.beam, 'dormand-prince', {
+    param: 'F0',
+    from: 1,
+    to: 1.5,
+    count: 2,
+    transient: 10,
+    samples: 5,
+    h: 0.01,
+    atol: 1e-6
+  });
+  for (const point of result.branches[0].points) {
+    expect(point.diverged).toBe(true);
+    expect(point.samples).toEqual([]);
+  }
+});
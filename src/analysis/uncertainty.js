@@ -0,0 +1,116 @@
+import { runTask, isDivergence, grownStepLimit } from '../tasks/run';
+import { uniformTimes } from '../solver';
+import { createRandom } from '../math/random';
+import { FIT_GROUPS, withFittedValues } from './fitting';
+
+// Распределения величин задачи; среднее — текущее значение величины,
+// width — полуширина δ равномерного распределения или σ нормального
+export const DISTRIBUTIONS = {
+  fixed: { label: 'не меняется' },
+  uniform: { label: 'равномерное, ± δ', width: 'δ' },
+  normal: { label: 'нормальное, σ', width: 'σ' }
+};
+
+// Процентили, по которым строятся полосы: 5–95% и 25–75% с медианой
+export const PERCENTILES = [5, 25, 50, 75, 95];
+
+// Полосы считаются не больше чем в стольких узлах времени
+const BAND_NODES = 500;
+
+const draw = (random, kind, mean, width) => {
+  switch (kind) {
+    case 'uniform':
+      return mean + width * (2 * random.uniform() - 1);
+    case 'normal':
+      return mean + width * random.normal();
+    default:
+      return mean;
+  }
+};
+
+// Процентиль q (0–100) упорядоченной по возрастанию выборки с линейной интерполяцией
+export const percentile = (sorted, q) => {
+  const position = (sorted.length - 1) * q / 100;
+  const lo = Math.floor(position);
+  const hi = Math.min(lo + 1, sorted.length - 1);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (position - lo);
+};
+
+// Гистограмма: bins интервалов равной ширины от минимума до максимума, [{ from, to, count }];
+// по умолчанию число интервалов — корень из объёма выборки, от 5 до 50
+export const histogram = (values, bins = Math.min(50, Math.max(5, Math.ceil(Math.sqrt(values.length))))) => {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const width = (max - min) / bins || 1;
+  const counts = new Array(bins).fill(0);
+  values.forEach(v => { counts[Math.min(bins - 1, Math.floor((v - min) / width))]++; });
+  return counts.map((count, i) => ({ from: min + i * width, to: min + (i + 1) * width, count }));
+};
+
+// x(t) в узлах times при значениях values величин varied; null, если решение уходит на бесконечность
+const sampleTrajectory = (task, method, varied, values, options) => {
+  let result;
+  try {
+    result = runTask(withFittedValues(task, varied, values), method, options);
+  } catch (e) {
+    if (!isDivergence(e)) throw e;
+    return null;
+  }
+  const xs = result.points.map(p => p.x);
+  return xs.length === options.times.length && xs.every(Number.isFinite) ? xs : null;
+};
+
+// Распространение неопределённости методом Монте-Карло: samples реализаций задачи со случайными
+// значениями величин distributions = [{ group, name, kind, width }] (см. DISTRIBUTIONS), решённых методом
+// method. Зерно seed делает выборку воспроизводимой. Реализации, уходящие на бесконечность, отбрасываются.
+// Возвращает { method, seed, samples, failed, points: [{ t, nominal, mean, p5, p25, p50, p75, p95 }],
+// endValues }: номинальное решение, среднее и процентили по реализациям во времени и x(T) реализаций.
+export const monteCarlo = (task, method, {
+  distributions, samples, seed, maxSteps = 1e5, onProgress, ...solverOptions
+}) => {
+  const varied = distributions.filter(d => d.kind !== 'fixed');
+  if (!varied.length) {
+    throw new Error('Не задан разброс ни одной величины');
+  }
+  const { tEnd, outputStep } = solverOptions;
+  const times = uniformTimes(0, tEnd, Math.max(outputStep, tEnd / BAND_NODES));
+  const means = varied.map(({ group, name }) => task[FIT_GROUPS[group]][name]);
+
+  const nominalRun = runTask(task, method, { ...solverOptions, times, maxSteps });
+  const nominal = nominalRun.points.map(p => p.x);
+  if (!nominal.every(Number.isFinite)) {
+    throw new Error('Номинальное решение уходит на бесконечность');
+  }
+  const options = { ...solverOptions, times, maxSteps: grownStepLimit(maxSteps, nominalRun.stats) };
+
+  const random = createRandom(seed);
+  const trajectories = [];
+  for (let k = 0; k < samples; k++) {
+    const values = varied.map((d, j) => draw(random, d.kind, means[j], d.width));
+    const xs = sampleTrajectory(task, method, varied, values, options);
+    if (xs) trajectories.push(xs);
+    if (onProgress) onProgress({ done: k + 1, total: samples });
+  }
+  if (!trajectories.length) {
+    throw new Error('Все реализации уходят на бесконечность: уменьшите разброс величин');
+  }
+
+  const points = times.map((t, i) => {
+    const column = trajectories.map(xs => xs[i]).sort((a, b) => a - b);
+    return {
+      t,
+      nominal: nominal[i],
+      mean: column.reduce((sum, x) => sum + x, 0) / column.length,
+      ...Object.fromEntries(PERCENTILES.map(q => [`p${q}`, percentile(column, q)]))
+    };
+  });
+
+  return {
+    method,
+    seed,
+    samples,
+    failed: samples - trajectories.length,
+    points,
+    endValues: trajectories.map(xs => xs[xs.length - 1])
+  };
+};
@@ -0,0 +1,68 @@
+import { TASKS } from '../tasks';
+import { histogram, monteCarlo, percentile } from './uncertainty';
+
+const options = { h: 0.01, atol: 1e-10, tEnd: 1, outputStep: 0.05 };
+
+const decay = {
+  params: { k: 2 },
+  initialConditionsValues: { x: 3 },
+  initialState: (ic) => [ic.x],
+  f: (t, [x], p) => -p.k * x
+};
+
+test('percentiles and histogram of a small sample', () => {
+  const sorted = [1, 2, 3, 4, 5];
+  expect(percentile(sorted, 0)).toBe(1);
+  expect(percentile(sorted, 50)).toBe(3);
+  expect(percentile(sorted, 95)).toBeCloseTo(4.8, 12);
+
+  const bins = histogram([0, 0.1, 0.5, 0.9, 1], 2);
+  expect(bins.map(bin => bin.count)).toEqual([2, 3]);
+  expect(bins[1]).toMatchObject({ from: 0.5, to: 1 });
+});
+
+test('a uniform initial condition gives the scaled uniform percentiles of x(t) = x0 e^(−kt)', () => {
+  const result = monteCarlo(decay, 'dormand-prince', {
+    ...options,
+    samples: 400,
+    seed: 7,
+    distributions: [{ group: 'initialConditions', name: 'x', kind: 'uniform', width: 1 }]
+  });
+
+  expect(result.failed).toBe(0);
+  expect(result.endValues).toHaveLength(400);
+  const end = result.points[result.points.length - 1];
+  const scale = Math.exp(-2);
+  expect(end.t).toBe(1);
+  expect(end.nominal).toBeCloseTo(3 * scale, 8);
+  // Квантили равномерного распределения на [2, 4]: 2.1, 2.5, 3, 3.5, 3.9
+  [[end.p5, 2.1], [end.p25, 2.5], [end.p50, 3], [end.p75, 3.5], [end.p95, 3.9]].forEach(([value, expected]) => {
+    expect(Math.abs(value - expected * scale)).toBeLessThan(0.1 * scale);
+  });
+});
+
+test('the same seed reproduces the sample; diverging realisations are dropped', () => {
+  const run = (seed) => monteCarlo(TASKS.beam, 'rkf', {
+    ...options,
+    samples: 20,
+    seed,
+    distributions: [{ group: 'params', name: 'k', kind: 'normal', width: 0.1 * TASKS.beam.params.k }]
+  }).endValues;
+  expect(run(3)).toEqual(run(3));
+  expect(run(3)).not.toEqual(run(4));
+
+  const blowUp = {
+    ...decay,
+    params: { k: 0 },
+    f: (t, [x], p) => (p.k > 0 ? x * x : 0)
+  };
+  const result = monteCarlo(blowUp, 'rkf', {
+    ...options,
+    samples: 10,
+    seed: 1,
+    distributions: [{ group: 'params', name: 'k', kind: 'uniform', width: 1 }]
+  });
+  expect(result.failed).toBeGreaterThan(0);
+  expect(result.failed).toBeLessThan(10);
+  expect(() => monteCarlo(decay, 'rkf', { ...options, samples: 1, seed: 1, distributions: [] })).toThrow('разброс');
+});
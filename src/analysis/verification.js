@@ -0,0 +1,92 @@
+import { runTask } from '../tasks/run';
+
+// Проверка методов по задачам с известным точным решением.
+// Относительная ошибка |x − x*| / max(|x*|, RELATIVE_FLOOR · max|x*|): вблизи нулей точного
+// решения знаменатель ограничен снизу долей масштаба решения, иначе ошибка неограниченно растёт.
+export const RELATIVE_FLOOR = 1e-3;
+
+// x*(t) = (sin t + e^(−t/2)) / 2 и его производные любого порядка
+const manufactured = (t, order) =>
+  (Math.sin(t + order * Math.PI / 2) + Math.pow(-0.5, order) * Math.exp(-t / 2)) / 2;
+
+const derivatives = (fn, t, count) => Array.from({ length: count }, (_, k) => fn(t, k));
+
+// Тестовые задачи: build(task) — конфиг в формате TASKS с точным решением exact(t) = [x, x', ...]
+export const VERIFICATION_PROBLEMS = {
+  linear: {
+    label: "Линейное уравнение x''' + x'' + x' + x = 0",
+    tex: `x''' + x'' + x' + x = 0,\\quad x^*(t) = \\tfrac12 \\left(e^{-t} + \\cos t + \\sin t\\right)`,
+    build: () => {
+      // Корни характеристического уравнения: −1, ±i
+      const exact = (t) => {
+        const e = Math.exp(-t) / 2;
+        const c = Math.cos(t) / 2;
+        const s = Math.sin(t) / 2;
+        return [e + c + s, -e - s + c, e - c - s];
+      };
+      return {
+        params: {},
+        initialConditionsValues: exact(0),
+        initialState: (ic) => ic,
+        f: (t, [x, v, a]) => -a - v - x,
+        exact
+      };
+    }
+  },
+  manufactured: {
+    label: 'Искусственное решение для уравнения задачи',
+    tex: `x^{(n)} = f(t, x, \\ldots) + s(t),\\quad x^*(t) = \\tfrac12 \\left(\\sin t + e^{-t/2}\\right)`,
+    // К правой части задачи добавляется источник s(t) = x*^(n)(t) − f(t, x*, ...), при котором
+    // x* — точное решение; у уравнений с запаздыванием x* задаёт и предысторию
+    build: (task) => {
+      const order = task.initialState(task.initialConditionsValues).length;
+      const exact = (t) => derivatives(manufactured, t, order);
+      const lagged = (t, params) => task.delays && task.delays(params).map(tau => exact(t - tau));
+      const source = (t, params) => manufactured(t, order) - task.f(t, exact(t), params, lagged(t, params));
+      return {
+        ...task,
+        initialConditionsValues: exact(0),
+        initialState: () => exact(0),
+        history: (t) => exact(t),
+        f: (t, y, params, delayed) => task.f(t, y, params, delayed) + source(t, params),
+        exact
+      };
+    }
+  }
+};
+
+const relativeError = (error, exact, floor) => {
+  const floored = Math.abs(exact) < floor;
+  return { relative: error / (floored ? floor : Math.abs(exact)), floored };
+};
+
+// Ошибки методов относительно точного решения задачи problem (см. VERIFICATION_PROBLEMS)
+// на сетке вывода. Возвращает { problem, series: [{ method, errors: [{ t, error }],
+// endError, endRelative, endFloored, maxError, maxRelative }] }; endFloored — точное решение
+// в конце отрезка близко к нулю и относительная ошибка отнесена к масштабу решения.
+export const verificationStudy = (task, methods, { problem, onProgress, ...options }) => {
+  const testTask = VERIFICATION_PROBLEMS[problem].build(task);
+
+  const series = methods.map((method, index) => {
+    const { points } = runTask(testTask, method, options);
+    const exact = points.map(p => testTask.exact(p.t)[0]);
+    const floor = RELATIVE_FLOOR * Math.max(...exact.map(Math.abs));
+
+    const errors = points.map((p, i) => ({ t: p.t, error: Math.abs(p.x - exact[i]) }));
+    const relatives = errors.map((e, i) => relativeError(e.error, exact[i], floor));
+    const last = errors.length - 1;
+
+    if (onProgress) onProgress({ done: index + 1, total: methods.length, method });
+    return {
+      method,
+      errors,
+      endError: errors[last].error,
+      endRelative: relatives[last].relative,
+      endFloored: relatives[last].floored,
+      maxError: Math.max(...errors.map(e => e.error)),
+      maxRelative: Math.max(...relatives.map(r => r.relative))
+    };
+  });
+
+  return { problem, series };
+};
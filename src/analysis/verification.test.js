@@ -0,0 +1,33 @@
+import { TASKS } from '../tasks';
+import { resolveTask } from '../tasks/run';
+import { VERIFICATION_PROBLEMS, verificationStudy } from './verification';
+
+const options = { h: 0.01, atol: 1e-10, tEnd: 3, outputStep: 0.05 };
+
+test('the linear test problem has the stated exact solution', () => {
+  const { exact, f, initialConditionsValues } = VERIFICATION_PROBLEMS.linear.build();
+  expect(initialConditionsValues).toEqual([1, 0, 0]);
+  // x''' по конечной разности x'' совпадает с правой частью
+  const t = 0.7;
+  const d = 1e-6;
+  expect((exact(t + d)[2] - exact(t - d)[2]) / (2 * d)).toBeCloseTo(f(t, exact(t)), 6);
+});
+
+test('every method is measured against the exact solution, including the former reference', () => {
+  const result = verificationStudy(TASKS.beam, ['dormand-prince', 'euler'], { ...options, problem: 'linear' });
+  const [dp, euler] = result.series;
+  expect(dp.endError).toBeGreaterThan(0);
+  expect(dp.maxError).toBeLessThan(1e-8);
+  expect(euler.maxError).toBeGreaterThan(1e3 * dp.maxError);
+  // x*(t) проходит через ноль при t ≈ 2.4 — относительная ошибка всё равно ограничена
+  expect(Number.isFinite(euler.maxRelative)).toBe(true);
+  expect(euler.maxRelative).toBeLessThan(1e3 * euler.maxError);
+});
+
+test('manufactured solutions work for the task equations, delays included', () => {
+  for (const name of ['beam', 'gyroscope']) {
+    const task = resolveTask({ task: name, params: TASKS[name].params, initialConditionsValues: TASKS[name].initialConditionsValues });
+    const [dp] = verificationStudy(task, ['dormand-prince'], { ...options, problem: 'manufactured' }).series;
+    expect(dp.maxError).toBeLessThan(1e-7);
+  }
+});
@@ -0,0 +1,71 @@
+import { parseGroup } from './tasks/schema';
+
+// Настройки краевой задачи для уравнения порядка order: какие начальные значения
+// x(0), x'(0), ... заданы, а какие ищутся методом стрельбы, и условия при t = T (пусто — условия нет).
+// Число неизвестных начальных значений должно равняться числу условий при t = T.
+// Заданные значения и начальные приближения неизвестных берутся из начальных условий задачи.
+
+const derivative = (symbol, index) => symbol + "'".repeat(index);
+
+export const bvpSettingsSchema = (order, symbol = 'x') => ({
+  ...Object.fromEntries(Array.from({ length: order }, (_, i) => [
+    [`start${i}`, {
+      label: `${derivative(symbol, i)}(0)`,
+      title: 'Заданное начальное значение или неизвестное, подбираемое по условиям при t = T',
+      options: { given: 'задано', unknown: 'неизвестно' },
+      input: i === order - 1 ? 'unknown' : 'given'
+    }],
+    [`end${i}`, {
+      label: `${derivative(symbol, i)}(T)`,
+      title: 'Значение при t = T (пусто — условия нет)',
+      optional: true,
+      input: i === 0 ? '0' : ''
+    }]
+  ]).flat()),
+  tol: {
+    label: 'Допуск',
+    title: 'Допустимая невязка условий при t = T',
+    min: 0,
+    exclusiveMin: true,
+    input: '1e-8'
+  },
+  maxIterations: {
+    label: 'Итераций',
+    title: 'Предельное число итераций Ньютона',
+    min: 1,
+    input: '30'
+  }
+});
+
+export const defaultBvpSettings = (order) => Object.fromEntries(
+  Object.entries(bvpSettingsSchema(order)).map(([name, field]) => [name, field.input])
+);
+
+// Опции shootingMethod и ошибки ввода по ключам вида "bvp.end0";
+// несоответствие числа неизвестных и условий — ошибка "bvp.count"
+export const parseBvpSettings = (order, inputs) => {
+  const errors = {};
+  const schema = bvpSettingsSchema(order);
+  const values = parseGroup(schema, { ...defaultBvpSettings(order), ...inputs }, 'bvp', errors);
+
+  if (!errors['bvp.maxIterations'] && !(Number.isInteger(values.maxIterations) && values.maxIterations <= 200)) {
+    errors['bvp.maxIterations'] = 'Нужно целое число не больше 200';
+  }
+
+  const indices = Array.from({ length: order }, (_, i) => i);
+  const unknowns = indices.filter(i => values[`start${i}`] === 'unknown');
+  const targets = indices
+    .filter(i => values[`end${i}`] !== undefined)
+    .map(i => ({ index: i, value: values[`end${i}`] }));
+
+  if (unknowns.length === 0) {
+    errors['bvp.count'] = 'Отметьте хотя бы одно неизвестное начальное значение';
+  } else if (unknowns.length !== targets.length) {
+    errors['bvp.count'] = `Условий при t = T должно быть столько же, сколько неизвестных начальных значений (${unknowns.length})`;
+  }
+
+  return {
+    options: { unknowns, targets, tol: values.tol, maxIterations: values.maxIterations },
+    errors
+  };
+};
@@ -0,0 +1,46 @@
+import { parseGroup } from './tasks/schema';
+
+// Настройки сечения Пуанкаре и оценки старшего показателя Ляпунова
+export const CHAOS_SETTINGS_SCHEMA = {
+  transient: {
+    label: 'Переходный процесс',
+    title: 'Число отбрасываемых периодов внешней силы',
+    min: 0,
+    input: '100'
+  },
+  periods: {
+    label: 'Периодов',
+    title: 'Число периодов внешней силы: точек сечения и шагов перенормировки',
+    min: 1,
+    input: '300'
+  },
+  d0: {
+    label: 'd₀',
+    title: 'Начальное расстояние между основной и возмущённой траекториями',
+    min: 0,
+    exclusiveMin: true,
+    input: '1e-8'
+  }
+};
+
+export const defaultChaosSettings = () => Object.fromEntries(
+  Object.entries(CHAOS_SETTINGS_SCHEMA).map(([name, field]) => [name, field.input])
+);
+
+// Опции chaosAnalysis и ошибки ввода по ключам вида "chaos.periods"
+export const parseChaosSettings = (inputs) => {
+  const errors = {};
+  const options = parseGroup(CHAOS_SETTINGS_SCHEMA, inputs, 'chaos', errors);
+
+  const limits = { transient: 5000, periods: 5000 };
+  Object.entries(limits).forEach(([name, max]) => {
+    if (!errors[`chaos.${name}`] && !(Number.isInteger(options[name]) && options[name] <= max)) {
+      errors[`chaos.${name}`] = `Нужно целое число не больше ${max}`;
+    }
+  });
+  if (!errors['chaos.d0'] && options.d0 > 1e-3) {
+    errors['chaos.d0'] = 'Возмущение должно быть малым: не больше 1e-3';
+  }
+
+  return { options, errors };
+};
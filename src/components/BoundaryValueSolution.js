@@ -0,0 +1,102 @@
+import { Line } from 'react-chartjs-2';
+import DownloadableChart, { ZOOM_OPTIONS } from './DownloadableChart';
+
+const cellStyle = { border: '1px solid #ddd', padding: '8px', textAlign: 'left' };
+
+const derivative = (symbol, index) => symbol + "'".repeat(index);
+
+const format = (value) => value.toPrecision(10);
+
+// Краевая задача методом стрельбы: найденные начальные значения, история итераций Ньютона
+// (неизвестные, невязки условий при t = T, множитель шага) и траектория по последнему приближению
+const BoundaryValueSolution = ({ result, methodLabel, task, endTime, getMetadata }) => {
+  const { symbol } = task;
+  const last = result.history[result.history.length - 1];
+
+  const data = {
+    datasets: [{
+      label: `${symbol}(t)`,
+      data: result.points.map(p => ({ x: p.t, y: p.x })),
+      borderColor: 'rgb(54, 162, 235)',
+      backgroundColor: 'rgb(54, 162, 235)',
+      borderWidth: 1.5,
+      pointRadius: 0
+    }]
+  };
+
+  return (
+    <div style={{ marginTop: '30px' }}>
+      <h2>Краевая задача методом стрельбы (метод: {methodLabel}):</h2>
+      <p>
+        Условия при t = T = {endTime}:{' '}
+        {result.targets.map(({ index, value }) => `${derivative(symbol, index)}(T) = ${value}`).join(', ')}
+      </p>
+      {result.converged ? (
+        <p style={{ color: '#2e7d32' }}>
+          Сошлось (итераций: {last.iteration}):{' '}
+          <strong>
+            {result.unknowns.map((index, j) => `${derivative(symbol, index)}(0) = ${format(last.unknowns[j])}`).join(', ')}
+          </strong>
+        </p>
+      ) : (
+        <p style={{ color: '#d32f2f' }}>
+          {result.message}. Показана траектория по последнему приближению.
+        </p>
+      )}
+
+      <h3>Итерации</h3>
+      <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+        <thead>
+          <tr style={{ backgroundColor: '#f2f2f2' }}>
+            <th style={cellStyle}>№</th>
+            {result.unknowns.map(index => (
+              <th key={`s${index}`} style={cellStyle}>{derivative(symbol, index)}(0)</th>
+            ))}
+            {result.targets.map(({ index }) => (
+              <th key={`r${index}`} style={cellStyle}>Невязка {derivative(symbol, index)}(T)</th>
+            ))}
+            <th style={cellStyle}>Шаг</th>
+          </tr>
+        </thead>
+        <tbody>
+          {result.history.map(entry => (
+            <tr key={entry.iteration}>
+              <td style={cellStyle}>{entry.iteration}</td>
+              {entry.unknowns.map((value, j) => (
+                <td key={`s${j}`} style={cellStyle}>{format(value)}</td>
+              ))}
+              {entry.residuals.map((value, j) => (
+                <td key={`r${j}`} style={cellStyle}>{value.toExponential(3)}</td>
+              ))}
+              <td style={cellStyle}>{entry.scale === null ? '—' : entry.scale}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p style={{ marginTop: '10px', fontSize: '0.9em', color: '#666' }}>
+        Шаг — доля шага Ньютона: если полный шаг не уменьшает невязку, он уменьшается вдвое.
+      </p>
+
+      <DownloadableChart filename="shooting.png" getMetadata={getMetadata} zoomable style={{ height: '400px', marginTop: '10px' }}>
+        {(ref) => (
+          <Line
+            ref={ref}
+            data={data}
+            options={{
+              responsive: true,
+              maintainAspectRatio: false,
+              animation: false,
+              plugins: { zoom: ZOOM_OPTIONS },
+              scales: {
+                x: { type: 'linear', title: { display: true, text: 'Время, с' } },
+                y: { type: 'linear', title: { display: true, text: task.yLabel } }
+              }
+            }}
+          />
+        )}
+      </DownloadableChart>
+    </div>
+  );
+};
+
+export default BoundaryValueSolution;
@@ -0,0 +1,123 @@
+import { useState } from 'react';
+import { Line, Scatter } from 'react-chartjs-2';
+import DownloadableChart, { ZOOM_OPTIONS } from './DownloadableChart';
+import { STATE_COMPONENTS, availableComponents, componentLabel, phaseSeries } from '../plots/series';
+
+// Ниже этого значения |λ| показатель не отличить от нуля на конечном отрезке времени
+const EXPONENT_THRESHOLD = 0.01;
+
+const verdict = (exponent) => {
+  if (exponent > EXPONENT_THRESHOLD) return 'λ > 0 — близкие траектории расходятся экспоненциально: режим хаотический.';
+  if (exponent < -EXPONENT_THRESHOLD) return 'λ < 0 — возмущения затухают: режим устойчивый периодический.';
+  return 'λ ≈ 0 — режим квазипериодический или на границе устойчивости; увеличьте число периодов.';
+};
+
+// Сечение Пуанкаре (состояние в моменты kT) и сходимость оценки
+// старшего показателя Ляпунова λ(t) по мере накопления периодов
+const ChaosAnalysis = ({ result, methodLabel, symbol, getMetadata }) => {
+  const [axes, setAxes] = useState({ x: 'x', y: 'v' });
+
+  const points = result.section.map(({ t, y }) => ({
+    t,
+    ...Object.fromEntries(STATE_COMPONENTS.map(({ key }, i) => [key, y[i]]))
+  }));
+  const available = availableComponents(points);
+  const label = (key) => componentLabel(symbol, key);
+  const axisKey = (axis) => (available.includes(axes[axis]) ? axes[axis] : available[0]);
+
+  const section = {
+    datasets: [{
+      label: `Сечение Пуанкаре, ${points.length} точек`,
+      data: phaseSeries(points, axisKey('x'), axisKey('y')),
+      backgroundColor: 'rgb(54, 162, 235)',
+      pointRadius: 1.5
+    }]
+  };
+
+  const convergence = {
+    datasets: [{
+      label: 'λ(t)',
+      data: result.history.map(p => ({ x: p.t, y: p.exponent })),
+      borderColor: 'rgb(255, 99, 132)',
+      backgroundColor: 'rgb(255, 99, 132)',
+      borderWidth: 1.5,
+      pointRadius: 0
+    }]
+  };
+
+  return (
+    <div style={{ marginTop: '30px' }}>
+      <h2>Сечение Пуанкаре и показатель Ляпунова (метод: {methodLabel}):</h2>
+      <p>
+        Старший показатель Ляпунова: <strong>λ = {result.exponent.toFixed(5)}</strong>
+        {' '}(период внешней силы T = {result.period.toFixed(5)})
+      </p>
+      <p>{verdict(result.exponent)}</p>
+
+      <h3>Сечение Пуанкаре</h3>
+      <p style={{ fontSize: '0.9em', color: '#666' }}>
+        Состояние в моменты t = kT после переходного процесса. Одна точка — период T,
+        n точек — период nT, замкнутая кривая — квазипериодический режим, облако со структурой — хаос.
+      </p>
+      <div style={{ display: 'flex', gap: '20px' }}>
+        {['x', 'y'].map(axis => (
+          <div key={axis}>
+            <label htmlFor={`poincare-${axis}`}>Ось {axis === 'x' ? 'абсцисс' : 'ординат'}: </label>
+            <select
+              id={`poincare-${axis}`}
+              value={axisKey(axis)}
+              onChange={(e) => setAxes(prev => ({ ...prev, [axis]: e.target.value }))}
+              style={{ padding: '5px' }}
+            >
+              {available.map(key => <option key={key} value={key}>{label(key)}</option>)}
+            </select>
+          </div>
+        ))}
+      </div>
+      <DownloadableChart filename="poincare-section.png" getMetadata={getMetadata} zoomable style={{ height: '400px', marginTop: '10px' }}>
+        {(ref) => (
+          <Scatter
+            ref={ref}
+            data={section}
+            options={{
+              responsive: true,
+              maintainAspectRatio: false,
+              animation: false,
+              plugins: { zoom: ZOOM_OPTIONS },
+              scales: {
+                x: { type: 'linear', title: { display: true, text: label(axisKey('x')) } },
+                y: { type: 'linear', title: { display: true, text: label(axisKey('y')) } }
+              }
+            }}
+          />
+        )}
+      </DownloadableChart>
+
+      <h3 style={{ marginTop: '30px' }}>Сходимость оценки показателя Ляпунова</h3>
+      <p style={{ fontSize: '0.9em', color: '#666' }}>
+        λ(t) = Σ ln(d / d₀) / t по двум траекториям, возмущение перенормируется к d₀ после каждого периода.
+        Оценке можно доверять, когда кривая выходит на горизонталь.
+      </p>
+      <DownloadableChart filename="lyapunov-exponent.png" getMetadata={getMetadata} zoomable style={{ height: '300px' }}>
+        {(ref) => (
+          <Line
+            ref={ref}
+            data={convergence}
+            options={{
+              responsive: true,
+              maintainAspectRatio: false,
+              animation: false,
+              plugins: { zoom: ZOOM_OPTIONS },
+              scales: {
+                x: { type: 'linear', title: { display: true, text: 'Время, с' } },
+                y: { type: 'linear', title: { display: true, text: 'λ, 1/с' } }
+              }
+            }}
+          />
+        )}
+      </DownloadableChart>
+    </div>
+  );
+};
+
+export default ChaosAnalysis;
@@ -0,0 +1,135 @@
+import { useState } from 'react';
+import { Scatter } from 'react-chartjs-2';
+import DownloadableChart from './DownloadableChart';
+
+const cellStyle = { border: '1px solid #ddd', padding: '8px', textAlign: 'left' };
+
+const formatOrder = (order) => (order === null ? '—' : order.toFixed(2));
+
+const AXES = {
+  evaluations: { title: 'Число вычислений правой части', value: (p) => p.evaluations },
+  h: { title: 'Шаг h (для адаптивных методов — средний)', value: (p) => p.h }
+};
+
+// Результаты исследования сходимости: график ошибки в логарифмическом масштабе
+// и наблюдаемые порядки методов
+const ConvergenceStudy = ({ result, labels, colors, getMetadata }) => {
+  const [axis, setAxis] = useState('evaluations');
+  const { title, value } = AXES[axis];
+
+  const data = {
+    datasets: result.series.map(series => ({
+      label: labels[series.method],
+      data: series.points
+        .filter(p => p.error > 0)
+        .map(p => ({ x: value(p), y: p.error })),
+      borderColor: colors[series.method],
+      backgroundColor: colors[series.method],
+      showLine: true
+    }))
+  };
+
+  return (
+    <div style={{ marginTop: '30px' }}>
+      <h2>Исследование сходимости:</h2>
+      <p>
+        Эталон: Дорман-Принс с допуском {result.referenceTol},
+        x({result.tEnd}) = <strong>{result.reference.toFixed(10)}</strong>
+      </p>
+
+      <div>
+        <label htmlFor="convergenceAxis">Ось абсцисс: </label>
+        <select
+          id="convergenceAxis"
+          value={axis}
+          onChange={(e) => setAxis(e.target.value)}
+          style={{ padding: '5px' }}
+        >
+          <option value="evaluations">Число вычислений правой части</option>
+          <option value="h">Шаг интегрирования</option>
+        </select>
+      </div>
+
+      <DownloadableChart filename="convergence.png" getMetadata={getMetadata} style={{ height: '400px', marginTop: '10px' }}>
+        {(ref) => (
+          <Scatter
+            ref={ref}
+            data={data}
+            options={{
+              responsive: true,
+              maintainAspectRatio: false,
+              scales: {
+                x: { type: 'logarithmic', title: { display: true, text: title } },
+                y: { type: 'logarithmic', title: { display: true, text: `Глобальная ошибка |x(${result.tEnd}) − x_эт|` } }
+              }
+            }}
+          />
+        )}
+      </DownloadableChart>
+
+      <table style={{ borderCollapse: 'collapse', width: '100%', marginTop: '20px' }}>
+        <thead>
+          <tr style={{ backgroundColor: '#f2f2f2' }}>
+            <th style={cellStyle}>Метод</th>
+            <th style={cellStyle}>Варьируется</th>
+            <th style={cellStyle}>Теоретический порядок</th>
+            <th style={cellStyle}>Порядок по h</th>
+            <th style={cellStyle}>Порядок по числу вычислений</th>
+          </tr>
+        </thead>
+        <tbody>
+          {result.series.map(series => (
+            <tr key={series.method}>
+              <td style={cellStyle}>{labels[series.method]}</td>
+              <td style={cellStyle}>{series.adaptive ? 'допуск tol' : 'шаг h'}</td>
+              <td style={cellStyle}>{series.order}</td>
+              <td style={cellStyle}>{formatOrder(series.orderByStep)}</td>
+              <td style={cellStyle}>{formatOrder(series.orderByEvaluations)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p style={{ marginTop: '10px', fontSize: '0.9em', color: '#666' }}>
+        Порядок — наклон прямой МНК в логарифмических координатах по более точной половине уровней
+        с ошибкой больше {result.resolution.toExponential(0)}: меньшая ошибка сравнима с погрешностью эталона.
+      </p>
+      {result.tolLimit !== null && (
+        <p style={{ fontSize: '0.9em', color: '#d32f2f' }}>
+          Адаптивные методы проверены до допуска {result.tolLimit.toExponential(0)}: более жёсткие допуски
+          требуют более точного эталона.
+        </p>
+      )}
+
+      <details style={{ marginTop: '10px' }}>
+        <summary>Подробные результаты</summary>
+        {result.series.map(series => (
+          <table key={series.method} style={{ borderCollapse: 'collapse', width: '100%', marginTop: '10px' }}>
+            <thead>
+              <tr style={{ backgroundColor: '#f2f2f2' }}>
+                <th style={cellStyle} colSpan={4}>{labels[series.method]}</th>
+              </tr>
+              <tr>
+                <th style={cellStyle}>{series.adaptive ? 'tol' : 'h'}</th>
+                <th style={cellStyle}>Средний шаг</th>
+                <th style={cellStyle}>Вычислений</th>
+                <th style={cellStyle}>Ошибка</th>
+              </tr>
+            </thead>
+            <tbody>
+              {series.points.map((p, i) => (
+                <tr key={i}>
+                  <td style={cellStyle}>{series.adaptive ? p.tol.toExponential(0) : p.h.toExponential(3)}</td>
+                  <td style={cellStyle}>{p.h.toExponential(3)}</td>
+                  <td style={cellStyle}>{p.evaluations}</td>
+                  <td style={cellStyle}>{p.error.toExponential(3)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ))}
+      </details>
+    </div>
+  );
+};
+
+export default ConvergenceStudy;
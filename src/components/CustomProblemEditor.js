@@ -0,0 +1,72 @@
+import { derivativeName } from '../tasks/custom';
+
+const ErrorText = ({ message }) => message ? (
+  <span style={{ marginLeft: '10px', color: '#d32f2f', fontSize: '0.9em' }}>{message}</span>
+) : null;
+
+// Редактор пользовательской задачи: уравнение, параметры и начальные условия
+const CustomProblemEditor = ({ problem, order, errors, onChange }) => {
+  const initialConditions = Array.from({ length: order }, (_, i) => problem.initialConditions[i] ?? '0');
+
+  const update = (patch) => onChange({ ...problem, ...patch });
+
+  const updateInitialCondition = (index, value) => {
+    const next = initialConditions.slice();
+    next[index] = value;
+    update({ initialConditions: next });
+  };
+
+  return (
+    <div style={{ display: 'flex', gap: '10px', flexDirection: 'column', marginTop: '10px' }}>
+      <div>
+        <label htmlFor="customEquation">Уравнение: </label>
+        <input
+          id="customEquation"
+          type="text"
+          value={problem.equation}
+          onChange={(e) => update({ equation: e.target.value })}
+          spellCheck={false}
+          style={{ padding: '5px', width: '420px', fontFamily: 'monospace' }}
+        />
+        <ErrorText message={errors.equation} />
+      </div>
+
+      <div>
+        <label htmlFor="customParams">Параметры: </label>
+        <input
+          id="customParams"
+          type="text"
+          value={problem.params}
+          onChange={(e) => update({ params: e.target.value })}
+          spellCheck={false}
+          style={{ padding: '5px', width: '420px', fontFamily: 'monospace' }}
+        />
+        <ErrorText message={errors.params} />
+      </div>
+
+      <div>
+        <span>Начальные условия: </span>
+        {initialConditions.map((value, i) => (
+          <span key={i} style={{ marginRight: '10px' }}>
+            <label htmlFor={`customIc${i}`}>{derivativeName(i)}(0) = </label>
+            <input
+              id={`customIc${i}`}
+              type="text"
+              value={value}
+              onChange={(e) => updateInitialCondition(i, e.target.value)}
+              style={{ padding: '5px', width: '60px', fontFamily: 'monospace' }}
+            />
+          </span>
+        ))}
+        <ErrorText message={errors.initialConditions} />
+      </div>
+
+      <p style={{ margin: 0, fontSize: '0.9em', color: '#666' }}>
+        Левая часть — старшая производная (x', x'', x''', ...). В правой части доступны t, x и
+        младшие производные, параметры, функции sin, cos, tan, exp, ln, sqrt, abs и др., константы pi и e.
+      </p>
+    </div>
+  );
+};
+
+export default CustomProblemEditor;
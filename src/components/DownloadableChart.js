@@ -0,0 +1,38 @@
+import { useRef } from 'react';
+import { downloadChartPng } from '../export';
+
+// Опции chartjs-plugin-zoom: масштабирование колесом мыши и жестами, панорамирование перетаскиванием
+export const ZOOM_OPTIONS = {
+  zoom: { wheel: { enabled: true }, pinch: { enabled: true }, mode: 'xy' },
+  pan: { enabled: true, mode: 'xy' }
+};
+
+const buttonStyle = { marginTop: '5px', marginRight: '10px', padding: '3px 10px', fontSize: '0.85em', cursor: 'pointer' };
+
+// Обёртка графика с кнопкой скачивания PNG; children — функция (ref) => график,
+// getMetadata() — описание расчёта для подписи под изображением,
+// zoomable — добавить кнопку сброса масштаба (плагин chartjs-plugin-zoom)
+const DownloadableChart = ({ filename, getMetadata, zoomable, style, children }) => {
+  const chartRef = useRef(null);
+
+  const handleDownload = () => {
+    if (!chartRef.current) return;
+    downloadChartPng(chartRef.current, filename, getMetadata ? getMetadata() : null);
+  };
+
+  return (
+    <div>
+      <div style={style}>
+        {children(chartRef)}
+      </div>
+      <button onClick={handleDownload} style={buttonStyle}>Скачать PNG</button>
+      {zoomable && (
+        <button onClick={() => chartRef.current && chartRef.current.resetZoom()} style={buttonStyle}>
+          Сбросить масштаб
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default DownloadableChart;
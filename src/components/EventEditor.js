@@ -0,0 +1,86 @@
+import { EVENT_DIRECTIONS } from '../tasks/events';
+
+const cellStyle = { padding: '4px 8px 4px 0' };
+
+// Список событий g(t, x, x', ...) = 0: выражение, направление перехода через ноль
+// и остановка расчёта; errors — ошибки в выражениях по номерам событий
+const EventEditor = ({ events, errors, symbol, onChange }) => {
+  const update = (index, patch) => onChange(events.map((event, i) => (i === index ? { ...event, ...patch } : event)));
+
+  return (
+    <div>
+      <h3 style={{ margin: '10px 0' }}>События</h3>
+      <p style={{ margin: '0 0 5px', fontSize: '0.9em', color: '#666' }}>
+        Событие — обращение выражения g в ноль. В выражении доступны t, x, x', x''{symbol !== 'x' ? ` (x обозначает ${symbol})` : ''}
+        {' '}и параметры задачи, например x, x' или x - 0.5.
+      </p>
+      {events.length > 0 && (
+        <table style={{ borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th style={{ ...cellStyle, textAlign: 'left' }}>g</th>
+              <th style={{ ...cellStyle, textAlign: 'left' }}>Направление</th>
+              <th style={{ ...cellStyle, textAlign: 'left' }}>Остановить расчёт</th>
+              <th style={cellStyle} />
+            </tr>
+          </thead>
+          <tbody>
+            {events.map((event, index) => (
+              <tr key={index}>
+                <td style={cellStyle}>
+                  <input
+                    aria-label={`Событие ${index + 1}`}
+                    type="text"
+                    value={event.expression}
+                    onChange={(e) => update(index, { expression: e.target.value })}
+                    spellCheck={false}
+                    style={{
+                      padding: '5px',
+                      width: '200px',
+                      fontFamily: 'monospace',
+                      borderColor: errors[index] ? '#d32f2f' : undefined
+                    }}
+                  />
+                  {errors[index] && (
+                    <div style={{ color: '#d32f2f', fontSize: '0.8em', maxWidth: '220px' }}>{errors[index]}</div>
+                  )}
+                </td>
+                <td style={cellStyle}>
+                  <select
+                    value={event.direction}
+                    onChange={(e) => update(index, { direction: e.target.value })}
+                    style={{ padding: '5px' }}
+                  >
+                    {Object.entries(EVENT_DIRECTIONS).map(([value, { label }]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </td>
+                <td style={{ ...cellStyle, textAlign: 'center' }}>
+                  <input
+                    type="checkbox"
+                    checked={event.terminal}
+                    onChange={(e) => update(index, { terminal: e.target.checked })}
+                  />
+                </td>
+                <td style={cellStyle}>
+                  <button onClick={() => onChange(events.filter((_, i) => i !== index))} style={{ padding: '5px 10px' }}>
+                    Удалить
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <button
+        onClick={() => onChange([...events, { expression: 'x', direction: 'any', terminal: false }])}
+        style={{ marginTop: '5px', padding: '5px 10px' }}
+      >
+        Добавить событие
+      </button>
+    </div>
+  );
+};
+
+export default EventEditor;
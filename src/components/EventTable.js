@@ -0,0 +1,82 @@
+import { availableComponents, componentLabel } from '../plots/series';
+import { eventSummary } from '../analysis/events';
+
+const cellStyle = { border: '1px solid #ddd', padding: '8px', textAlign: 'left' };
+
+const DIRECTION_ARROWS = { 1: '↑', [-1]: '↓' };
+
+const format = (value, digits = 6) => (value === null ? '—' : value.toFixed(digits));
+
+// Найденные события выбранного метода: оценки периода и амплитуды по каждому событию
+// и список всех событий с состоянием в момент события
+const EventTable = ({ events, expressions, stoppedAt, symbol, methodLabel }) => {
+  const components = availableComponents(events);
+
+  return (
+    <div style={{ marginTop: '20px' }}>
+      <h3>События (метод: {methodLabel}):</h3>
+      {stoppedAt !== null && (
+        <p>Расчёт остановлен событием при t = <strong>{stoppedAt.toFixed(6)}</strong> с.</p>
+      )}
+      <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+        <thead>
+          <tr style={{ backgroundColor: '#f2f2f2' }}>
+            <th style={cellStyle}>№</th>
+            <th style={cellStyle}>g = 0</th>
+            <th style={cellStyle}>Событий</th>
+            <th style={cellStyle} title="Среднее время между соседними переходами в одном направлении">Период, с</th>
+            <th style={cellStyle} title="Полуразность средних значений при убывании и возрастании g; для g = x' — амплитуда">
+              Амплитуда {symbol}
+            </th>
+          </tr>
+        </thead>
+        <tbody>
+          {expressions.map((expression, index) => {
+            const summary = eventSummary(events.filter(e => e.index === index));
+            return (
+              <tr key={index}>
+                <td style={cellStyle}>{index + 1}</td>
+                <td style={{ ...cellStyle, fontFamily: 'monospace' }}>{expression}</td>
+                <td style={cellStyle}>{summary.count}</td>
+                <td style={cellStyle}>{format(summary.period)}</td>
+                <td style={cellStyle}>{format(summary.amplitude)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <p style={{ marginTop: '10px', fontSize: '0.9em', color: '#666' }}>
+        Период — среднее время между переходами через ноль в одном направлении;
+        амплитуда — полуразность средних {symbol} при убывании и возрастании g (для g = x' — по максимумам и минимумам).
+      </p>
+
+      {events.length > 0 && (
+        <details style={{ marginTop: '10px' }}>
+          <summary>Все события ({events.length})</summary>
+          <table style={{ borderCollapse: 'collapse', width: '100%', marginTop: '10px' }}>
+            <thead>
+              <tr style={{ backgroundColor: '#f2f2f2' }}>
+                <th style={cellStyle}>№</th>
+                <th style={cellStyle}>Направление</th>
+                <th style={cellStyle}>t, с</th>
+                {components.map(key => <th key={key} style={cellStyle}>{componentLabel(symbol, key)}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {events.map((e, i) => (
+                <tr key={i}>
+                  <td style={cellStyle}>{e.index + 1}</td>
+                  <td style={cellStyle}>{DIRECTION_ARROWS[e.direction]}</td>
+                  <td style={cellStyle}>{e.t.toFixed(6)}</td>
+                  {components.map(key => <td key={key} style={cellStyle}>{format(e[key])}</td>)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </details>
+      )}
+    </div>
+  );
+};
+
+export default EventTable;
@@ -0,0 +1,112 @@
+import { Line, Scatter } from 'react-chartjs-2';
+import DownloadableChart, { ZOOM_OPTIONS } from './DownloadableChart';
+import { quantityLabel } from './QuantitySelector';
+
+const cellStyle = { border: '1px solid #ddd', padding: '8px', textAlign: 'left' };
+
+const format = (value) => Number(value.toPrecision(6));
+
+const chartOptions = (yTitle) => ({
+  responsive: true,
+  maintainAspectRatio: false,
+  animation: false,
+  plugins: { zoom: ZOOM_OPTIONS },
+  scales: {
+    x: { type: 'linear', title: { display: true, text: 'Время, с' } },
+    y: { type: 'linear', title: { display: true, text: yTitle } }
+  }
+});
+
+// Результат подбора: найденные значения с приближёнными 95% доверительными интервалами,
+// модель с найденными значениями поверх измерений и невязки в моменты измерений
+const FitReport = ({ result, methodLabel, task, getMetadata, onApply }) => {
+  const last = result.history[result.history.length - 1];
+
+  const fit = {
+    datasets: [
+      {
+        label: 'Измерения',
+        data: result.residuals.map(r => ({ x: r.t, y: r.measured })),
+        borderColor: 'rgb(0, 0, 0)',
+        backgroundColor: 'rgb(0, 0, 0)',
+        pointRadius: 2.5,
+        showLine: false
+      },
+      {
+        label: 'Модель',
+        data: result.points.map(p => ({ x: p.t, y: p.x })),
+        borderColor: 'rgb(255, 99, 132)',
+        backgroundColor: 'rgb(255, 99, 132)',
+        borderWidth: 1.5,
+        pointRadius: 0
+      }
+    ]
+  };
+
+  const residuals = {
+    datasets: [{
+      label: 'Невязка модель − измерение',
+      data: result.residuals.map(r => ({ x: r.t, y: r.residual })),
+      borderColor: 'rgb(54, 162, 235)',
+      backgroundColor: 'rgb(54, 162, 235)',
+      pointRadius: 2.5
+    }]
+  };
+
+  return (
+    <div style={{ marginTop: '30px' }}>
+      <h2>Подбор параметров по измерениям (метод: {methodLabel}):</h2>
+      {result.converged ? (
+        <p style={{ color: '#2e7d32' }}>Подбор завершён (итераций: {last.iteration}).</p>
+      ) : (
+        <p style={{ color: '#d32f2f' }}>{result.message}. Показаны значения последней итерации.</p>
+      )}
+      <p>
+        Среднеквадратичная невязка: <strong>{result.rms.toExponential(3)}</strong>
+        {' '}(исходная {result.history[0].rms.toExponential(3)}, измерений: {result.residuals.length})
+      </p>
+
+      <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+        <thead>
+          <tr style={{ backgroundColor: '#f2f2f2' }}>
+            <th style={cellStyle}>Величина</th>
+            <th style={cellStyle}>Исходное значение</th>
+            <th style={cellStyle}>Подобранное значение</th>
+            <th style={cellStyle}>Стандартная ошибка</th>
+            <th style={cellStyle}>95% интервал</th>
+          </tr>
+        </thead>
+        <tbody>
+          {result.fitted.map(entry => (
+            <tr key={`${entry.group}.${entry.name}`}>
+              <td style={cellStyle}>{quantityLabel(task, entry)}</td>
+              <td style={cellStyle}>{format(entry.initial)}</td>
+              <td style={cellStyle}><strong>{format(entry.value)}</strong></td>
+              <td style={cellStyle}>{entry.stdError === null ? '—' : entry.stdError.toExponential(2)}</td>
+              <td style={cellStyle}>
+                {entry.interval ? `[${format(entry.interval[0])}; ${format(entry.interval[1])}]` : '—'}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p style={{ marginTop: '10px', fontSize: '0.9em', color: '#666' }}>
+        Интервалы приближённые: по линеаризации модели около найденных значений в предположении
+        независимых ошибок измерений одинакового разброса. Если измерений не больше, чем подбираемых
+        величин, или величины не определяются данными, интервал не оценивается.
+      </p>
+      <button onClick={() => onApply(result.fitted)} style={{ padding: '5px 10px', cursor: 'pointer' }}>
+        Подставить найденные значения в задачу
+      </button>
+
+      <DownloadableChart filename="fit.png" getMetadata={getMetadata} zoomable style={{ height: '400px', marginTop: '10px' }}>
+        {(ref) => <Line ref={ref} data={fit} options={chartOptions(task.yLabel)} />}
+      </DownloadableChart>
+      <DownloadableChart filename="fit-residuals.png" getMetadata={getMetadata} zoomable style={{ height: '250px', marginTop: '10px' }}>
+        {(ref) => <Scatter ref={ref} data={residuals} options={chartOptions('Невязка')} />}
+      </DownloadableChart>
+    </div>
+  );
+};
+
+export default FitReport;
@@ -0,0 +1,102 @@
+import { useState } from 'react';
+import { Line } from 'react-chartjs-2';
+import DownloadableChart, { ZOOM_OPTIONS } from './DownloadableChart';
+import KatexFormula from './KatexFormula';
+import { maxDrift } from '../analysis/invariants';
+
+const cellStyle = { border: '1px solid #ddd', padding: '8px', textAlign: 'left' };
+
+// Дрейф I(t) − I(0); на логарифмической оси нули заменяются на null (разрыв линии)
+const driftSeries = (series, absolute) => series.map(p => {
+  const drift = p.value - series[0].value;
+  return { x: p.t, y: absolute ? (drift === 0 ? null : Math.abs(drift)) : drift };
+});
+
+// Контроль первого интеграла уравнения задачи: дрейф I(t) − I(0) каждого метода во времени
+// и его максимум — невязка решения с уравнением на всём отрезке, а не только в конечной точке
+const InvariantDrift = ({ invariants, labels, colors, task, getMetadata, filenamePrefix }) => {
+  const [logScale, setLogScale] = useState(true);
+  const methods = Object.keys(labels).filter(name => invariants[name] && invariants[name].length);
+  if (!methods.length) return null;
+
+  const data = {
+    datasets: methods.map(name => ({
+      label: labels[name],
+      data: driftSeries(invariants[name], logScale),
+      borderColor: colors[name],
+      backgroundColor: colors[name],
+      borderWidth: 1.5,
+      pointRadius: 0
+    }))
+  };
+
+  return (
+    <div style={{ marginTop: '30px' }}>
+      <h3>Невязка первого интеграла:</h3>
+      <KatexFormula tex={task.invariant.tex} />
+      <p style={{ fontSize: '0.9em', color: '#666' }}>
+        Уравнение третьего порядка не имеет интеграла энергии. I(t) — первый интеграл уравнения
+        (уравнение, проинтегрированное по времени), на точном решении он постоянен.
+        {task.invariant.conservative(task.params)
+          ? ' При текущих параметрах диссипации и внешней силы нет, и I(t) — сохраняющаяся величина системы.'
+          : ' При текущих параметрах он включает диссипацию и работу внешней силы.'}
+        {' '}Отклонение I(t) − I(0) — невязка согласованности решения с уравнением: интеграл вычисляется
+        квадратурой Гаусса по интерполянтам шагов решателя. Это не энергия системы.
+      </p>
+
+      <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+        <thead>
+          <tr style={{ backgroundColor: '#f2f2f2' }}>
+            <th style={cellStyle}>Метод</th>
+            <th style={cellStyle}>I(0)</th>
+            <th style={cellStyle}>max |I(t) − I(0)|</th>
+          </tr>
+        </thead>
+        <tbody>
+          {methods.map(name => (
+            <tr key={name}>
+              <td style={cellStyle}>{labels[name]}</td>
+              <td style={cellStyle}>{invariants[name][0].value.toFixed(6)}</td>
+              <td style={cellStyle}>{maxDrift(invariants[name]).toExponential(3)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <label style={{ display: 'block', marginTop: '10px' }}>
+        <input type="checkbox" checked={logScale} onChange={(e) => setLogScale(e.target.checked)} />
+        {' '}Логарифмическая шкала (|I(t) − I(0)|)
+      </label>
+      <DownloadableChart
+        filename={`${filenamePrefix}-invariant.png`}
+        getMetadata={getMetadata}
+        zoomable
+        style={{ height: '400px', marginTop: '10px' }}
+      >
+        {(ref) => (
+          <Line
+            key={logScale ? 'log' : 'linear'}
+            ref={ref}
+            data={data}
+            options={{
+              responsive: true,
+              maintainAspectRatio: false,
+              animation: false,
+              spanGaps: false,
+              plugins: { zoom: ZOOM_OPTIONS },
+              scales: {
+                x: { type: 'linear', title: { display: true, text: 'Время, с' } },
+                y: {
+                  type: logScale ? 'logarithmic' : 'linear',
+                  title: { display: true, text: logScale ? '|I(t) − I(0)|' : 'I(t) − I(0)' }
+                }
+              }
+            }}
+          />
+        )}
+      </DownloadableChart>
+    </div>
+  );
+};
+
+export default InvariantDrift;
@@ -0,0 +1,13 @@
+import katex from 'katex';
+import 'katex/dist/katex.min.css';
+
+function KatexFormula({ tex, displayMode = true }) {
+  const html = katex.renderToString(tex, {
+    throwOnError: false,
+    displayMode,
+  });
+
+  return <div dangerouslySetInnerHTML={{ __html: html }} />;
+}
+
+export default KatexFormula;
@@ -0,0 +1,47 @@
+import { useState } from 'react';
+import { parseMeasurements } from '../measurements';
+
+// Загрузка измерений (t, x) из CSV-файла; measurements — { name, points } или null
+const MeasurementImport = ({ measurements, symbol, onChange }) => {
+  const [error, setError] = useState(null);
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        onChange({ name: file.name, points: parseMeasurements(reader.result) });
+        setError(null);
+      } catch (err) {
+        setError(`${file.name}: ${err.message}`);
+      }
+    };
+    reader.onerror = () => setError(`Не удалось прочитать файл ${file.name}`);
+    reader.readAsText(file);
+  };
+
+  return (
+    <div>
+      <h3 style={{ margin: '10px 0' }}>Измерения</h3>
+      <p style={{ margin: '0 0 5px', fontSize: '0.9em', color: '#666' }}>
+        CSV-файл со столбцами t и {symbol}: «t,{symbol}», «t;{symbol}» или через пробел; строки с # пропускаются.
+        Измерения показываются на графике решения.
+      </p>
+      <input id="measurementsFile" type="file" accept=".csv,.txt,text/csv,text/plain" onChange={handleFile} />
+      {measurements && (
+        <span style={{ marginLeft: '10px' }}>
+          {measurements.name}: {measurements.points.length} точек,
+          t от {measurements.points[0].t} до {measurements.points[measurements.points.length - 1].t}
+          <button onClick={() => onChange(null)} style={{ marginLeft: '10px', padding: '2px 8px', cursor: 'pointer' }}>
+            Убрать
+          </button>
+        </span>
+      )}
+      {error && <div style={{ color: '#d32f2f', fontSize: '0.9em' }}>{error}</div>}
+    </div>
+  );
+};
+
+export default MeasurementImport;
@@ -0,0 +1,70 @@
+// Группа полей ввода по схеме (см. tasks/schema); values — строки полей группы
+export const FieldGroup = ({ title, group, schema, values, errors, onChange }) => (
+  <div>
+    <h3 style={{ margin: '10px 0' }}>{title}</h3>
+    <div style={{ display: 'flex', gap: '15px', flexWrap: 'wrap' }}>
+      {Object.entries(schema).map(([name, field]) => {
+        const error = errors[`${group}.${name}`];
+        return (
+          <div key={name} title={field.title}>
+            <label htmlFor={`${group}-${name}`}>{field.label} = </label>
+            {field.options ? (
+              <select
+                id={`${group}-${name}`}
+                value={values[name]}
+                onChange={(e) => onChange(group, name, e.target.value)}
+                style={{ padding: '5px' }}
+              >
+                {Object.entries(field.options).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            ) : (
+              <input
+                id={`${group}-${name}`}
+                type="text"
+                value={values[name]}
+                onChange={(e) => onChange(group, name, e.target.value)}
+                style={{
+                  padding: '5px',
+                  width: '80px',
+                  borderColor: error ? '#d32f2f' : undefined
+                }}
+              />
+            )}
+            {error && (
+              <div style={{ color: '#d32f2f', fontSize: '0.8em', maxWidth: '160px' }}>{error}</div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  </div>
+);
+
+// Поля ввода параметров и начальных условий по схеме задачи
+const ParameterEditor = ({ task, inputs, errors, onChange, onReset }) => (
+  <div style={{ marginBottom: '20px' }}>
+    <FieldGroup
+      title="Параметры задачи"
+      group="params"
+      schema={task.paramsSchema}
+      values={inputs.params}
+      errors={errors}
+      onChange={onChange}
+    />
+    <FieldGroup
+      title="Начальные условия"
+      group="initialConditions"
+      schema={task.initialConditionsSchema}
+      values={inputs.initialConditions}
+      errors={errors}
+      onChange={onChange}
+    />
+    <button onClick={onReset} style={{ marginTop: '10px', padding: '5px 10px' }}>
+      Сбросить значения
+    </button>
+  </div>
+);
+
+export default ParameterEditor;
@@ -0,0 +1,38 @@
+import { paramLabel } from '../sweepSettings';
+import { derivativeName } from '../tasks/custom';
+
+// Подпись величины задачи { group, name }: параметра или начального условия
+export const quantityLabel = (task, { group, name }) => (
+  group === 'params'
+    ? paramLabel(task, name)
+    : task.initialConditionsSchema?.[name]?.label ?? `${derivativeName(Number(name))}(0)`
+);
+
+// Выбор величин задачи из quantities (см. analysis/fitting); selected — ключи вида "params.k", "initialConditions.x"
+const QuantitySelector = ({ title, hint, task, quantities, selected, onChange }) => {
+  const toggle = (key) => {
+    onChange(selected.includes(key) ? selected.filter(other => other !== key) : [...selected, key]);
+  };
+
+  return (
+    <div>
+      <h3 style={{ margin: '10px 0' }}>{title}</h3>
+      <div style={{ display: 'flex', gap: '15px', flexWrap: 'wrap' }}>
+        {quantities.map(quantity => {
+          const key = `${quantity.group}.${quantity.name}`;
+          return (
+            <label key={key}>
+              <input type="checkbox" checked={selected.includes(key)} onChange={() => toggle(key)} />
+              {' '}{quantityLabel(task, quantity)}
+            </label>
+          );
+        })}
+      </div>
+      {hint && (
+        <p style={{ margin: '5px 0 0', fontSize: '0.9em', color: '#666' }}>{hint}</p>
+      )}
+    </div>
+  );
+};
+
+export default QuantitySelector;
@@ -0,0 +1,139 @@
+import { useState } from 'react';
+import { Line } from 'react-chartjs-2';
+import DownloadableChart, { ZOOM_OPTIONS } from './DownloadableChart';
+import { timeSeries } from '../plots/series';
+
+const cellStyle = { border: '1px solid #ddd', padding: '8px', textAlign: 'left' };
+
+const COLORS = [
+  'rgb(54, 162, 235)', 'rgb(255, 99, 132)', 'rgb(75, 192, 192)', 'rgb(255, 159, 64)',
+  'rgb(153, 102, 255)', 'rgb(201, 203, 207)', 'rgb(0, 0, 0)'
+];
+
+const lastPoint = (points) => points[points.length - 1];
+
+// История запусков: переименование, загрузка, удаление и сравнение отмеченных запусков
+// (траектории на одном графике и значения в конце расчёта)
+const RunHistory = ({ entries, labels, onLoad, onDelete, onRename }) => {
+  const [compared, setCompared] = useState([]);
+  const selected = entries.filter(entry => compared.includes(entry.id));
+
+  const toggle = (id) => {
+    setCompared(prev => (prev.includes(id) ? prev.filter(other => other !== id) : [...prev, id]));
+  };
+
+  const data = {
+    datasets: selected.map((entry, i) => ({
+      label: entry.name,
+      data: timeSeries(entry.points, 'x'),
+      borderColor: COLORS[i % COLORS.length],
+      backgroundColor: COLORS[i % COLORS.length],
+      borderWidth: 1.5,
+      pointRadius: 0
+    }))
+  };
+
+  return (
+    <div style={{ marginTop: '30px' }}>
+      <h2>История запусков:</h2>
+      {entries.length === 0 ? (
+        <p style={{ color: '#666' }}>Сохранённых запусков нет. Сохраните результат решения кнопкой «Сохранить в историю».</p>
+      ) : (
+        <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+          <thead>
+            <tr style={{ backgroundColor: '#f2f2f2' }}>
+              <th style={cellStyle}>Сравнить</th>
+              <th style={cellStyle}>Название</th>
+              <th style={cellStyle}>Задача</th>
+              <th style={cellStyle}>Метод</th>
+              <th style={cellStyle}>Сохранён</th>
+              <th style={cellStyle} />
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map(entry => (
+              <tr key={entry.id}>
+                <td style={{ ...cellStyle, textAlign: 'center' }}>
+                  <input
+                    type="checkbox"
+                    aria-label={`Сравнить «${entry.name}»`}
+                    checked={compared.includes(entry.id)}
+                    onChange={() => toggle(entry.id)}
+                  />
+                </td>
+                <td style={cellStyle}>
+                  <input
+                    type="text"
+                    aria-label="Название запуска"
+                    value={entry.name}
+                    onChange={(e) => onRename(entry.id, e.target.value)}
+                    style={{ padding: '5px', width: '180px' }}
+                  />
+                </td>
+                <td style={cellStyle}>{entry.title}</td>
+                <td style={cellStyle}>{labels[entry.method] ?? entry.method}</td>
+                <td style={cellStyle}>{new Date(entry.savedAt).toLocaleString()}</td>
+                <td style={cellStyle}>
+                  <button onClick={() => onLoad(entry)} style={{ marginRight: '5px', padding: '5px 10px', cursor: 'pointer' }}>
+                    Загрузить
+                  </button>
+                  <button onClick={() => onDelete(entry.id)} style={{ padding: '5px 10px', cursor: 'pointer' }}>
+                    Удалить
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {selected.length > 0 && (
+        <div style={{ marginTop: '20px' }}>
+          <h3>Сравнение запусков:</h3>
+          <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+            <thead>
+              <tr style={{ backgroundColor: '#f2f2f2' }}>
+                <th style={cellStyle}>Название</th>
+                <th style={cellStyle}>Метод</th>
+                <th style={cellStyle}>h</th>
+                <th style={cellStyle}>t конца</th>
+                <th style={cellStyle}>x(t конца)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {selected.map(entry => (
+                <tr key={entry.id}>
+                  <td style={cellStyle}>{entry.name}</td>
+                  <td style={cellStyle}>{labels[entry.method] ?? entry.method}</td>
+                  <td style={cellStyle}>{entry.job.h}</td>
+                  <td style={cellStyle}>{lastPoint(entry.points).t}</td>
+                  <td style={cellStyle}>{lastPoint(entry.points).x.toFixed(6)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <DownloadableChart filename="runs-comparison.png" zoomable style={{ height: '400px', marginTop: '10px' }}>
+            {(ref) => (
+              <Line
+                ref={ref}
+                data={data}
+                options={{
+                  responsive: true,
+                  maintainAspectRatio: false,
+                  animation: false,
+                  plugins: { zoom: ZOOM_OPTIONS },
+                  scales: {
+                    x: { type: 'linear', title: { display: true, text: 'Время, с' } },
+                    y: { type: 'linear', title: { display: true, text: 'Решение' } }
+                  }
+                }}
+              />
+            )}
+          </DownloadableChart>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RunHistory;
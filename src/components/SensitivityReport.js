@@ -0,0 +1,99 @@
+import { useState } from 'react';
+import { Line } from 'react-chartjs-2';
+import DownloadableChart, { ZOOM_OPTIONS } from './DownloadableChart';
+import { quantityLabel } from './QuantitySelector';
+
+const cellStyle = { border: '1px solid #ddd', padding: '8px', textAlign: 'left' };
+
+const COLORS = [
+  'rgb(54, 162, 235)', 'rgb(255, 99, 132)', 'rgb(75, 192, 192)', 'rgb(255, 159, 64)',
+  'rgb(153, 102, 255)', 'rgb(201, 203, 207)', 'rgb(0, 0, 0)', 'rgb(139, 69, 19)'
+];
+
+const format = (value) => value.toExponential(4);
+
+// Чувствительности x(t) к параметрам и начальным условиям: кривые во времени и таблица
+// в конце отрезка, упорядоченная по нормированной чувствительности, со сверкой по разностям
+const SensitivityReport = ({ result, methodLabel, task, endTime, getMetadata }) => {
+  // Масштабированные кривые q · ∂x/∂q сравнимы между собой: это изменение x при относительном изменении q
+  const [scaled, setScaled] = useState(true);
+  const { symbol } = task;
+
+  const data = {
+    datasets: result.order.map((quantity, j) => {
+      const { value } = result.quantities.find(row => row.group === quantity.group && row.name === quantity.name);
+      const factor = scaled && value !== 0 ? value : 1;
+      const color = COLORS[j % COLORS.length];
+      return {
+        label: `${scaled && value !== 0 ? `${quantityLabel(task, quantity)} · ` : ''}∂${symbol}/∂${quantityLabel(task, quantity)}`,
+        data: result.points.map(p => ({ x: p.t, y: factor * p.dx[j] })),
+        borderColor: color,
+        backgroundColor: color,
+        borderWidth: 1.5,
+        pointRadius: 0
+      };
+    })
+  };
+
+  return (
+    <div style={{ marginTop: '30px' }}>
+      <h2>Чувствительность к параметрам (метод: {methodLabel}):</h2>
+      <p>{symbol}({endTime}) = {result.xEnd.toFixed(6)}</p>
+
+      <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+        <thead>
+          <tr style={{ backgroundColor: '#f2f2f2' }}>
+            <th style={cellStyle}>Величина q</th>
+            <th style={cellStyle}>Значение</th>
+            <th style={cellStyle}>∂{symbol}(T)/∂q</th>
+            <th style={cellStyle}>Разностями</th>
+            <th style={cellStyle}>Расхождение</th>
+            <th style={cellStyle}>q / {symbol}(T) · ∂{symbol}(T)/∂q</th>
+          </tr>
+        </thead>
+        <tbody>
+          {result.quantities.map(row => (
+            <tr key={`${row.group}.${row.name}`}>
+              <td style={cellStyle}>{quantityLabel(task, row)}</td>
+              <td style={cellStyle}>{Number(row.value.toPrecision(6))}</td>
+              <td style={cellStyle}>{format(row.derivative)}</td>
+              <td style={cellStyle}>{format(row.finiteDifference)}</td>
+              <td style={cellStyle}>{row.discrepancy.toExponential(1)}</td>
+              <td style={cellStyle}><strong>{row.normalized === null ? '—' : row.normalized.toFixed(4)}</strong></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p style={{ marginTop: '10px', fontSize: '0.9em', color: '#666' }}>
+        Нормированная чувствительность — относительное изменение {symbol}(T) при относительном изменении q на единицу
+        (минус — {symbol}(T) уменьшается с ростом q). Не определена при q = 0 или {symbol}(T) ≈ 0. «Разностями» — центральная разность
+        по двум решениям исходного уравнения; расхождение — относительное.
+      </p>
+
+      <label>
+        <input type="checkbox" checked={scaled} onChange={(e) => setScaled(e.target.checked)} />
+        {' '}Масштабировать на значение величины (q · ∂{symbol}/∂q)
+      </label>
+      <DownloadableChart filename="sensitivity.png" getMetadata={getMetadata} zoomable style={{ height: '400px', marginTop: '10px' }}>
+        {(ref) => (
+          <Line
+            ref={ref}
+            data={data}
+            options={{
+              responsive: true,
+              maintainAspectRatio: false,
+              animation: false,
+              plugins: { zoom: ZOOM_OPTIONS },
+              scales: {
+                x: { type: 'linear', title: { display: true, text: 'Время, с' } },
+                y: { type: 'linear', title: { display: true, text: 'Чувствительность' } }
+              }
+            }}
+          />
+        )}
+      </DownloadableChart>
+    </div>
+  );
+};
+
+export default SensitivityReport;
@@ -0,0 +1,496 @@
+import { useCallback, useMemo, useRef, useState } from 'react';
+import { Line, Scatter } from 'react-chartjs-2';
+import DownloadableChart, { ZOOM_OPTIONS } from './DownloadableChart';
+import SystemAnimation from './SystemAnimation';
+import {
+  availableComponents,
+  componentLabel,
+  componentRanges,
+  differenceSeries,
+  phaseSeries,
+  projectAxes,
+  projectSeries,
+  timeSeries,
+  valueAt
+} from '../plots/series';
+import { findPeaks, spectrum, WINDOWS } from '../plots/spectrum';
+
+const VIEWS = {
+  time: 'Выбранный метод',
+  overlay: 'Все методы',
+  difference: 'Отклонение от эталона',
+  phase: 'Фазовый портрет',
+  phase3d: 'Трёхмерная траектория',
+  spectrum: 'Спектр'
+};
+
+const SPECTRUM_SCALES = { amplitude: 'амплитуда', power: 'мощность (лог. шкала)' };
+
+const cellStyle = { border: '1px solid #ddd', padding: '8px', textAlign: 'left' };
+
+// Компоненты состояния различаются штрихом линии
+const DASHES = { x: [], v: [6, 3], a: [2, 2] };
+
+const AXIS_COLORS = ['rgb(90, 90, 90)', 'rgb(140, 140, 140)', 'rgb(190, 190, 190)'];
+
+// Маркеры событий различаются цветом по номеру события
+const EVENT_COLORS = ['rgb(0, 0, 0)', 'rgb(156, 39, 176)', 'rgb(255, 152, 0)', 'rgb(0, 150, 136)', 'rgb(121, 85, 72)'];
+
+// Курсор времени анимации поверх графика: вертикальная линия в момент t на графиках во времени
+// (mode = 'line') или точка position(t) на фазовом портрете (mode = 'point').
+// cursor — ref с { t, mode, position }: при воспроизведении он меняется каждый кадр, и график
+// только перерисовывается (chart.draw()) без обновления данных и отрисовки React
+const createCursorPlugin = (cursor) => ({
+  id: 'timeCursor',
+  afterDatasetsDraw: (chart) => {
+    const { t, mode, position } = cursor.current;
+    if (!mode || !Number.isFinite(t)) return;
+    const { ctx, chartArea, scales } = chart;
+    ctx.save();
+    if (mode === 'line') {
+      const x = scales.x.getPixelForValue(t);
+      if (x >= chartArea.left && x <= chartArea.right) {
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(x, chartArea.top);
+        ctx.lineTo(x, chartArea.bottom);
+        ctx.stroke();
+      }
+    } else {
+      const point = position(t);
+      ctx.fillStyle = 'rgb(0, 0, 0)';
+      ctx.beginPath();
+      ctx.arc(scales.x.getPixelForValue(point.x), scales.y.getPixelForValue(point.y), 5, 0, 2 * Math.PI);
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+});
+
+const lineDataset = (label, data, color, key) => ({
+  label,
+  data,
+  borderColor: color,
+  backgroundColor: color,
+  borderDash: DASHES[key],
+  borderWidth: 1.5,
+  pointRadius: 0,
+  showLine: true
+});
+
+// Графики решения: компоненты состояния во времени (для выбранного метода или всех сразу),
+// отклонение от эталонного метода, фазовый портрет, проекция траектории (x, x', x'')
+// и спектр выбранного метода с отметкой частоты внешней силы и списком пиков.
+// Для задач со схемой системы (task.scene) под графиком — анимация по решению выбранного метода;
+// её момент времени отмечается курсором на графиках во времени и точкой на фазовом портрете,
+// щелчок по графику во времени переводит анимацию в этот момент.
+// events — найденные события по методам { [метод]: [{ index, t, x, v, a }] } с подписями eventLabels,
+// отмечаются на графике выбранного метода; measurements — измерения [{ t, x }] поверх графиков x(t).
+const SolutionPlots = ({
+  solutions, method, reference, labels, colors, task, endTime, filenamePrefix, getMetadata, events = {}, eventLabels = [],
+  measurements = null
+}) => {
+  const [view, setView] = useState('time');
+  const [selected, setSelected] = useState(['x']);
+  const [phaseAxes, setPhaseAxes] = useState({ x: 'x', y: 'v' });
+  const [angles, setAngles] = useState({ azimuth: 35, elevation: 25 });
+  // Спектр: компонента, окно, амплитуда или мощность, начало отрезка (отбрасывание переходного процесса)
+  const [spectrumSettings, setSpectrumSettings] = useState({ key: 'x', window: 'hann', scale: 'amplitude', from: '0' });
+  // Курсор на графиках (см. createCursorPlugin) и график, на котором он рисуется
+  const cursorRef = useRef({ t: 0, mode: null, position: null });
+  const chartRef = useRef(null);
+  const cursorPlugin = useMemo(() => createCursorPlugin(cursorRef), []);
+  // Момент, в который анимацию переводит щелчок по графику
+  const [seek, setSeek] = useState(null);
+
+  const moveCursor = useCallback((t) => {
+    cursorRef.current.t = t;
+    if (chartRef.current) chartRef.current.draw();
+  }, []);
+
+  const methods = Object.keys(labels).filter(name => solutions[name] && solutions[name].length);
+  if (!methods.length) return null;
+
+  const available = availableComponents(solutions[methods[0]]);
+  const components = selected.filter(key => available.includes(key));
+  const label = (key) => componentLabel(task.symbol, key);
+  const current = solutions[method] ? method : methods[0];
+  const compared = methods.filter(name => name !== reference);
+
+  const toggleComponent = (key) => {
+    setSelected(prev => (prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]));
+  };
+
+  const measured = measurements && components.includes('x') ? [{
+    label: 'Измерения',
+    data: measurements.map(p => ({ x: p.t, y: p.x })),
+    borderColor: 'rgb(0, 0, 0)',
+    backgroundColor: 'rgb(0, 0, 0)',
+    pointRadius: 2.5,
+    showLine: false
+  }] : [];
+
+  const timeAxis = { type: 'linear', title: { display: true, text: 'Время, с' } };
+  const animated = Boolean(task.scene);
+  const cursorOptions = animated ? {
+    onClick: (event, elements, chartInstance) => {
+      const t = chartInstance.scales.x.getValueForPixel(event.x);
+      if (!Number.isFinite(t)) return;
+      moveCursor(t);
+      setSeek({ t });
+    }
+  } : {};
+  const valueAxis = {
+    title: { display: true, text: components.length === 1 && components[0] === 'x' ? task.yLabel : 'Значение' }
+  };
+  const baseOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    plugins: { zoom: ZOOM_OPTIONS }
+  };
+
+  let chart;
+  let peaks = null;
+  let spectrumError = null;
+  switch (view) {
+    case 'overlay':
+      chart = {
+        type: 'line',
+        data: {
+          datasets: [
+            ...methods.flatMap(name => components.map(key =>
+              lineDataset(`${label(key)} (${labels[name]})`, timeSeries(solutions[name], key), colors[name], key)
+            )),
+            ...measured
+          ]
+        },
+        options: {
+          ...baseOptions,
+          ...cursorOptions,
+          scales: { x: timeAxis, y: valueAxis }
+        }
+      };
+      break;
+    case 'difference':
+      chart = solutions[reference] && {
+        type: 'line',
+        data: {
+          datasets: compared.flatMap(name => components.map(key =>
+            lineDataset(
+              `|${label(key)} − ${label(key)}эт| (${labels[name]})`,
+              differenceSeries(solutions[name], solutions[reference], key),
+              colors[name],
+              key
+            )
+          ))
+        },
+        options: {
+          ...baseOptions,
+          ...cursorOptions,
+          spanGaps: false,
+          scales: {
+            x: timeAxis,
+            y: { type: 'logarithmic', title: { display: true, text: `Отклонение от метода «${labels[reference]}»` } }
+          }
+        }
+      };
+      break;
+    case 'phase':
+      chart = {
+        type: 'scatter',
+        data: {
+          datasets: methods.map(name =>
+            lineDataset(labels[name], phaseSeries(solutions[name], phaseAxes.x, phaseAxes.y), colors[name], 'x')
+          )
+        },
+        options: {
+          ...baseOptions,
+          scales: {
+            x: { type: 'linear', title: { display: true, text: label(phaseAxes.x) } },
+            y: { type: 'linear', title: { display: true, text: label(phaseAxes.y) } }
+          }
+        }
+      };
+      break;
+    case 'phase3d': {
+      if (available.length < 3) {
+        chart = null;
+        break;
+      }
+      const ranges = componentRanges(methods.map(name => solutions[name]), available);
+      chart = {
+        type: 'scatter',
+        data: {
+          datasets: [
+            ...projectAxes(available, angles).map(({ key, points }, i) => ({
+              ...lineDataset(`ось ${label(key)}`, points, AXIS_COLORS[i], 'x'),
+              borderWidth: 1
+            })),
+            ...methods.map(name =>
+              lineDataset(labels[name], projectSeries(solutions[name], available, ranges, angles), colors[name], 'x')
+            )
+          ]
+        },
+        options: {
+          ...baseOptions,
+          plugins: { ...baseOptions.plugins, tooltip: { enabled: false } },
+          scales: { x: { type: 'linear', display: false }, y: { type: 'linear', display: false } }
+        }
+      };
+      break;
+    }
+    case 'spectrum': {
+      const { window, scale } = spectrumSettings;
+      const key = available.includes(spectrumSettings.key) ? spectrumSettings.key : 'x';
+      const from = Number(spectrumSettings.from);
+      let result;
+      try {
+        if (!Number.isFinite(from)) throw new Error('Начало отрезка должно быть числом');
+        result = spectrum(solutions[current], key, { window, from });
+      } catch (e) {
+        spectrumError = e.message;
+        chart = null;
+        break;
+      }
+      peaks = findPeaks(result.points);
+      const values = result.points.slice(1).map(p => ({ x: p.f, y: p[scale] }));
+      const top = Math.max(...values.map(p => p.y));
+      const forcingFrequency = task.forcingPeriod ? 1 / task.forcingPeriod(task.params) : null;
+      chart = {
+        type: 'line',
+        data: {
+          datasets: [
+            lineDataset(`${SPECTRUM_SCALES[scale]} ${label(key)} (${labels[current]})`, values, colors[current], 'x'),
+            ...(forcingFrequency && forcingFrequency <= result.nyquist ? [{
+              ...lineDataset('Частота внешней силы ω/2π', [{ x: forcingFrequency, y: scale === 'power' ? top * 1e-12 : 0 },
+                { x: forcingFrequency, y: top }], 'rgb(255, 99, 132)', 'v'),
+              borderWidth: 1
+            }] : [])
+          ]
+        },
+        options: {
+          ...baseOptions,
+          scales: {
+            x: { type: 'linear', min: 0, max: result.nyquist, title: { display: true, text: 'Частота, Гц' } },
+            y: scale === 'power'
+              ? { type: 'logarithmic', title: { display: true, text: 'Мощность' } }
+              : { type: 'linear', title: { display: true, text: 'Амплитуда' } }
+          }
+        },
+        forcingFrequency,
+        df: result.df
+      };
+      break;
+    }
+    default:
+      chart = {
+        type: 'line',
+        data: {
+          datasets: [
+            ...components.map(key =>
+              lineDataset(`${label(key)} (0 ≤ t ≤ ${endTime})`, timeSeries(solutions[current], key), colors[current], key)
+            ),
+            ...eventLabels.map((eventLabel, index) => ({
+              label: `${eventLabel} = 0`,
+              data: (events[current] || [])
+                .filter(e => e.index === index)
+                .flatMap(e => components.map(key => ({ x: e.t, y: e[key] }))),
+              borderColor: EVENT_COLORS[index % EVENT_COLORS.length],
+              backgroundColor: EVENT_COLORS[index % EVENT_COLORS.length],
+              pointStyle: 'crossRot',
+              pointRadius: 6,
+              borderWidth: 2,
+              showLine: false
+            })).filter(dataset => dataset.data.length),
+            ...measured
+          ]
+        },
+        options: {
+          ...baseOptions,
+          ...cursorOptions,
+          scales: { x: timeAxis, y: valueAxis }
+        }
+      };
+  }
+
+  const ChartComponent = chart && chart.type === 'scatter' ? Scatter : Line;
+  const componentsUsed = view === 'time' || view === 'overlay' || view === 'difference';
+  // Курсор рисуется на графиках во времени и на фазовом портрете
+  cursorRef.current.mode = animated && componentsUsed ? 'line' : animated && view === 'phase' ? 'point' : null;
+  cursorRef.current.position = (t) => ({
+    x: valueAt(solutions[current], phaseAxes.x, t),
+    y: valueAt(solutions[current], phaseAxes.y, t)
+  });
+
+  return (
+    <div style={{ marginTop: '30px' }}>
+      <h3>График {task.chartTitle}{view === 'time' ? ` (метод: ${labels[current]})` : ''}:</h3>
+      <div style={{ display: 'flex', gap: '15px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '10px' }}>
+        <div>
+          <label htmlFor="plotView">Вид: </label>
+          <select id="plotView" value={view} onChange={(e) => setView(e.target.value)} style={{ padding: '5px' }}>
+            {Object.entries(VIEWS).map(([value, title]) => (
+              <option key={value} value={value}>{title}</option>
+            ))}
+          </select>
+        </div>
+        {componentsUsed && available.map(key => (
+          <label key={key}>
+            <input type="checkbox" checked={components.includes(key)} onChange={() => toggleComponent(key)} />
+            {' '}{label(key)}
+          </label>
+        ))}
+        {view === 'phase' && ['x', 'y'].map(axis => (
+          <div key={axis}>
+            <label htmlFor={`phase-${axis}`}>Ось {axis === 'x' ? 'абсцисс' : 'ординат'}: </label>
+            <select
+              id={`phase-${axis}`}
+              value={phaseAxes[axis]}
+              onChange={(e) => setPhaseAxes(prev => ({ ...prev, [axis]: e.target.value }))}
+              style={{ padding: '5px' }}
+            >
+              {available.map(key => <option key={key} value={key}>{label(key)}</option>)}
+            </select>
+          </div>
+        ))}
+        {view === 'spectrum' && (
+          <>
+            <div>
+              <label htmlFor="spectrum-key">Компонента: </label>
+              <select
+                id="spectrum-key"
+                value={spectrumSettings.key}
+                onChange={(e) => setSpectrumSettings(prev => ({ ...prev, key: e.target.value }))}
+                style={{ padding: '5px' }}
+              >
+                {available.map(key => <option key={key} value={key}>{label(key)}</option>)}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="spectrum-window">Окно: </label>
+              <select
+                id="spectrum-window"
+                value={spectrumSettings.window}
+                onChange={(e) => setSpectrumSettings(prev => ({ ...prev, window: e.target.value }))}
+                style={{ padding: '5px' }}
+              >
+                {Object.entries(WINDOWS).map(([name, entry]) => <option key={name} value={name}>{entry.label}</option>)}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="spectrum-scale">Показать: </label>
+              <select
+                id="spectrum-scale"
+                value={spectrumSettings.scale}
+                onChange={(e) => setSpectrumSettings(prev => ({ ...prev, scale: e.target.value }))}
+                style={{ padding: '5px' }}
+              >
+                {Object.entries(SPECTRUM_SCALES).map(([name, title]) => <option key={name} value={name}>{title}</option>)}
+              </select>
+            </div>
+            <div title="Начало отрезка, по которому считается спектр: отбрасывает переходный процесс">
+              <label htmlFor="spectrum-from">С момента t = </label>
+              <input
+                id="spectrum-from"
+                type="text"
+                value={spectrumSettings.from}
+                onChange={(e) => setSpectrumSettings(prev => ({ ...prev, from: e.target.value }))}
+                style={{ padding: '5px', width: '60px' }}
+              />
+            </div>
+          </>
+        )}
+        {view === 'phase3d' && ['azimuth', 'elevation'].map(angle => (
+          <label key={angle}>
+            {angle === 'azimuth' ? 'Азимут' : 'Наклон'}: {angles[angle]}°{' '}
+            <input
+              type="range"
+              min={angle === 'azimuth' ? -180 : -90}
+              max={angle === 'azimuth' ? 180 : 90}
+              value={angles[angle]}
+              onChange={(e) => setAngles(prev => ({ ...prev, [angle]: Number(e.target.value) }))}
+            />
+          </label>
+        ))}
+      </div>
+
+      {!chart && view === 'phase3d' && (
+        <p style={{ color: '#666' }}>Трёхмерная траектория доступна для уравнений не ниже третьего порядка.</p>
+      )}
+      {!chart && view === 'difference' && (
+        <p style={{ color: '#666' }}>Нет решения эталонным методом «{labels[reference]}».</p>
+      )}
+      {!chart && spectrumError && (
+        <p style={{ color: '#d32f2f' }}>{spectrumError}</p>
+      )}
+      {chart && (
+        <DownloadableChart
+          filename={`${filenamePrefix}-${view}.png`}
+          getMetadata={getMetadata}
+          zoomable
+          style={{ height: '400px' }}
+        >
+          {(ref) => (
+            <ChartComponent
+              key={view}
+              ref={(instance) => {
+                ref.current = instance;
+                chartRef.current = instance;
+              }}
+              data={chart.data}
+              options={chart.options}
+              plugins={[cursorPlugin]}
+            />
+          )}
+        </DownloadableChart>
+      )}
+      {chart && peaks && (
+        <div style={{ marginTop: '15px' }}>
+          <h4 style={{ margin: '10px 0' }}>Основные пики спектра</h4>
+          {peaks.length ? (
+            <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+              <thead>
+                <tr style={{ backgroundColor: '#f2f2f2' }}>
+                  <th style={cellStyle}>Частота, Гц</th>
+                  <th style={cellStyle}>Круговая частота, рад/с</th>
+                  {chart.forcingFrequency && <th style={cellStyle}>Отношение к ω/2π</th>}
+                  <th style={cellStyle}>Амплитуда</th>
+                </tr>
+              </thead>
+              <tbody>
+                {peaks.map(peak => (
+                  <tr key={peak.f}>
+                    <td style={cellStyle}>{peak.f.toFixed(3)}</td>
+                    <td style={cellStyle}>{(2 * Math.PI * peak.f).toFixed(3)}</td>
+                    {chart.forcingFrequency && <td style={cellStyle}>{(peak.f / chart.forcingFrequency).toFixed(3)}</td>}
+                    <td style={cellStyle}>{peak.amplitude.toExponential(4)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p style={{ color: '#666' }}>Спектр пуст: компонента постоянна на отрезке.</p>
+          )}
+          <p style={{ marginTop: '10px', fontSize: '0.9em', color: '#666' }}>
+            Разрешение по частоте Δf = {chart.df.toFixed(3)} Гц — величина, обратная длине отрезка: на коротком отрезке
+            близкие частоты не различаются. Наибольшая частота ограничена шагом вывода Δt.
+          </p>
+        </div>
+      )}
+      {animated && (
+        <SystemAnimation
+          scene={task.scene}
+          points={solutions[current]}
+          task={task}
+          seek={seek}
+          onTimeChange={moveCursor}
+        />
+      )}
+    </div>
+  );
+};
+
+export default SolutionPlots;
@@ -0,0 +1,105 @@
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import { TASKS } from '../tasks';
+import SolutionPlots from './SolutionPlots';
+
+// Графики заменены заглушкой: каждая отрисовка React запоминает свойства,
+// а через ref доступен экземпляр графика со счётчиком перерисовок draw()
+const mockRenders = [];
+const mockChart = { draw: jest.fn() };
+jest.mock('react-chartjs-2', () => {
+  const { forwardRef, useImperativeHandle } = jest.requireActual('react');
+  const Chart = forwardRef((props, ref) => {
+    useImperativeHandle(ref, () => mockChart);
+    mockRenders.push(props);
+    return null;
+  });
+  return { Line: Chart, Scatter: Chart };
+});
+
+const points = Array.from({ length: 101 }, (_, i) => ({ t: i * 0.05, x: Math.sin(i * 0.05), v: 0, a: 0 }));
+
+// Вертикальная линия курсора на графике с масштабом 100 пикселей на секунду
+const cursorPixel = () => {
+  const ctx = {
+    save: jest.fn(),
+    restore: jest.fn(),
+    setLineDash: jest.fn(),
+    beginPath: jest.fn(),
+    moveTo: jest.fn(),
+    lineTo: jest.fn(),
+    stroke: jest.fn()
+  };
+  const [plugin] = mockRenders[mockRenders.length - 1].plugins;
+  plugin.afterDatasetsDraw({
+    ctx,
+    chartArea: { left: 0, right: 1000, top: 0, bottom: 400 },
+    scales: { x: { getPixelForValue: (t) => 100 * t } }
+  });
+  return ctx.moveTo.mock.calls.length ? ctx.moveTo.mock.calls[0][0] : null;
+};
+
+test('playback moves the cursor on the plot without re-rendering the charts', () => {
+  const frames = [];
+  jest.spyOn(window, 'requestAnimationFrame').mockImplementation((callback) => frames.push(callback));
+  jest.spyOn(window, 'cancelAnimationFrame').mockImplementation((id) => { frames[id - 1] = null; });
+  const runFrame = (now) => act(() => {
+    const callback = frames[frames.length - 1];
+    frames[frames.length - 1] = null;
+    if (callback) callback(now);
+  });
+
+  render(
+    <SolutionPlots
+      solutions={{ rk4: points }}
+      method="rk4"
+      reference="dormand-prince"
+      labels={{ rk4: 'RK4' }}
+      colors={{ rk4: 'rgb(0, 0, 0)' }}
+      task={TASKS.beam}
+      endTime={5}
+      filenamePrefix="beam"
+    />
+  );
+  const slider = screen.getByRole('slider');
+  const rendered = mockRenders.length;
+  expect(cursorPixel()).toBe(0);
+
+  fireEvent.click(screen.getByText('Воспроизвести'));
+  runFrame(1000);
+  runFrame(1500);
+  expect(Number(slider.value)).toBeCloseTo(0.5, 10);
+  expect(cursorPixel()).toBeCloseTo(50, 8);
+  runFrame(2000);
+  expect(Number(slider.value)).toBeCloseTo(1, 10);
+  expect(cursorPixel()).toBeCloseTo(100, 8);
+  expect(mockChart.draw).toHaveBeenCalledTimes(2);
+  expect(mockRenders).toHaveLength(rendered);
+
+  // На паузе кадры не запрашиваются, и курсор остаётся на месте
+  fireEvent.click(screen.getByText('Пауза'));
+  expect(frames.every(callback => callback === null)).toBe(true);
+  expect(screen.getByText('Воспроизвести')).toBeInTheDocument();
+  expect(cursorPixel()).toBeCloseTo(100, 8);
+
+  // Перемотка ползунком и щелчок по графику переводят и анимацию, и курсор
+  fireEvent.change(slider, { target: { value: '3' } });
+  expect(cursorPixel()).toBeCloseTo(300, 8);
+  act(() => {
+    mockRenders[mockRenders.length - 1].options.onClick({ x: 420 }, [], {
+      scales: { x: { getValueForPixel: (x) => x / 100 } }
+    });
+  });
+  expect(Number(slider.value)).toBeCloseTo(4.2, 10);
+  expect(cursorPixel()).toBeCloseTo(420, 8);
+  expect(screen.getByText(/t = 4\.200 с/)).toBeInTheDocument();
+
+  // На фазовом портрете курсор — точка решения в тот же момент
+  fireEvent.change(screen.getByLabelText('Вид:'), { target: { value: 'phase' } });
+  const ctx = { save: jest.fn(), restore: jest.fn(), beginPath: jest.fn(), arc: jest.fn(), fill: jest.fn() };
+  mockRenders[mockRenders.length - 1].plugins[0].afterDatasetsDraw({
+    ctx,
+    chartArea: { left: 0, right: 1000, top: 0, bottom: 400 },
+    scales: { x: { getPixelForValue: (x) => x }, y: { getPixelForValue: (v) => v } }
+  });
+  expect(ctx.arc.mock.calls[0][0]).toBeCloseTo(Math.sin(4.2), 4);
+});
@@ -0,0 +1,123 @@
+import { useState } from 'react';
+import { Scatter } from 'react-chartjs-2';
+import DownloadableChart from './DownloadableChart';
+
+const cellStyle = { border: '1px solid #ddd', padding: '8px', textAlign: 'left' };
+
+const formatNumber = (value) => (value === null || value === undefined ? '—' : value.toExponential(3));
+
+// Статистика решателей и график шага h(t) с оценкой локальной ошибки
+const SolverStatistics = ({ stats, labels, colors, method, getMetadata }) => {
+  const methods = Object.keys(labels).filter(name => stats[name]);
+  const [selected, setSelected] = useState(method);
+  const current = stats[selected] ? selected : methods[0];
+
+  if (!current) return null;
+
+  const steps = stats[current].steps;
+  const data = {
+    datasets: [
+      {
+        label: 'Шаг h',
+        data: steps.map(step => ({ x: step.t, y: step.h })),
+        borderColor: colors[current],
+        backgroundColor: colors[current],
+        yAxisID: 'h',
+        showLine: true,
+        pointRadius: 1
+      },
+      {
+        label: 'Оценка локальной ошибки',
+        data: steps.filter(step => step.err > 0).map(step => ({ x: step.t, y: step.err })),
+        borderColor: 'rgb(120, 120, 120)',
+        backgroundColor: 'rgb(120, 120, 120)',
+        yAxisID: 'err',
+        showLine: true,
+        pointRadius: 1
+      }
+    ]
+  };
+
+  return (
+    <div style={{ marginTop: '30px' }}>
+      <h3>Статистика решателей:</h3>
+      <table style={{ borderCollapse: 'collapse', width: '100%', marginTop: '10px', fontSize: '0.9em' }}>
+        <thead>
+          <tr style={{ backgroundColor: '#f2f2f2' }}>
+            <th style={cellStyle}>Метод</th>
+            <th style={cellStyle}>Принято</th>
+            <th style={cellStyle}>Отклонено</th>
+            <th style={cellStyle}>Вычислений f</th>
+            <th style={cellStyle}>h min</th>
+            <th style={cellStyle}>h max</th>
+            <th style={cellStyle}>h средний</th>
+            <th style={cellStyle}>Время, мс</th>
+            <th style={cellStyle}>Оценка ошибки</th>
+          </tr>
+        </thead>
+        <tbody>
+          {methods.map(name => {
+            const s = stats[name];
+            return (
+              <tr key={name}>
+                <td style={cellStyle}>{labels[name]}</td>
+                <td style={cellStyle}>{s.accepted}</td>
+                <td style={cellStyle}>{s.rejected}</td>
+                <td style={cellStyle}>{s.evaluations}</td>
+                <td style={cellStyle}>{formatNumber(s.hMin)}</td>
+                <td style={cellStyle}>{formatNumber(s.hMax)}</td>
+                <td style={cellStyle}>{formatNumber(s.hMean)}</td>
+                <td style={cellStyle}>{s.wallTime.toFixed(1)}</td>
+                <td style={cellStyle}>{formatNumber(s.finalError)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      {methods.filter(name => stats[name].forced > 0).map(name => (
+        <p key={name} style={{ color: '#d32f2f', fontSize: '0.9em' }}>
+          {labels[name]}: {stats[name].forced} шаг(ов) принято на минимальном шаге, возможна потеря точности.
+        </p>
+      ))}
+
+      <div style={{ marginTop: '20px' }}>
+        <label htmlFor="statsMethod">Шаг и ошибка метода: </label>
+        <select
+          id="statsMethod"
+          value={current}
+          onChange={(e) => setSelected(e.target.value)}
+          style={{ padding: '5px' }}
+        >
+          {methods.map(name => (
+            <option key={name} value={name}>{labels[name]}</option>
+          ))}
+        </select>
+      </div>
+      <DownloadableChart filename="step-size.png" getMetadata={getMetadata} style={{ height: '300px', marginTop: '10px' }}>
+        {(ref) => (
+          <Scatter
+            ref={ref}
+            data={data}
+            options={{
+              responsive: true,
+              maintainAspectRatio: false,
+              scales: {
+                x: { type: 'linear', title: { display: true, text: 'Время, с' } },
+                h: { type: 'logarithmic', position: 'left', title: { display: true, text: 'Шаг h' } },
+                err: {
+                  type: 'logarithmic',
+                  position: 'right',
+                  title: { display: true, text: 'Оценка локальной ошибки' },
+                  grid: { drawOnChartArea: false }
+                }
+              }
+            }}
+          />
+        )}
+      </DownloadableChart>
+    </div>
+  );
+};
+
+export default SolverStatistics;
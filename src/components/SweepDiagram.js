@@ -0,0 +1,74 @@
+import { Scatter } from 'react-chartjs-2';
+import DownloadableChart, { ZOOM_OPTIONS } from './DownloadableChart';
+
+const BRANCHES = {
+  up: { label: 'прямой проход', color: 'rgb(54, 162, 235)' },
+  down: { label: 'обратный проход', color: 'rgb(255, 99, 132)' }
+};
+
+// Результаты развёртки по параметру: диаграмма бифуркаций (стробоскопические
+// значения x в установившемся режиме) и амплитудная характеристика
+const SweepDiagram = ({ result, paramLabel, methodLabel, symbol, getMetadata }) => {
+  const axisTitle = `Параметр ${paramLabel}`;
+  const options = (yTitle) => ({
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    plugins: { zoom: ZOOM_OPTIONS },
+    scales: {
+      x: { type: 'linear', title: { display: true, text: axisTitle } },
+      y: { type: 'linear', title: { display: true, text: yTitle } }
+    }
+  });
+
+  const bifurcation = {
+    datasets: result.branches.map(branch => ({
+      label: BRANCHES[branch.direction].label,
+      data: branch.points.flatMap(p => p.samples.map(x => ({ x: p.value, y: x }))),
+      backgroundColor: BRANCHES[branch.direction].color,
+      pointRadius: 1.5
+    }))
+  };
+
+  const amplitude = {
+    datasets: result.branches.map(branch => ({
+      label: BRANCHES[branch.direction].label,
+      data: branch.points.filter(p => !p.diverged).map(p => ({ x: p.value, y: p.amplitude })),
+      borderColor: BRANCHES[branch.direction].color,
+      backgroundColor: BRANCHES[branch.direction].color,
+      showLine: true,
+      pointRadius: 2
+    }))
+  };
+
+  const diverged = result.branches.flatMap(branch => branch.points.filter(p => p.diverged).map(p => p.value));
+
+  return (
+    <div style={{ marginTop: '30px' }}>
+      <h2>Развёртка по параметру {paramLabel} (метод: {methodLabel}):</h2>
+      {diverged.length > 0 && (
+        <p style={{ color: '#d32f2f' }}>
+          Решение уходит на бесконечность при {diverged.length} значениях параметра
+          ({paramLabel} от {Math.min(...diverged).toFixed(4)} до {Math.max(...diverged).toFixed(4)}),
+          эти значения не показаны.
+        </p>
+      )}
+
+      <h3>Диаграмма бифуркаций</h3>
+      <p style={{ fontSize: '0.9em', color: '#666' }}>
+        Значения {symbol}(kT) в установившемся режиме, T — период внешней силы.
+        Одна точка — периодический режим с периодом T, n точек — период nT, облако — хаос.
+      </p>
+      <DownloadableChart filename="bifurcation.png" getMetadata={getMetadata} zoomable style={{ height: '400px' }}>
+        {(ref) => <Scatter ref={ref} data={bifurcation} options={options(`${symbol}(kT)`)} />}
+      </DownloadableChart>
+
+      <h3 style={{ marginTop: '30px' }}>Амплитудная характеристика</h3>
+      <DownloadableChart filename="amplitude-response.png" getMetadata={getMetadata} zoomable style={{ height: '300px' }}>
+        {(ref) => <Scatter ref={ref} data={amplitude} options={options(`Амплитуда ${symbol}`)} />}
+      </DownloadableChart>
+    </div>
+  );
+};
+
+export default SweepDiagram;
@@ -0,0 +1,181 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { valueAt } from '../plots/series';
+
+const SPEEDS = [0.1, 0.25, 0.5, 1, 2];
+
+const WIDTH = 400;
+const HEIGHT = 170;
+
+// Пружина-зигзаг от (x0, y) до (x1, y)
+const springPoints = (x0, x1, y, coils = 8, amplitude = 8) => {
+  const lead = Math.min(10, Math.abs(x1 - x0) / 4);
+  const start = x0 + lead;
+  const step = (x1 - lead - start) / (2 * coils);
+  const zigzag = Array.from({ length: 2 * coils - 1 }, (_, i) => (
+    `${start + (i + 1) * step},${y + (i % 2 === 0 ? -amplitude : amplitude)}`
+  ));
+  return [`${x0},${y}`, `${start},${y}`, ...zigzag, `${x1 - lead},${y}`, `${x1},${y}`].join(' ');
+};
+
+// Планка на пружине: смещение x(t) в масштабе наибольшего |x| на решении,
+// стрелка — внешняя сила F₀ cos(ωt) в масштабе F₀
+const PlankScene = ({ state, t, params, scale }) => {
+  const ground = 130;
+  const center = WIDTH / 2 + (state.x / scale) * 120;
+  const force = params.F0 ? params.F0 * Math.cos(params.omega * t) / Math.abs(params.F0) : 0;
+  return (
+    <>
+      <line x1="15" y1={ground} x2={WIDTH - 15} y2={ground} stroke="#555" strokeWidth="2" />
+      <rect x="15" y="50" width="12" height={ground - 50} fill="#bbb" />
+      <line x1={WIDTH / 2} y1="40" x2={WIDTH / 2} y2={ground} stroke="#999" strokeDasharray="4 4" />
+      <polyline points={springPoints(27, center - 35, ground - 18)} fill="none" stroke="#333" strokeWidth="1.5" />
+      <rect x={center - 35} y={ground - 34} width="70" height="34" fill="rgb(54, 162, 235)" stroke="#1e5a85" />
+      {force !== 0 && (
+        <g stroke="rgb(255, 99, 132)" fill="rgb(255, 99, 132)" strokeWidth="2">
+          <line x1={center} y1={ground - 50} x2={center + force * 45} y2={ground - 50} />
+          <polygon
+            points={`${center + force * 45},${ground - 55} ${center + force * 45 + Math.sign(force) * 8},${ground - 50} ${center + force * 45},${ground - 45}`}
+          />
+        </g>
+      )}
+      <text x={WIDTH / 2 + 4} y="36" fontSize="11" fill="#666">x = 0</text>
+      {force !== 0 && (
+        <text x={center - 25} y={ground - 60} fontSize="11" fill="rgb(255, 99, 132)">F₀ cos ωt</text>
+      )}
+    </>
+  );
+};
+
+// Ось гироскопа, отклонённая от вертикали на угол θ(t) (в радианах, без масштабирования)
+const GyroscopeScene = ({ state }) => {
+  const pivot = { x: WIDTH / 2, y: HEIGHT - 20 };
+  const length = 120;
+  const angle = state.x;
+  const end = { x: pivot.x + length * Math.sin(angle), y: pivot.y - length * Math.cos(angle) };
+  const disc = { x: pivot.x + 0.75 * length * Math.sin(angle), y: pivot.y - 0.75 * length * Math.cos(angle) };
+  return (
+    <>
+      <line x1={pivot.x} y1={pivot.y} x2={pivot.x} y2="10" stroke="#999" strokeDasharray="4 4" />
+      <polygon points={`${pivot.x - 18},${pivot.y + 12} ${pivot.x + 18},${pivot.y + 12} ${pivot.x},${pivot.y}`} fill="#bbb" />
+      <line x1={pivot.x} y1={pivot.y} x2={end.x} y2={end.y} stroke="#333" strokeWidth="3" />
+      <ellipse
+        cx={disc.x}
+        cy={disc.y}
+        rx="42"
+        ry="10"
+        transform={`rotate(${angle * 180 / Math.PI} ${disc.x} ${disc.y})`}
+        fill="rgba(54, 162, 235, 0.8)"
+        stroke="#1e5a85"
+      />
+      <circle cx={pivot.x} cy={pivot.y} r="4" fill="#333" />
+    </>
+  );
+};
+
+// Схемы систем по полю scene конфига задачи
+const SCENES = { plank: PlankScene, gyroscope: GyroscopeScene };
+
+// Анимация системы по решению points с воспроизведением, паузой, перемоткой и скоростью воспроизведения.
+// Момент времени хранится здесь: при воспроизведении каждый кадр перерисовывается только анимация,
+// а onTimeChange(t) сообщает новый момент курсору на графиках. seek = { t } переводит анимацию
+// в момент t (щелчок по графику).
+const SystemAnimation = ({ scene, points, task, seek, onTimeChange }) => {
+  const [time, setTime] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const timeRef = useRef(time);
+
+  const tStart = points[0].t;
+  const tEnd = points[points.length - 1].t;
+  const current = Math.min(Math.max(time, tStart), tEnd);
+
+  const changeTime = useCallback((t) => {
+    timeRef.current = t;
+    setTime(t);
+    onTimeChange(t);
+  }, [onTimeChange]);
+
+  useEffect(() => {
+    if (!seek) return;
+    timeRef.current = seek.t;
+    setTime(seek.t);
+  }, [seek]);
+
+  // Каждый кадр время продвигается на прошедшее реальное время, умноженное на скорость
+  useEffect(() => {
+    if (!playing) return undefined;
+    let frame;
+    let last = null;
+    const step = (now) => {
+      if (last !== null) {
+        const next = Math.min(tEnd, timeRef.current + (now - last) / 1000 * speed);
+        changeTime(next);
+        if (next >= tEnd) {
+          setPlaying(false);
+          return;
+        }
+      }
+      last = now;
+      frame = requestAnimationFrame(step);
+    };
+    frame = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(frame);
+  }, [playing, speed, tEnd, changeTime]);
+
+  const handlePlay = () => {
+    if (!playing && current >= tEnd) changeTime(tStart);
+    setPlaying(!playing);
+  };
+
+  const Scene = SCENES[scene];
+  const state = { x: valueAt(points, 'x', current) };
+  const scale = points.reduce((max, p) => Math.max(max, Math.abs(p.x)), 0) || 1;
+
+  return (
+    <div style={{ marginTop: '20px' }}>
+      <h4 style={{ margin: '10px 0' }}>Анимация</h4>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        style={{ width: '100%', maxWidth: '600px', border: '1px solid #ddd', background: '#fafafa' }}
+      >
+        <Scene state={state} t={current} params={task.params} scale={scale} />
+      </svg>
+      <div style={{ display: 'flex', gap: '15px', flexWrap: 'wrap', alignItems: 'center', marginTop: '5px' }}>
+        <button onClick={handlePlay} style={{ padding: '3px 10px', cursor: 'pointer' }}>
+          {playing ? 'Пауза' : 'Воспроизвести'}
+        </button>
+        <input
+          id="animation-time"
+          type="range"
+          min={tStart}
+          max={tEnd}
+          step={(tEnd - tStart) / 1000}
+          value={current}
+          onChange={(e) => changeTime(Number(e.target.value))}
+          style={{ flex: '1 1 200px' }}
+        />
+        <div>
+          <label htmlFor="animation-speed">Скорость: </label>
+          <select
+            id="animation-speed"
+            value={speed}
+            onChange={(e) => setSpeed(Number(e.target.value))}
+            style={{ padding: '5px' }}
+          >
+            {SPEEDS.map(value => <option key={value} value={value}>{value}×</option>)}
+          </select>
+        </div>
+        <span>
+          t = {current.toFixed(3)} с, {task.symbol} = {state.x.toFixed(4)} {task.unit}
+        </span>
+      </div>
+      {scene === 'plank' && (
+        <p style={{ margin: '5px 0 0', fontSize: '0.9em', color: '#666' }}>
+          Смещение планки показано в масштабе наибольшего отклонения на решении ({scale.toPrecision(3)} {task.unit}).
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default SystemAnimation;
@@ -0,0 +1,81 @@
+import { FIT_GROUPS } from '../analysis/fitting';
+import { DISTRIBUTIONS } from '../analysis/uncertainty';
+import { DEFAULT_DISTRIBUTION } from '../uncertaintySettings';
+import { quantityLabel } from './QuantitySelector';
+
+const cellStyle = { border: '1px solid #ddd', padding: '6px', textAlign: 'left' };
+
+// Распределения величин задачи для метода Монте-Карло: вид и разброс около текущего значения;
+// distributions — { "params.k": { kind, width } }, errors — ошибки по ключам "uncertainty.params.k"
+const UncertaintyEditor = ({ task, quantities, distributions, errors, onChange }) => {
+  const update = (key, changes) => {
+    onChange({ ...distributions, [key]: { ...(distributions[key] || DEFAULT_DISTRIBUTION), ...changes } });
+  };
+
+  return (
+    <div>
+      <h3 style={{ margin: '10px 0' }}>Распределения величин</h3>
+      <table style={{ borderCollapse: 'collapse' }}>
+        <thead>
+          <tr style={{ backgroundColor: '#f2f2f2' }}>
+            <th style={cellStyle}>Величина</th>
+            <th style={cellStyle}>Среднее</th>
+            <th style={cellStyle}>Распределение</th>
+            <th style={cellStyle}>Разброс</th>
+          </tr>
+        </thead>
+        <tbody>
+          {quantities.map(quantity => {
+            const key = `${quantity.group}.${quantity.name}`;
+            const { kind, width } = distributions[key] || DEFAULT_DISTRIBUTION;
+            const error = errors[`uncertainty.${key}`];
+            return (
+              <tr key={key}>
+                <td style={cellStyle}>{quantityLabel(task, quantity)}</td>
+                <td style={cellStyle}>{task[FIT_GROUPS[quantity.group]][quantity.name]}</td>
+                <td style={cellStyle}>
+                  <select
+                    id={`uncertainty-${key}-kind`}
+                    value={kind}
+                    onChange={(e) => update(key, { kind: e.target.value })}
+                    style={{ padding: '5px' }}
+                  >
+                    {Object.entries(DISTRIBUTIONS).map(([name, distribution]) => (
+                      <option key={name} value={name}>{distribution.label}</option>
+                    ))}
+                  </select>
+                </td>
+                <td style={cellStyle}>
+                  {kind !== 'fixed' && (
+                    <>
+                      <label htmlFor={`uncertainty-${key}-width`}>{DISTRIBUTIONS[kind].width} = </label>
+                      <input
+                        id={`uncertainty-${key}-width`}
+                        type="text"
+                        value={width}
+                        onChange={(e) => update(key, { width: e.target.value })}
+                        style={{ padding: '5px', width: '80px', borderColor: error ? '#d32f2f' : undefined }}
+                      />
+                      {error && (
+                        <div style={{ color: '#d32f2f', fontSize: '0.8em', maxWidth: '160px' }}>{error}</div>
+                      )}
+                    </>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      {errors['uncertainty.count'] && (
+        <p style={{ color: '#d32f2f', fontSize: '0.9em' }}>{errors['uncertainty.count']}</p>
+      )}
+      <p style={{ margin: '5px 0 0', fontSize: '0.9em', color: '#666' }}>
+        Среднее — текущее значение величины в задаче. Равномерное распределение — на отрезке [среднее − δ, среднее + δ],
+        нормальное — со стандартным отклонением σ.
+      </p>
+    </div>
+  );
+};
+
+export default UncertaintyEditor;
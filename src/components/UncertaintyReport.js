@@ -0,0 +1,131 @@
+import { Bar, Line } from 'react-chartjs-2';
+import DownloadableChart, { ZOOM_OPTIONS } from './DownloadableChart';
+import { histogram, percentile, PERCENTILES } from '../analysis/uncertainty';
+
+const cellStyle = { border: '1px solid #ddd', padding: '8px', textAlign: 'left' };
+
+const BAND_COLOR = 'rgba(54, 162, 235, 0.15)';
+const INNER_BAND_COLOR = 'rgba(54, 162, 235, 0.3)';
+
+const line = (label, data, color, extra = {}) => ({
+  label,
+  data,
+  borderColor: color,
+  backgroundColor: color,
+  borderWidth: 1.5,
+  pointRadius: 0,
+  ...extra
+});
+
+// Полоса между процентилями: нижняя граница без заливки, верхняя заливается до нижней
+const band = (points, lower, upper, color) => [
+  line(`${lower}%`, points.map(p => ({ x: p.t, y: p[`p${lower}`] })), color, { borderWidth: 0 }),
+  line(`${lower}–${upper}%`, points.map(p => ({ x: p.t, y: p[`p${upper}`] })), color, { borderWidth: 0, fill: '-1' })
+];
+
+// Результат метода Монте-Карло: среднее и полосы процентилей x(t) по реализациям,
+// статистика и гистограмма x(T)
+const UncertaintyReport = ({ result, methodLabel, task, endTime, getMetadata }) => {
+  const { symbol } = task;
+  const valid = result.endValues.length;
+  const sorted = result.endValues.slice().sort((a, b) => a - b);
+  const mean = sorted.reduce((sum, x) => sum + x, 0) / valid;
+  const std = valid > 1 ? Math.sqrt(sorted.reduce((sum, x) => sum + (x - mean) ** 2, 0) / (valid - 1)) : 0;
+  const bins = histogram(sorted);
+  const nominalEnd = result.points[result.points.length - 1].nominal;
+
+  const bandData = {
+    datasets: [
+      ...band(result.points, 5, 95, BAND_COLOR),
+      ...band(result.points, 25, 75, INNER_BAND_COLOR),
+      line('Медиана', result.points.map(p => ({ x: p.t, y: p.p50 })), 'rgb(54, 162, 235)', { borderDash: [6, 3] }),
+      line('Среднее', result.points.map(p => ({ x: p.t, y: p.mean })), 'rgb(54, 162, 235)', { borderWidth: 2 }),
+      line('Номинальное решение', result.points.map(p => ({ x: p.t, y: p.nominal })), 'rgb(255, 99, 132)')
+    ]
+  };
+
+  const histogramData = {
+    labels: bins.map(bin => ((bin.from + bin.to) / 2).toPrecision(4)),
+    datasets: [{
+      label: 'Число реализаций',
+      data: bins.map(bin => bin.count),
+      backgroundColor: 'rgba(54, 162, 235, 0.6)',
+      barPercentage: 1,
+      categoryPercentage: 1
+    }]
+  };
+
+  return (
+    <div style={{ marginTop: '30px' }}>
+      <h2>Распространение неопределённости (метод: {methodLabel}):</h2>
+      <p>
+        Реализаций: {result.samples}, зерно: {result.seed}
+        {result.failed > 0 && `, отброшено уходящих на бесконечность: ${result.failed}`}
+      </p>
+
+      <DownloadableChart filename="uncertainty-bands.png" getMetadata={getMetadata} zoomable style={{ height: '400px' }}>
+        {(ref) => (
+          <Line
+            ref={ref}
+            data={bandData}
+            options={{
+              responsive: true,
+              maintainAspectRatio: false,
+              animation: false,
+              plugins: {
+                zoom: ZOOM_OPTIONS,
+                // Нижние границы полос в легенде не показываются
+                legend: { labels: { filter: (item) => item.text.includes('–') || !item.text.endsWith('%') } }
+              },
+              scales: {
+                x: { type: 'linear', title: { display: true, text: 'Время, с' } },
+                y: { type: 'linear', title: { display: true, text: symbol } }
+              }
+            }}
+          />
+        )}
+      </DownloadableChart>
+
+      <h3>{symbol}({endTime}) по реализациям</h3>
+      <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+        <thead>
+          <tr style={{ backgroundColor: '#f2f2f2' }}>
+            <th style={cellStyle}>Номинальное</th>
+            <th style={cellStyle}>Среднее</th>
+            <th style={cellStyle}>Ст. отклонение</th>
+            {PERCENTILES.map(q => <th key={q} style={cellStyle}>{q}%</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          <tr>
+            <td style={cellStyle}>{nominalEnd.toFixed(6)}</td>
+            <td style={cellStyle}><strong>{mean.toFixed(6)}</strong></td>
+            <td style={cellStyle}>{std.toExponential(3)}</td>
+            {PERCENTILES.map(q => <td key={q} style={cellStyle}>{percentile(sorted, q).toFixed(6)}</td>)}
+          </tr>
+        </tbody>
+      </table>
+
+      <DownloadableChart filename="uncertainty-histogram.png" getMetadata={getMetadata} style={{ height: '300px', marginTop: '20px' }}>
+        {(ref) => (
+          <Bar
+            ref={ref}
+            data={histogramData}
+            options={{
+              responsive: true,
+              maintainAspectRatio: false,
+              animation: false,
+              plugins: { legend: { display: false } },
+              scales: {
+                x: { title: { display: true, text: `${symbol}(${endTime})` } },
+                y: { beginAtZero: true, title: { display: true, text: 'Число реализаций' } }
+              }
+            }}
+          />
+        )}
+      </DownloadableChart>
+    </div>
+  );
+};
+
+export default UncertaintyReport;
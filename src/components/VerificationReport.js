@@ -0,0 +1,83 @@
+import { Line } from 'react-chartjs-2';
+import DownloadableChart, { ZOOM_OPTIONS } from './DownloadableChart';
+import KatexFormula from './KatexFormula';
+import { RELATIVE_FLOOR, VERIFICATION_PROBLEMS } from '../analysis/verification';
+
+const cellStyle = { border: '1px solid #ddd', padding: '8px', textAlign: 'left' };
+
+const format = (value) => value.toExponential(3);
+
+// Результаты проверки: ошибки всех методов относительно точного решения тестовой задачи
+// в конце отрезка и максимум по отрезку, график |x − x*| во времени
+const VerificationReport = ({ result, labels, colors, endTime, getMetadata }) => {
+  const problem = VERIFICATION_PROBLEMS[result.problem];
+
+  const data = {
+    datasets: result.series.map(series => ({
+      label: labels[series.method],
+      // Нули заменяются на null: разрыв линии на логарифмической оси
+      data: series.errors.map(e => ({ x: e.t, y: e.error > 0 ? e.error : null })),
+      borderColor: colors[series.method],
+      backgroundColor: colors[series.method],
+      borderWidth: 1.5,
+      pointRadius: 0
+    }))
+  };
+
+  return (
+    <div style={{ marginTop: '30px' }}>
+      <h2>Проверка по точному решению:</h2>
+      <p>{problem.label}</p>
+      <KatexFormula tex={problem.tex} />
+
+      <table style={{ borderCollapse: 'collapse', width: '100%', marginTop: '10px' }}>
+        <thead>
+          <tr style={{ backgroundColor: '#f2f2f2' }}>
+            <th style={cellStyle}>Метод</th>
+            <th style={cellStyle}>|x − x*| при t = {endTime}</th>
+            <th style={cellStyle}>Относительная при t = {endTime}</th>
+            <th style={cellStyle}>max |x − x*|</th>
+            <th style={cellStyle}>max относительная</th>
+          </tr>
+        </thead>
+        <tbody>
+          {result.series.map(series => (
+            <tr key={series.method}>
+              <td style={cellStyle}>{labels[series.method]}</td>
+              <td style={cellStyle}>{format(series.endError)}</td>
+              <td style={cellStyle}>{format(series.endRelative)}{series.endFloored ? '*' : ''}</td>
+              <td style={cellStyle}>{format(series.maxError)}</td>
+              <td style={cellStyle}>{format(series.maxRelative)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p style={{ marginTop: '10px', fontSize: '0.9em', color: '#666' }}>
+        Относительная ошибка — |x − x*| / max(|x*|, {RELATIVE_FLOOR} · max|x*|): вблизи нулей точного решения
+        она отнесена к масштабу решения (отмечено *).
+      </p>
+
+      <DownloadableChart filename="verification.png" getMetadata={getMetadata} zoomable style={{ height: '400px', marginTop: '10px' }}>
+        {(ref) => (
+          <Line
+            ref={ref}
+            data={data}
+            options={{
+              responsive: true,
+              maintainAspectRatio: false,
+              animation: false,
+              spanGaps: false,
+              plugins: { zoom: ZOOM_OPTIONS },
+              scales: {
+                x: { type: 'linear', title: { display: true, text: 'Время, с' } },
+                y: { type: 'logarithmic', title: { display: true, text: '|x(t) − x*(t)|' } }
+              }
+            }}
+          />
+        )}
+      </DownloadableChart>
+    </div>
+  );
+};
+
+export default VerificationReport;
@@ -0,0 +1,163 @@
+// Экспорт результатов: CSV, JSON и PNG графиков с описанием расчёта
+
+// Описание расчёта по заданию, отправленному решателю (см. tasks/run)
+export const buildMetadata = (job, title) => ({
+  task: job.task,
+  title,
+  params: job.params,
+  initialConditions: job.initialConditionsValues,
+  ...(job.task === 'custom' ? { customProblem: job.customProblem } : {}),
+  ...(job.mode === 'sweep' ? { sweep: { ...job.sweep, method: job.method } } : {}),
+  ...(job.mode === 'chaos' ? { chaos: { ...job.chaos, method: job.method } } : {}),
+  ...(job.events?.length ? { events: job.events } : {}),
+  ...(job.mode === 'verification' ? { verification: job.verification } : {}),
+  ...(job.mode === 'shooting' ? { bvp: { ...job.bvp, method: job.method } } : {}),
+  ...(job.mode === 'sensitivity' ? {
+    sensitivity: {
+      quantities: job.sensitivity.quantities.map(({ group, name }) => `${group}.${name}`).join(', '),
+      method: job.method
+    }
+  } : {}),
+  ...(job.mode === 'uncertainty' ? {
+    uncertainty: {
+      distributions: job.uncertainty.distributions
+        .map(({ group, name, kind, width }) => `${group}.${name} ${kind} ${width}`).join(', '),
+      samples: job.uncertainty.samples,
+      seed: job.uncertainty.seed,
+      method: job.method
+    }
+  } : {}),
+  ...(job.mode === 'fit' ? {
+    fit: {
+      fitted: job.fit.fitted.map(({ group, name }) => `${group}.${name}`).join(', '),
+      measurements: job.measurements.length,
+      method: job.method
+    }
+  } : {}),
+  solver: {
+    h: job.h,
+    tEnd: job.tEnd,
+    outputStep: job.outputStep,
+    atol: job.atol,
+    rtol: job.rtol,
+    norm: job.norm,
+    hMin: job.hMin,
+    hMax: job.hMax,
+    initialStep: job.initialStep
+  },
+  exportedAt: new Date().toISOString()
+});
+
+const formatValues = (values) => Object.entries(values || {})
+  .filter(([, value]) => value !== undefined)
+  .map(([name, value]) => `${name}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+  .join('; ');
+
+const formatEvent = (event) => `${event.expression} = 0 (${event.direction}${event.terminal ? ', стоп' : ''})`;
+
+// Описание расчёта построчно: для комментариев CSV и подписи к графику
+export const metadataLines = (metadata) => [
+  `Задача: ${metadata.title} (${metadata.task})`,
+  ...(metadata.customProblem ? [`Уравнение: ${metadata.customProblem.equation}`] : []),
+  `Параметры: ${formatValues(metadata.params)}`,
+  `Начальные условия: ${formatValues(metadata.initialConditions)}`,
+  `Решатель: ${formatValues(metadata.solver)}`,
+  ...(metadata.sweep ? [`Развёртка: ${formatValues(metadata.sweep)}`] : []),
+  ...(metadata.chaos ? [`Сечение Пуанкаре и показатель Ляпунова: ${formatValues(metadata.chaos)}`] : []),
+  ...(metadata.events ? [`События: ${metadata.events.map(formatEvent).join('; ')}`] : []),
+  ...(metadata.verification ? [`Проверка по точному решению: ${formatValues(metadata.verification)}`] : []),
+  ...(metadata.bvp ? [`Краевая задача: ${formatValues(metadata.bvp)}`] : []),
+  ...(metadata.fit ? [`Подбор параметров: ${formatValues(metadata.fit)}`] : []),
+  ...(metadata.sensitivity ? [`Чувствительность: ${formatValues(metadata.sensitivity)}`] : []),
+  ...(metadata.uncertainty ? [`Монте-Карло: ${formatValues(metadata.uncertainty)}`] : []),
+  `Экспортировано: ${metadata.exportedAt}`
+];
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (metadata, header, rows) => [
+  ...metadataLines(metadata).map(line => `# ${line}`),
+  header.join(','),
+  ...rows.map(row => row.map(csvCell).join(','))
+].join('\n') + '\n';
+
+// Траектории всех методов: solutions — { метод: [{ t, x, v, a }] }
+export const solutionsToCsv = (solutions, metadata) => toCsv(
+  metadata,
+  ['method', 't', 'x', 'v', 'a'],
+  Object.entries(solutions)
+    .filter(([, points]) => points)
+    .flatMap(([method, points]) => points.map(p => [method, p.t, p.x, p.v, p.a]))
+);
+
+export const solutionsToJson = (solutions, metadata) => JSON.stringify({
+  metadata,
+  solutions: Object.fromEntries(Object.entries(solutions).filter(([, points]) => points))
+}, null, 2);
+
+// Таблица сравнения в полной точности: значение x в конце расчёта
+// и отклонение от эталонного метода reference (%)
+export const comparisonRows = (solutions, labels, reference) => {
+  const last = (points) => points[points.length - 1];
+  const referencePoints = solutions[reference];
+  const referenceValue = referencePoints ? last(referencePoints).x : null;
+
+  return Object.entries(solutions)
+    .filter(([, points]) => points && points.length)
+    .map(([method, points]) => {
+      const { t, x } = last(points);
+      return {
+        method,
+        label: labels[method],
+        t,
+        value: x,
+        deviation: referenceValue ? Math.abs((x - referenceValue) / referenceValue) * 100 : null
+      };
+    });
+};
+
+export const comparisonToCsv = (rows, metadata) => toCsv(
+  metadata,
+  ['method', 'label', 't', 'value', 'deviation_percent'],
+  rows.map(row => [row.method, row.label, row.t, row.value, row.deviation])
+);
+
+export const downloadFile = (filename, content, type) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// PNG графика Chart.js на белом фоне с подписью — описанием расчёта
+export const downloadChartPng = (chart, filename, metadata) => {
+  const lines = metadata ? metadataLines(metadata) : [];
+  const lineHeight = 16;
+  const padding = 10;
+  const source = chart.canvas;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = source.width;
+  canvas.height = source.height + (lines.length ? lines.length * lineHeight + 2 * padding : 0);
+
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(source, 0, 0);
+  context.fillStyle = '#333';
+  context.font = '12px sans-serif';
+  lines.forEach((line, i) => {
+    context.fillText(line, padding, source.height + padding + (i + 1) * lineHeight - 4, canvas.width - 2 * padding);
+  });
+
+  canvas.toBlob(blob => downloadFile(filename, blob, 'image/png'), 'image/png');
+};
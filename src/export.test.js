@@ -0,0 +1,60 @@
+import { buildMetadata, comparisonRows, comparisonToCsv, solutionsToCsv, solutionsToJson } from './export';
+
+const job = {
+  task: 'beam',
+  params: { m: 1, k: 0.2 },
+  initialConditionsValues: { x: 0, v: 1 },
+  customProblem: { equation: "x'' = -x" },
+  h: 0.01,
+  tEnd: 1,
+  outputStep: 0.5,
+  atol: 1e-6,
+  rtol: 0,
+  norm: 'inf',
+  initialStep: 'step'
+};
+
+const solutions = {
+  rkf: [{ t: 0, x: 0, v: 1, a: 0 }, { t: 1, x: 0.51, v: 0.2, a: -1 }],
+  'dormand-prince': [{ t: 0, x: 0, v: 1, a: 0 }, { t: 1, x: 0.5, v: 0.2, a: -1 }],
+  euler: null
+};
+
+test('metadata describes the task and solver settings', () => {
+  const metadata = buildMetadata(job, 'Балка');
+  expect(metadata.title).toBe('Балка');
+  expect(metadata.params).toEqual({ m: 1, k: 0.2 });
+  expect(metadata.initialConditions).toEqual({ x: 0, v: 1 });
+  expect(metadata.solver).toMatchObject({ h: 0.01, tEnd: 1, atol: 1e-6, norm: 'inf' });
+  // Описание пользовательского уравнения нужно только для задачи custom
+  expect(metadata.customProblem).toBeUndefined();
+});
+
+test('CSV carries metadata comments and one row per point', () => {
+  const csv = solutionsToCsv(solutions, buildMetadata(job, 'Балка'));
+  const lines = csv.trim().split('\n');
+  const comments = lines.filter(line => line.startsWith('#'));
+  expect(comments[0]).toBe('# Задача: Балка (beam)');
+  expect(comments.some(line => line.includes('m=1; k=0.2'))).toBe(true);
+
+  const rows = lines.filter(line => !line.startsWith('#'));
+  expect(rows[0]).toBe('method,t,x,v,a');
+  expect(rows).toHaveLength(5);
+  expect(rows[2]).toBe('rkf,1,0.51,0.2,-1');
+});
+
+test('JSON round-trips solutions with metadata', () => {
+  const parsed = JSON.parse(solutionsToJson(solutions, buildMetadata(job, 'Балка')));
+  expect(Object.keys(parsed.solutions)).toEqual(['rkf', 'dormand-prince']);
+  expect(parsed.solutions.rkf[1].x).toBe(0.51);
+  expect(parsed.metadata.task).toBe('beam');
+});
+
+test('comparison keeps full precision and quotes labels', () => {
+  const rows = comparisonRows(solutions, { rkf: 'РКФ, 4(5)', 'dormand-prince': 'ДП' }, 'dormand-prince');
+  expect(rows[0].deviation).toBeCloseTo(2);
+  expect(rows[1].deviation).toBe(0);
+
+  const csv = comparisonToCsv(rows, buildMetadata(job, 'Балка'));
+  expect(csv).toContain('rkf,"РКФ, 4(5)",1,0.51,');
+});
@@ -0,0 +1,326 @@
+// Разбор и компиляция математических выражений без eval.
+// Грамматика:
+//   expr  := term (('+' | '-') term)*
+//   term  := unary (('*' | '/') unary)*
+//   unary := ('+' | '-') unary | power
+//   power := atom ('^' unary)?
+//   atom  := number | name | name '(' expr (',' expr)* ')' | '(' expr ')'
+// Имена могут оканчиваться штрихами (x', x''), что удобно для производных.
+
+export class ExpressionError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} (позиция ${position + 1})`);
+    this.name = 'ExpressionError';
+    this.position = position;
+  }
+}
+
+export const FUNCTIONS = {
+  sin: { fn: Math.sin, arity: 1, tex: '\\sin' },
+  cos: { fn: Math.cos, arity: 1, tex: '\\cos' },
+  tan: { fn: Math.tan, arity: 1, tex: '\\tan' },
+  asin: { fn: Math.asin, arity: 1, tex: '\\arcsin' },
+  acos: { fn: Math.acos, arity: 1, tex: '\\arccos' },
+  atan: { fn: Math.atan, arity: 1, tex: '\\arctan' },
+  sinh: { fn: Math.sinh, arity: 1, tex: '\\sinh' },
+  cosh: { fn: Math.cosh, arity: 1, tex: '\\cosh' },
+  tanh: { fn: Math.tanh, arity: 1, tex: '\\tanh' },
+  exp: { fn: Math.exp, arity: 1, tex: '\\exp' },
+  ln: { fn: Math.log, arity: 1, tex: '\\ln' },
+  log: { fn: Math.log, arity: 1, tex: '\\ln' },
+  sqrt: { fn: Math.sqrt, arity: 1 },
+  abs: { fn: Math.abs, arity: 1 },
+  sign: { fn: Math.sign, arity: 1, tex: '\\operatorname{sign}' },
+  min: { fn: Math.min, arity: 2, tex: '\\min' },
+  max: { fn: Math.max, arity: 2, tex: '\\max' },
+  pow: { fn: Math.pow, arity: 2 }
+};
+
+export const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+// Поиск только среди собственных имён таблицы: имена из Object.prototype
+// (constructor, toString, ...) не считаются функциями и константами
+const lookup = (table, name) => (Object.prototype.hasOwnProperty.call(table, name) ? table[name] : undefined);
+
+const GREEK = new Set([
+  'alpha', 'beta', 'gamma', 'delta', 'epsilon', 'zeta', 'eta', 'theta', 'iota', 'kappa',
+  'lambda', 'mu', 'nu', 'xi', 'pi', 'rho', 'sigma', 'tau', 'upsilon', 'phi', 'chi', 'psi', 'omega',
+  'Gamma', 'Delta', 'Theta', 'Lambda', 'Xi', 'Pi', 'Sigma', 'Upsilon', 'Phi', 'Psi', 'Omega'
+]);
+
+const NUMBER_RE = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/;
+const NAME_RE = /^[A-Za-z_][A-Za-z0-9_]*'*/;
+
+const tokenize = (source, offset) => {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < source.length) {
+    const rest = source.slice(pos);
+    const ch = source[pos];
+
+    if (/\s/.test(ch)) {
+      pos++;
+      continue;
+    }
+
+    const number = NUMBER_RE.exec(rest);
+    if (number) {
+      tokens.push({ type: 'number', value: parseFloat(number[0]), pos: pos + offset });
+      pos += number[0].length;
+      continue;
+    }
+
+    const name = NAME_RE.exec(rest);
+    if (name) {
+      tokens.push({ type: 'name', value: name[0], pos: pos + offset });
+      pos += name[0].length;
+      continue;
+    }
+
+    if ('+-*/^(),'.includes(ch)) {
+      tokens.push({ type: ch, pos: pos + offset });
+      pos++;
+      continue;
+    }
+
+    throw new ExpressionError(`Недопустимый символ «${ch}»`, pos + offset);
+  }
+
+  tokens.push({ type: 'end', pos: pos + offset });
+  return tokens;
+};
+
+// offset — смещение source в исходной строке, для позиций в сообщениях об ошибках
+export const parseExpression = (source, offset = 0) => {
+  const tokens = tokenize(source, offset);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const expect = (type) => {
+    const token = next();
+    if (token.type !== type) {
+      throw new ExpressionError(`Ожидается «${type}»`, token.pos);
+    }
+    return token;
+  };
+
+  const parseExpr = () => {
+    let node = parseTerm();
+    while (peek().type === '+' || peek().type === '-') {
+      const op = next().type;
+      node = { type: 'binary', op, left: node, right: parseTerm() };
+    }
+    return node;
+  };
+
+  const parseTerm = () => {
+    let node = parseUnary();
+    while (peek().type === '*' || peek().type === '/') {
+      const op = next().type;
+      node = { type: 'binary', op, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseUnary = () => {
+    if (peek().type === '-' || peek().type === '+') {
+      const op = next().type;
+      const arg = parseUnary();
+      return op === '-' ? { type: 'unary', op, arg } : arg;
+    }
+    return parsePower();
+  };
+
+  const parsePower = () => {
+    const base = parseAtom();
+    if (peek().type === '^') {
+      next();
+      return { type: 'binary', op: '^', left: base, right: parseUnary() };
+    }
+    return base;
+  };
+
+  const parseAtom = () => {
+    const token = next();
+
+    if (token.type === 'number') {
+      return { type: 'number', value: token.value };
+    }
+
+    if (token.type === 'name') {
+      if (peek().type !== '(') {
+        return { type: 'variable', name: token.value };
+      }
+      const func = lookup(FUNCTIONS, token.value);
+      if (!func) {
+        throw new ExpressionError(`Неизвестная функция «${token.value}»`, token.pos);
+      }
+      next();
+      const args = [parseExpr()];
+      while (peek().type === ',') {
+        next();
+        args.push(parseExpr());
+      }
+      expect(')');
+      if (args.length !== func.arity) {
+        throw new ExpressionError(
+          `Функция «${token.value}» принимает аргументов: ${func.arity}`, token.pos
+        );
+      }
+      return { type: 'call', name: token.value, args };
+    }
+
+    if (token.type === '(') {
+      const node = parseExpr();
+      expect(')');
+      return node;
+    }
+
+    if (token.type === 'end') {
+      throw new ExpressionError('Неожиданный конец выражения', token.pos);
+    }
+    throw new ExpressionError(`Неожиданный символ «${token.type}»`, token.pos);
+  };
+
+  const ast = parseExpr();
+  const rest = peek();
+  if (rest.type !== 'end') {
+    throw new ExpressionError('Лишние символы в конце выражения', rest.pos);
+  }
+  return ast;
+};
+
+// Имена переменных, встречающиеся в выражении
+export const collectVariables = (ast, result = new Set()) => {
+  switch (ast.type) {
+    case 'variable': result.add(ast.name); break;
+    case 'unary': collectVariables(ast.arg, result); break;
+    case 'binary':
+      collectVariables(ast.left, result);
+      collectVariables(ast.right, result);
+      break;
+    case 'call': ast.args.forEach(arg => collectVariables(arg, result)); break;
+    default: break;
+  }
+  return result;
+};
+
+// Компиляция в замыкание: fn(values), где values[i] соответствует names[i]
+export const compileExpression = (ast, names = []) => {
+  const compileNode = (node) => {
+    switch (node.type) {
+      case 'number': {
+        const { value } = node;
+        return () => value;
+      }
+      case 'variable': {
+        const index = names.indexOf(node.name);
+        if (index >= 0) return (values) => values[index];
+        const value = lookup(CONSTANTS, node.name);
+        if (value !== undefined) return () => value;
+        throw new ExpressionError(`Неизвестная переменная «${node.name}»`);
+      }
+      case 'unary': {
+        const arg = compileNode(node.arg);
+        return (values) => -arg(values);
+      }
+      case 'binary': {
+        const left = compileNode(node.left);
+        const right = compileNode(node.right);
+        switch (node.op) {
+          case '+': return (values) => left(values) + right(values);
+          case '-': return (values) => left(values) - right(values);
+          case '*': return (values) => left(values) * right(values);
+          case '/': return (values) => left(values) / right(values);
+          default: return (values) => Math.pow(left(values), right(values));
+        }
+      }
+      case 'call': {
+        const { fn } = FUNCTIONS[node.name];
+        const args = node.args.map(compileNode);
+        if (args.length === 1) {
+          const [arg] = args;
+          return (values) => fn(arg(values));
+        }
+        return (values) => fn(...args.map(arg => arg(values)));
+      }
+      default:
+        throw new ExpressionError(`Неизвестный узел выражения «${node.type}»`);
+    }
+  };
+
+  return compileNode(ast);
+};
+
+// Значение выражения без переменных, например "2*pi"
+export const evaluateConstant = (source) => {
+  const value = compileExpression(parseExpression(source))([]);
+  if (!Number.isFinite(value)) {
+    throw new ExpressionError('Значение должно быть конечным числом');
+  }
+  return value;
+};
+
+// Имя в TeX: omega -> \omega, F0 -> F_{0}, x'' -> x''
+export const nameToTex = (name) => {
+  const [, base, index, primes] = /^([A-Za-z]+)_?([A-Za-z0-9_]*?)('*)$/.exec(name) || [null, name, '', ''];
+  let tex = GREEK.has(base) ? `\\${base}` : base.length > 1 ? `\\mathrm{${base}}` : base;
+  if (index) tex += `_{${index}}`;
+  return tex + primes;
+};
+
+const PRECEDENCE = { '+': 1, '-': 1, '*': 2, '/': 2, unary: 3, '^': 4 };
+
+const precedenceOf = (node) => {
+  if (node.type === 'binary') return PRECEDENCE[node.op];
+  if (node.type === 'unary') return PRECEDENCE.unary;
+  return 5;
+};
+
+const wrap = (tex) => `\\left(${tex}\\right)`;
+
+export const expressionToTex = (node) => {
+  switch (node.type) {
+    case 'number':
+      return String(node.value);
+    case 'variable':
+      return nameToTex(node.name);
+    case 'unary': {
+      const arg = expressionToTex(node.arg);
+      return `-${precedenceOf(node.arg) < PRECEDENCE['*'] ? wrap(arg) : arg}`;
+    }
+    case 'binary': {
+      const left = expressionToTex(node.left);
+      const right = expressionToTex(node.right);
+      const lp = precedenceOf(node.left);
+      const rp = precedenceOf(node.right);
+      const rightSigned = node.right.type === 'unary';
+      switch (node.op) {
+        case '+':
+          return `${left} + ${rightSigned ? wrap(right) : right}`;
+        case '-':
+          return `${left} - ${rp <= PRECEDENCE['-'] || rightSigned ? wrap(right) : right}`;
+        case '*':
+          return `${lp < PRECEDENCE['*'] ? wrap(left) : left} \\cdot ${rp < PRECEDENCE['*'] || rightSigned ? wrap(right) : right}`;
+        case '/':
+          return `\\frac{${left}}{${right}}`;
+        default:
+          return `{${lp <= PRECEDENCE['^'] ? wrap(left) : left}}^{${right}}`;
+      }
+    }
+    case 'call': {
+      const args = node.args.map(expressionToTex);
+      if (node.name === 'sqrt') return `\\sqrt{${args[0]}}`;
+      if (node.name === 'abs') return `\\left|${args[0]}\\right|`;
+      if (node.name === 'pow') return `{${wrap(args[0])}}^{${args[1]}}`;
+      return `${FUNCTIONS[node.name].tex}${wrap(args.join(', '))}`;
+    }
+    default:
+      return '';
+  }
+};
@@ -0,0 +1,57 @@
+import {
+  parseExpression,
+  compileExpression,
+  evaluateConstant,
+  expressionToTex,
+  ExpressionError
+} from './expression';
+import { buildCustomTask, parseParams, DEFAULT_CUSTOM_PROBLEM } from '../tasks/custom';
+
+const evaluate = (source, scope = {}) =>
+  compileExpression(parseExpression(source), Object.keys(scope))(Object.values(scope));
+
+test('respects precedence and associativity', () => {
+  expect(evaluate('1 + 2 * 3')).toBe(7);
+  expect(evaluate('2 ^ 3 ^ 2')).toBe(512);
+  expect(evaluate('-2 ^ 2')).toBe(-4);
+  expect(evaluate('(1 + 2) * 3 - 4 / 2')).toBe(7);
+  expect(evaluate("k * x' + x", { x: 2, "x'": 3, k: 10 })).toBe(32);
+  expect(evaluate('sin(pi / 2) + max(1, 5)')).toBe(6);
+});
+
+test('reports errors with positions instead of evaluating code', () => {
+  expect(() => parseExpression('1 + ')).toThrow(ExpressionError);
+  expect(() => parseExpression('alert(1)')).toThrow('Неизвестная функция «alert»');
+  expect(() => parseExpression('x; y')).toThrow('позиция 2');
+  expect(() => evaluateConstant('q + 1')).toThrow('Неизвестная переменная «q»');
+});
+
+test('names from Object.prototype are neither functions nor constants', () => {
+  expect(() => parseExpression('toString(x)')).toThrow('Неизвестная функция «toString»');
+  expect(() => parseExpression('constructor(1)')).toThrow('Неизвестная функция «constructor»');
+  expect(() => evaluateConstant('constructor + 1')).toThrow('Неизвестная переменная «constructor»');
+  expect(() => evaluateConstant('__proto__')).toThrow('Неизвестная переменная «__proto__»');
+  expect(evaluate('toString + constructor', { toString: 1, constructor: 2 })).toBe(3);
+  expect(parseParams('toString = 2, valueOf = 3')).toEqual({ toString: 2, valueOf: 3 });
+});
+
+test('renders TeX', () => {
+  expect(expressionToTex(parseExpression('(F0*cos(omega*t) - k*x)/m')))
+    .toBe('\\frac{F_{0} \\cdot \\cos\\left(\\omega \\cdot t\\right) - k \\cdot x}{m}');
+  expect(expressionToTex(parseExpression('a - (b + c)'))).toBe('a - \\left(b + c\\right)');
+});
+
+test('builds a custom task equivalent to the beam', () => {
+  const task = buildCustomTask(DEFAULT_CUSTOM_PROBLEM);
+  expect(task.errors).toEqual({});
+  expect(task.order).toBe(3);
+  expect(task.initialConditionsValues).toEqual([0.5, 0, -1]);
+  expect(task.f(0, [0.5, 0, -1], task.params)).toBeCloseTo(1 - 4 * 0.125);
+});
+
+test('collects custom task errors', () => {
+  expect(() => parseParams('t = 1')).toThrow('зарезервировано');
+  const task = buildCustomTask({ equation: "x'' = -k*x + y", params: 'k = 1', initialConditions: ['1', 'abc'] });
+  expect(task.errors.equation).toMatch('«y»');
+  expect(task.errors.initialConditions).toMatch("x'(0)");
+});
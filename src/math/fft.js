@@ -0,0 +1,49 @@
+// Быстрое преобразование Фурье (Кули — Тьюки, основание 2)
+
+export const nextPowerOfTwo = (n) => {
+  let size = 1;
+  while (size < n) size *= 2;
+  return size;
+};
+
+// Дискретное преобразование Фурье X_k = Σ x_j e^(−2πi jk/N) вещественной последовательности
+// длины N = 2^m. Возвращает { re, im } — массивы длины N.
+export const fft = (values) => {
+  const n = values.length;
+  if (n === 0 || n !== nextPowerOfTwo(n)) {
+    throw new Error('Длина последовательности должна быть степенью двойки');
+  }
+  const re = Float64Array.from(values);
+  const im = new Float64Array(n);
+
+  // Перестановка в бит-обратном порядке
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size *= 2) {
+    const angle = -2 * Math.PI / size;
+    const half = size / 2;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const wr = Math.cos(angle * k);
+        const wi = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + half;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+
+  return { re: Array.from(re), im: Array.from(im) };
+};
@@ -0,0 +1,27 @@
+import { fft, nextPowerOfTwo } from './fft';
+
+// Прямое вычисление по определению для сравнения
+const dft = (values) => values.map((_, k) => values.reduce((sum, x, j) => {
+  const angle = -2 * Math.PI * j * k / values.length;
+  return { re: sum.re + x * Math.cos(angle), im: sum.im + x * Math.sin(angle) };
+}, { re: 0, im: 0 }));
+
+test('agrees with the direct transform', () => {
+  const values = Array.from({ length: 16 }, (_, j) => Math.sin(j) + 0.3 * j - (j % 3));
+  const { re, im } = fft(values);
+  dft(values).forEach((expected, k) => {
+    expect(re[k]).toBeCloseTo(expected.re, 10);
+    expect(im[k]).toBeCloseTo(expected.im, 10);
+  });
+});
+
+test('a pure cosine falls into a single pair of bins', () => {
+  const n = 64;
+  const { re, im } = fft(Array.from({ length: n }, (_, j) => Math.cos(2 * Math.PI * 5 * j / n)));
+  const magnitudes = re.map((r, k) => Math.hypot(r, im[k]));
+  expect(magnitudes[5]).toBeCloseTo(n / 2, 10);
+  expect(magnitudes[n - 5]).toBeCloseTo(n / 2, 10);
+  expect(magnitudes.filter(m => m > 1e-9)).toHaveLength(2);
+  expect(nextPowerOfTwo(100)).toBe(128);
+  expect(() => fft([1, 2, 3])).toThrow('степенью двойки');
+});
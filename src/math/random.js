@@ -0,0 +1,23 @@
+// Воспроизводимые псевдослучайные числа: генератор mulberry32 с 32-битным зерном.
+// Одно и то же зерно даёт одну и ту же последовательность на любой платформе.
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+
+  // Равномерное распределение на [0, 1)
+  const uniform = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  // Стандартное нормальное распределение: преобразование Бокса — Мюллера
+  const normal = () => {
+    const u = 1 - uniform();
+    const v = uniform();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  };
+
+  return { uniform, normal };
+};
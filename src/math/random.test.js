@@ -0,0 +1,21 @@
+import { createRandom } from './random';
+
+const draw = (random, kind, count) => Array.from({ length: count }, () => random[kind]());
+
+test('the same seed reproduces the sequence, another seed changes it', () => {
+  expect(draw(createRandom(42), 'uniform', 5)).toEqual(draw(createRandom(42), 'uniform', 5));
+  expect(draw(createRandom(42), 'uniform', 5)).not.toEqual(draw(createRandom(43), 'uniform', 5));
+});
+
+test('uniform and normal samples have the expected moments', () => {
+  const uniform = draw(createRandom(1), 'uniform', 20000);
+  expect(Math.min(...uniform)).toBeGreaterThanOrEqual(0);
+  expect(Math.max(...uniform)).toBeLessThan(1);
+  expect(uniform.reduce((s, u) => s + u, 0) / uniform.length).toBeCloseTo(0.5, 2);
+
+  const normal = draw(createRandom(2), 'normal', 20000);
+  const mean = normal.reduce((s, z) => s + z, 0) / normal.length;
+  const variance = normal.reduce((s, z) => s + (z - mean) ** 2, 0) / normal.length;
+  expect(Math.abs(mean)).toBeLessThan(0.03);
+  expect(variance).toBeCloseTo(1, 1);
+});
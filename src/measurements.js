@@ -0,0 +1,52 @@
+// Измерения (t, x) из CSV: строки "t,x", "t;x" (десятичная запятая допустима) или "t x".
+// Строки, начинающиеся с #, и пустые строки пропускаются. Если первая строка — заголовок,
+// значения берутся из столбцов t и x (или time, время), иначе — из первых двух столбцов.
+
+export const MAX_MEASUREMENTS = 10000;
+
+const TIME_COLUMNS = ['t', 'time', 'время'];
+
+const splitLine = (line) => (
+  line.includes(';')
+    ? line.split(';').map(cell => cell.trim().replace(',', '.'))
+    : line.trim().split(/\s*,\s*|\s+/)
+).map(cell => cell.replace(/^"(.*)"$/, '$1'));
+
+const parseNumber = (cell) => (cell === undefined || cell.trim() === '' ? NaN : Number(cell));
+
+// [{ t, x }] по возрастанию t; ошибки формата — исключение с номером строки
+export const parseMeasurements = (text) => {
+  const rows = text.split(/\r?\n/)
+    .map((line, i) => ({ number: i + 1, cells: splitLine(line) }))
+    .filter(({ cells }) => cells.join('') !== '' && !cells[0].startsWith('#'));
+  if (!rows.length) {
+    throw new Error('Файл не содержит данных');
+  }
+
+  let columns = [0, 1];
+  if (rows[0].cells.some(cell => Number.isNaN(parseNumber(cell)))) {
+    const header = rows.shift().cells.map(cell => cell.toLowerCase());
+    const t = header.findIndex(name => TIME_COLUMNS.includes(name));
+    const x = header.indexOf('x');
+    if (t >= 0 && x >= 0) columns = [t, x];
+  }
+  if (!rows.length) {
+    throw new Error('Файл не содержит данных');
+  }
+  if (rows.length > MAX_MEASUREMENTS) {
+    throw new Error(`Слишком много измерений: ${rows.length}, допустимо не больше ${MAX_MEASUREMENTS}`);
+  }
+
+  const points = rows.map(({ number, cells }) => {
+    const [t, x] = columns.map(column => parseNumber(cells[column]));
+    if (!Number.isFinite(t) || !Number.isFinite(x)) {
+      throw new Error(`Строка ${number}: ожидаются два числа — время и значение`);
+    }
+    if (t < 0) {
+      throw new Error(`Строка ${number}: время не может быть отрицательным`);
+    }
+    return { t, x };
+  });
+
+  return points.sort((p, q) => p.t - q.t);
+};
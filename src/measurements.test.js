@@ -0,0 +1,18 @@
+import { parseMeasurements } from './measurements';
+
+test('plain, semicolon and whitespace separated files are read', () => {
+  expect(parseMeasurements('0,1\n0.5,2\n')).toEqual([{ t: 0, x: 1 }, { t: 0.5, x: 2 }]);
+  expect(parseMeasurements('t;x\n0,5;1,25\r\n0;2')).toEqual([{ t: 0, x: 2 }, { t: 0.5, x: 1.25 }]);
+  expect(parseMeasurements('# датчик 1\n\n0.1\t3\n0.2   4')).toEqual([{ t: 0.1, x: 3 }, { t: 0.2, x: 4 }]);
+});
+
+test('named columns are taken from the header', () => {
+  const csv = '# Задача: beam\nmethod,t,x,v,a\nrkf,0,0.5,0,-1\nrkf,0.1,0.49,-0.1,-1';
+  expect(parseMeasurements(csv)).toEqual([{ t: 0, x: 0.5 }, { t: 0.1, x: 0.49 }]);
+});
+
+test('malformed rows are reported with their line number', () => {
+  expect(() => parseMeasurements('')).toThrow('не содержит данных');
+  expect(() => parseMeasurements('t,x\n0,1\n0.1,abc')).toThrow('Строка 3');
+  expect(() => parseMeasurements('-1,0')).toThrow('отрицательным');
+});
@@ -0,0 +1,78 @@
+// Данные для графиков решения: временные ряды компонент состояния,
+// фазовые портреты, проекция трёхмерной траектории и отклонение от эталона.
+// Точки решения — { t, x, v, a } (x, x', x'').
+
+export const STATE_COMPONENTS = [
+  { key: 'x', suffix: '' },
+  { key: 'v', suffix: "'" },
+  { key: 'a', suffix: "''" }
+];
+
+export const componentLabel = (symbol, key) =>
+  symbol + STATE_COMPONENTS.find(component => component.key === key).suffix;
+
+// Компоненты, которые есть в решении (у уравнения первого порядка нет x' и x'')
+export const availableComponents = (points) =>
+  STATE_COMPONENTS
+    .map(component => component.key)
+    .filter(key => points && points.length && Number.isFinite(points[0][key]));
+
+export const timeSeries = (points, key) => points.map(p => ({ x: p.t, y: p[key] }));
+
+export const phaseSeries = (points, xKey, yKey) => points.map(p => ({ x: p[xKey], y: p[yKey] }));
+
+// Линейная интерполяция компоненты key решения в момент t
+export const valueAt = (points, key, t) => {
+  let lo = 0;
+  let hi = points.length - 1;
+  if (t <= points[lo].t) return points[lo][key];
+  if (t >= points[hi].t) return points[hi][key];
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid].t <= t) lo = mid; else hi = mid;
+  }
+  const { t: t0, [key]: y0 } = points[lo];
+  const { t: t1, [key]: y1 } = points[hi];
+  return y0 + (y1 - y0) * (t - t0) / (t1 - t0);
+};
+
+// |метод − эталон| во времени; нули заменяются на null (разрыв на логарифмической оси)
+export const differenceSeries = (points, reference, key) => {
+  const tEnd = reference[reference.length - 1].t;
+  return points
+    .filter(p => p.t <= tEnd)
+    .map(p => {
+      const diff = Math.abs(p[key] - valueAt(reference, key, p.t));
+      return { x: p.t, y: diff > 0 ? diff : null };
+    });
+};
+
+// Диапазоны компонент по всем решениям — общая нормировка для проекции
+export const componentRanges = (solutions, keys) => Object.fromEntries(keys.map(key => {
+  const values = solutions.flatMap(points => points.map(p => p[key]));
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  return [key, { center: (min + max) / 2, half: (max - min) / 2 || 1 }];
+}));
+
+// Ортографическая проекция точки (нормированной к [-1, 1] по каждой оси) на экран;
+// azimuth — поворот вокруг вертикальной оси x'', elevation — наклон, в градусах
+export const projectPoint = ([px, py, pz], { azimuth, elevation }) => {
+  const phi = azimuth * Math.PI / 180;
+  const theta = elevation * Math.PI / 180;
+  return {
+    x: px * Math.cos(phi) - py * Math.sin(phi),
+    y: (px * Math.sin(phi) + py * Math.cos(phi)) * -Math.sin(theta) + pz * Math.cos(theta)
+  };
+};
+
+export const projectSeries = (points, keys, ranges, view) => points.map(p =>
+  projectPoint(keys.map(key => (p[key] - ranges[key].center) / ranges[key].half), view)
+);
+
+// Оси проекции: отрезки от начала координат вдоль каждой нормированной оси
+export const projectAxes = (keys, view) => keys.map((key, i) => {
+  const end = [0, 0, 0];
+  end[i] = 1.2;
+  return { key, points: [projectPoint([0, 0, 0], view), projectPoint(end, view)] };
+});
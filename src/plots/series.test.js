@@ -0,0 +1,45 @@
+import {
+  availableComponents,
+  componentLabel,
+  differenceSeries,
+  projectPoint,
+  projectSeries,
+  componentRanges,
+  valueAt
+} from './series';
+
+const points = [0, 0.5, 1, 1.5, 2].map(t => ({ t, x: t * t, v: 2 * t, a: 2 }));
+
+test('labels state components by derivative order', () => {
+  expect(componentLabel('θ', 'x')).toBe('θ');
+  expect(componentLabel('θ', 'a')).toBe("θ''");
+  expect(availableComponents(points)).toEqual(['x', 'v', 'a']);
+  expect(availableComponents([{ t: 0, x: 1, v: undefined, a: undefined }])).toEqual(['x']);
+});
+
+test('interpolates the reference linearly between nodes', () => {
+  expect(valueAt(points, 'v', 0.75)).toBeCloseTo(1.5);
+  expect(valueAt(points, 'x', -1)).toBe(0);
+  expect(valueAt(points, 'x', 3)).toBe(4);
+});
+
+test('difference series leaves gaps where methods agree', () => {
+  const shifted = points.map(p => ({ ...p, x: p.t === 0 ? p.x : p.x + 1e-3 }));
+  const series = differenceSeries(shifted, points, 'x');
+  expect(series[0]).toEqual({ x: 0, y: null });
+  expect(series[2].y).toBeCloseTo(1e-3);
+});
+
+test('projection looks down the vertical axis at zero angles', () => {
+  expect(projectPoint([1, 0, 0], { azimuth: 0, elevation: 0 })).toEqual({ x: 1, y: 0 });
+  const top = projectPoint([0, 1, 0], { azimuth: 0, elevation: 90 });
+  expect(top.x).toBeCloseTo(0);
+  expect(top.y).toBeCloseTo(-1);
+
+  // После нормировки траектория укладывается в куб [-1, 1]³
+  const keys = ['x', 'v', 'a'];
+  const projected = projectSeries(points, keys, componentRanges([points], keys), { azimuth: 30, elevation: 20 });
+  for (const p of projected) {
+    expect(Math.abs(p.x)).toBeLessThanOrEqual(Math.SQRT2 + 1e-12);
+  }
+});
@@ -0,0 +1,67 @@
+// Спектр решения: передискретизация компоненты на равномерную сетку, оконная функция
+// и быстрое преобразование Фурье. Частоты — в герцах (оборотах в секунду).
+import { fft, nextPowerOfTwo } from '../math/fft';
+import { valueAt } from './series';
+
+// Оконные функции w(s), s = j / N ∈ [0, 1): уменьшают растекание спектра из-за того,
+// что на отрезке укладывается нецелое число периодов
+export const WINDOWS = {
+  hann: { label: 'Ханна', weight: (s) => 0.5 - 0.5 * Math.cos(2 * Math.PI * s) },
+  hamming: { label: 'Хэмминга', weight: (s) => 0.54 - 0.46 * Math.cos(2 * Math.PI * s) },
+  blackman: {
+    label: 'Блэкмана',
+    weight: (s) => 0.42 - 0.5 * Math.cos(2 * Math.PI * s) + 0.08 * Math.cos(4 * Math.PI * s)
+  },
+  rectangular: { label: 'прямоугольное', weight: () => 1 }
+};
+
+// Односторонний спектр компоненты key решения на отрезке [from, T] с окном window.
+// Число узлов сетки — степень двойки не меньше числа точек решения на отрезке.
+// Среднее значение вычитается до применения окна. Амплитуда нормирована на сумму весов окна,
+// так что гармоника A cos(2πft) с f в узле сетки частот даёт амплитуду A; мощность — A² / 2.
+// Возвращает { points: [{ f, amplitude, power }], df, nyquist, mean }.
+export const spectrum = (points, key, { window = 'hann', from = points[0].t } = {}) => {
+  const t0 = Math.max(from, points[0].t);
+  const tEnd = points[points.length - 1].t;
+  const count = points.filter(p => p.t >= t0).length;
+  if (count < 4 || !(tEnd > t0)) {
+    throw new Error('Для спектра нужно не меньше четырёх точек решения');
+  }
+  const n = nextPowerOfTwo(count);
+  const dt = (tEnd - t0) / n;
+  const samples = Array.from({ length: n }, (_, j) => valueAt(points, key, t0 + j * dt));
+  const mean = samples.reduce((sum, x) => sum + x, 0) / n;
+  const weights = Array.from({ length: n }, (_, j) => WINDOWS[window].weight(j / n));
+  const gain = weights.reduce((sum, w) => sum + w, 0);
+
+  const { re, im } = fft(samples.map((x, j) => (x - mean) * weights[j]));
+  const df = 1 / (n * dt);
+  return {
+    points: Array.from({ length: n / 2 + 1 }, (_, k) => {
+      const amplitude = (k === 0 || k === n / 2 ? 1 : 2) * Math.hypot(re[k], im[k]) / gain;
+      return { f: k * df, amplitude, power: amplitude * amplitude / 2 };
+    }),
+    df,
+    nyquist: n / 2 * df,
+    mean
+  };
+};
+
+// Наибольшие пики амплитудного спектра: локальные максимумы не ниже доли threshold от наибольшего,
+// не больше count, по убыванию амплитуды. Частота и амплитуда уточняются параболой по трём узлам.
+export const findPeaks = (spectrumPoints, { count = 8, threshold = 0.01 } = {}) => {
+  const amplitudes = spectrumPoints.map(p => p.amplitude);
+  const max = Math.max(...amplitudes);
+  if (!(max > 0)) return [];
+  const df = spectrumPoints[1].f - spectrumPoints[0].f;
+  const peaks = [];
+  for (let k = 1; k < amplitudes.length - 1; k++) {
+    const [a, b, c] = [amplitudes[k - 1], amplitudes[k], amplitudes[k + 1]];
+    if (b > a && b >= c && b >= threshold * max) {
+      const curvature = a - 2 * b + c;
+      const shift = curvature < 0 ? 0.5 * (a - c) / curvature : 0;
+      peaks.push({ f: spectrumPoints[k].f + shift * df, amplitude: b - 0.25 * (a - c) * shift });
+    }
+  }
+  return peaks.sort((p, q) => q.amplitude - p.amplitude).slice(0, count);
+};
@@ -0,0 +1,29 @@
+import { findPeaks, spectrum } from './spectrum';
+
+const sampled = (x, tEnd, dt) => Array.from({ length: Math.round(tEnd / dt) + 1 }, (_, i) => ({ t: i * dt, x: x(i * dt) }));
+
+test('harmonics on the frequency grid keep their amplitudes under the Hann window', () => {
+  const points = sampled(t => 1 + 2 * Math.cos(2 * Math.PI * 3 * t) + 0.5 * Math.sin(2 * Math.PI * 7 * t), 4, 0.005);
+  const result = spectrum(points, 'x');
+  expect(result.mean).toBeCloseTo(1, 2);
+  expect(result.df).toBeCloseTo(0.25, 12);
+
+  const peaks = findPeaks(result.points);
+  expect(peaks).toHaveLength(2);
+  expect(peaks[0].f).toBeCloseTo(3, 6);
+  expect(peaks[0].amplitude).toBeCloseTo(2, 2);
+  expect(peaks[1].f).toBeCloseTo(7, 6);
+  expect(peaks[1].amplitude).toBeCloseTo(0.5, 2);
+  expect(result.points[12].power).toBeCloseTo(2, 2);
+});
+
+test('frequencies between grid nodes are refined by interpolation', () => {
+  const points = sampled(t => Math.cos(2 * Math.PI * 3.1 * t), 4, 0.005);
+  const [peak] = findPeaks(spectrum(points, 'x', { window: 'blackman' }).points);
+  expect(Math.abs(peak.f - 3.1)).toBeLessThan(0.05);
+  expect(Math.abs(peak.amplitude - 1)).toBeLessThan(0.05);
+
+  // Отбрасывание начала отрезка уменьшает разрешение по частоте
+  expect(spectrum(points, 'x', { from: 2 }).df).toBeCloseTo(0.5, 12);
+  expect(() => spectrum(points.slice(0, 3), 'x')).toThrow('четырёх');
+});
@@ -0,0 +1,61 @@
+// История запусков в localStorage. Запись:
+// { id, name, savedAt, session, job, title, method, points, comparison, result, endTime }:
+// конфигурация сеанса (см. session), задание решателю (для описания при экспорте),
+// траектория выбранного метода, таблица сравнения методов и значение в конце расчёта.
+
+export const HISTORY_KEY = 'beamSolver.history';
+export const HISTORY_LIMIT = 30;
+// Траектория прореживается, чтобы история помещалась в квоту localStorage
+export const MAX_SAVED_POINTS = 1000;
+
+const defaultStorage = () => (typeof window !== 'undefined' ? window.localStorage : null);
+
+// Не больше limit точек: каждая k-я и последняя
+export const thinPoints = (points, limit = MAX_SAVED_POINTS) => {
+  if (points.length <= limit) return points;
+  const stride = Math.ceil(points.length / (limit - 1));
+  const thinned = points.filter((_, i) => i % stride === 0);
+  if (thinned[thinned.length - 1] !== points[points.length - 1]) thinned.push(points[points.length - 1]);
+  return thinned;
+};
+
+export const loadHistory = (storage = defaultStorage()) => {
+  try {
+    const entries = JSON.parse(storage?.getItem(HISTORY_KEY) ?? '[]');
+    return Array.isArray(entries) ? entries.filter(entry => entry && entry.id && entry.session) : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+// Запись истории; если квота превышена, удаляются самые старые запуски.
+// Возвращает записи, которые удалось сохранить; если не помещается даже самый новый запуск,
+// бросает исключение хранилища, а сохранённая история не меняется.
+export const storeHistory = (entries, storage = defaultStorage()) => {
+  let kept = entries.slice(0, HISTORY_LIMIT);
+  while (storage) {
+    try {
+      storage.setItem(HISTORY_KEY, JSON.stringify(kept));
+      return kept;
+    } catch (e) {
+      if (kept.length <= 1) throw e;
+      kept = kept.slice(0, -1);
+    }
+  }
+  return kept;
+};
+
+// Новая запись истории (самые новые — в начале)
+export const createHistoryEntry = ({ name, points, ...run }) => ({
+  id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  name,
+  savedAt: new Date().toISOString(),
+  ...run,
+  points: thinPoints(points)
+});
+
+export const addToHistory = (entries, entry) => [entry, ...entries];
+
+export const removeFromHistory = (entries, id) => entries.filter(entry => entry.id !== id);
+
+export const renameInHistory = (entries, id, name) => entries.map(entry => (entry.id === id ? { ...entry, name } : entry));
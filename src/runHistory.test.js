@@ -0,0 +1,62 @@
+import {
+  addToHistory,
+  createHistoryEntry,
+  HISTORY_KEY,
+  loadHistory,
+  removeFromHistory,
+  renameInHistory,
+  storeHistory,
+  thinPoints
+} from './runHistory';
+
+// Хранилище с квотой в символах, как у localStorage
+const createStorage = (quota = Infinity) => {
+  const items = {};
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      if (value.length > quota) throw new Error('QuotaExceededError');
+      items[key] = value;
+    }
+  };
+};
+
+const run = (name, count = 10) => createHistoryEntry({
+  name,
+  session: { task: 'beam' },
+  method: 'rkf',
+  points: Array.from({ length: count }, (_, i) => ({ t: i, x: i * i }))
+});
+
+test('thinning keeps the first and the last point', () => {
+  const points = Array.from({ length: 2500 }, (_, t) => ({ t }));
+  const thinned = thinPoints(points, 1000);
+  expect(thinned.length).toBeLessThanOrEqual(1000);
+  expect(thinned[0].t).toBe(0);
+  expect(thinned[thinned.length - 1].t).toBe(2499);
+});
+
+test('runs are saved, renamed, reloaded and deleted', () => {
+  const storage = createStorage();
+  let entries = storeHistory(addToHistory(addToHistory([], run('первый')), run('второй')), storage);
+  expect(entries.map(entry => entry.name)).toEqual(['второй', 'первый']);
+
+  entries = storeHistory(renameInHistory(entries, entries[1].id, 'базовый'), storage);
+  expect(loadHistory(storage).map(entry => entry.name)).toEqual(['второй', 'базовый']);
+
+  storeHistory(removeFromHistory(entries, entries[0].id), storage);
+  expect(loadHistory(storage).map(entry => entry.name)).toEqual(['базовый']);
+});
+
+test('the oldest runs are dropped when the storage is full', () => {
+  const storage = createStorage(JSON.stringify([run('a', 50), run('b', 50)]).length + 10);
+  const entries = [run('новый', 50), run('средний', 50), run('старый', 50)];
+  expect(storeHistory(entries, storage).map(entry => entry.name)).toEqual(['новый', 'средний']);
+  expect(() => storeHistory([run('огромный', 5000)], storage)).toThrow();
+});
+
+test('damaged history is ignored', () => {
+  const storage = createStorage();
+  storage.setItem(HISTORY_KEY, '{not json');
+  expect(loadHistory(storage)).toEqual([]);
+});
@@ -0,0 +1,144 @@
+import { TASKS } from './tasks';
+import { DEFAULT_CUSTOM_PROBLEM } from './tasks/custom';
+import { defaultInputs } from './tasks/schema';
+import { DEFAULT_EVENTS, EVENT_DIRECTIONS } from './tasks/events';
+import { defaultSolverSettings } from './solverSettings';
+import { defaultSweepSettings } from './sweepSettings';
+import { defaultChaosSettings } from './chaosSettings';
+import { defaultBvpSettings } from './bvpSettings';
+import { defaultUncertaintySettings } from './uncertaintySettings';
+import { listMethods } from './solver';
+import { VERIFICATION_PROBLEMS } from './analysis/verification';
+import { FIT_GROUPS } from './analysis/fitting';
+import { DISTRIBUTIONS } from './analysis/uncertainty';
+
+// Конфигурация сеанса: всё, что вводит пользователь, — задача, её параметры и начальные условия
+// (строки полей ввода), настройки решателя и режимов. Хранится в адресе страницы
+// (параметр URL_PARAM) и в истории запусков.
+
+export const URL_PARAM = 'session';
+
+const MODES = ['solve', 'convergence', 'sweep', 'chaos', 'verification', 'shooting', 'fit', 'sensitivity', 'uncertainty'];
+
+export const defaultSessionConfig = () => ({
+  task: 'beam',
+  inputs: defaultInputs(TASKS.beam),
+  customProblem: DEFAULT_CUSTOM_PROBLEM,
+  mode: 'solve',
+  method: 'rkf',
+  stepSize: 0.01,
+  endTime: 1,
+  outputStep: 0.01,
+  levels: 8,
+  solverSettings: defaultSolverSettings(),
+  sweepSettings: defaultSweepSettings(TASKS.beam),
+  chaosSettings: defaultChaosSettings(),
+  events: DEFAULT_EVENTS,
+  verificationProblem: 'manufactured',
+  bvpSettings: defaultBvpSettings(3),
+  // Подбираемые величины и величины для анализа чувствительности вида "params.k", "initialConditions.x"
+  fitted: [],
+  sensitivity: [],
+  uncertaintySettings: defaultUncertaintySettings(),
+  // Распределения величин для метода Монте-Карло: { "params.k": { kind, width } }
+  distributions: {}
+});
+
+const has = (object, key) => typeof key === 'string' && Object.prototype.hasOwnProperty.call(object, key);
+
+// Строковые поля из source поверх значений по умолчанию; прочие поля отбрасываются
+const mergeStrings = (defaults, source) => Object.fromEntries(
+  Object.entries(defaults).map(([name, value]) => [name, typeof source?.[name] === 'string' ? source[name] : value])
+);
+
+// Ключи величин задачи вида "params.k"; прочие значения отбрасываются
+const quantityKeys = (keys, fallback) => (
+  Array.isArray(keys)
+    ? keys.filter(key => typeof key === 'string' && has(FIT_GROUPS, key.split('.')[0]))
+    : fallback
+);
+
+// Распределения величин задачи; записи с неизвестным видом распределения отбрасываются
+const distributionEntries = (source, fallback) => (
+  source && typeof source === 'object' && !Array.isArray(source)
+    ? Object.fromEntries(Object.entries(source).filter(([key, entry]) => (
+      has(FIT_GROUPS, key.split('.')[0]) && has(DISTRIBUTIONS, entry?.kind) && typeof entry.width === 'string'
+    )).map(([key, { kind, width }]) => [key, { kind, width }]))
+    : fallback
+);
+
+const isEvent = (event) => typeof event?.expression === 'string' &&
+  has(EVENT_DIRECTIONS, event.direction) && typeof event.terminal === 'boolean';
+
+// Полная конфигурация из сохранённой (возможно, неполной или устаревшей):
+// недопустимые и отсутствующие значения заменяются значениями по умолчанию
+export const normalizeSession = (raw) => {
+  const config = defaultSessionConfig();
+  if (!raw || typeof raw !== 'object') return config;
+
+  const task = raw.task === 'custom' || has(TASKS, raw.task) ? raw.task : config.task;
+  const builtin = TASKS[task] || TASKS.beam;
+  const inputs = defaultInputs(builtin);
+  const number = (value, fallback) => (Number.isFinite(value) ? value : fallback);
+  const customProblem = {
+    ...mergeStrings({ equation: config.customProblem.equation, params: config.customProblem.params }, raw.customProblem),
+    initialConditions: Array.isArray(raw.customProblem?.initialConditions) &&
+      raw.customProblem.initialConditions.every(value => typeof value === 'string')
+      ? raw.customProblem.initialConditions
+      : config.customProblem.initialConditions
+  };
+  // Число полей краевых условий — по порядку уравнения
+  const order = task === 'custom'
+    ? customProblem.initialConditions.length
+    : Object.keys(builtin.initialConditionsSchema).length;
+
+  return {
+    task,
+    inputs: {
+      params: mergeStrings(inputs.params, raw.inputs?.params),
+      initialConditions: mergeStrings(inputs.initialConditions, raw.inputs?.initialConditions)
+    },
+    customProblem,
+    mode: MODES.includes(raw.mode) ? raw.mode : config.mode,
+    method: listMethods().some(entry => entry.name === raw.method) ? raw.method : config.method,
+    stepSize: number(raw.stepSize, config.stepSize),
+    endTime: number(raw.endTime, config.endTime),
+    outputStep: number(raw.outputStep, config.outputStep),
+    levels: number(raw.levels, config.levels),
+    solverSettings: mergeStrings(config.solverSettings, raw.solverSettings),
+    sweepSettings: mergeStrings(defaultSweepSettings(builtin), raw.sweepSettings),
+    chaosSettings: mergeStrings(config.chaosSettings, raw.chaosSettings),
+    events: Array.isArray(raw.events) ? raw.events.filter(isEvent) : config.events,
+    verificationProblem: has(VERIFICATION_PROBLEMS, raw.verificationProblem)
+      ? raw.verificationProblem
+      : config.verificationProblem,
+    bvpSettings: mergeStrings(defaultBvpSettings(order), raw.bvpSettings),
+    fitted: quantityKeys(raw.fitted, config.fitted),
+    sensitivity: quantityKeys(raw.sensitivity, config.sensitivity),
+    uncertaintySettings: mergeStrings(config.uncertaintySettings, raw.uncertaintySettings),
+    distributions: distributionEntries(raw.distributions, config.distributions)
+  };
+};
+
+// Строка запроса с конфигурацией; в адрес попадают только значения, отличные от значений
+// по умолчанию для выбранной задачи, поэтому ссылка на конфигурацию по умолчанию пустая
+export const encodeSession = (config) => {
+  const defaults = { ...normalizeSession({ task: config.task }), task: defaultSessionConfig().task };
+  const changed = Object.fromEntries(
+    Object.entries(config).filter(([name, value]) => JSON.stringify(value) !== JSON.stringify(defaults[name]))
+  );
+  return Object.keys(changed).length
+    ? new URLSearchParams({ [URL_PARAM]: JSON.stringify(changed) }).toString()
+    : '';
+};
+
+// Конфигурация из строки запроса location.search; null, если её там нет или она повреждена
+export const decodeSession = (search) => {
+  const source = new URLSearchParams(search).get(URL_PARAM);
+  if (!source) return null;
+  try {
+    return normalizeSession(JSON.parse(source));
+  } catch (e) {
+    return null;
+  }
+};
@@ -0,0 +1,56 @@
+import { decodeSession, defaultSessionConfig, encodeSession, normalizeSession, URL_PARAM } from './session';
+
+test('the default configuration gives an empty link', () => {
+  expect(encodeSession(defaultSessionConfig())).toBe('');
+  expect(decodeSession('')).toBeNull();
+});
+
+test('configuration round-trips through the URL with only the changed fields', () => {
+  const gyroscope = normalizeSession({ task: 'gyroscope' });
+  const config = {
+    ...gyroscope,
+    inputs: { ...gyroscope.inputs, params: { ...gyroscope.inputs.params, tau: '0.3' } },
+    method: 'radau',
+    stepSize: 0.005,
+    events: [{ expression: 'x - 0.5', direction: 'up', terminal: true }]
+  };
+
+  const query = encodeSession(config);
+  const stored = JSON.parse(new URLSearchParams(query).get(URL_PARAM));
+  expect(Object.keys(stored).sort()).toEqual(['events', 'inputs', 'method', 'stepSize', 'task']);
+  expect(decodeSession(`?${query}`)).toEqual(config);
+});
+
+test('damaged or outdated links fall back to defaults field by field', () => {
+  expect(decodeSession(`?${URL_PARAM}=%7Bbroken`)).toBeNull();
+
+  const config = normalizeSession({
+    task: 'pendulum',
+    method: 'leapfrog',
+    endTime: 'long',
+    outputStep: 0.05,
+    inputs: { params: { m: '2', unknown: '1', k: 3 } },
+    events: [{ expression: 'x', direction: 'sideways', terminal: false }, { expression: "x'", direction: 'down', terminal: false }]
+  });
+  const defaults = defaultSessionConfig();
+  expect(config.task).toBe('beam');
+  expect(config.method).toBe(defaults.method);
+  expect(config.endTime).toBe(defaults.endTime);
+  expect(config.outputStep).toBe(0.05);
+  expect(config.inputs.params).toEqual({ ...defaults.inputs.params, m: '2' });
+  expect(config.events).toEqual([{ expression: "x'", direction: 'down', terminal: false }]);
+});
+
+test('uncertainty distributions keep only known quantities and kinds', () => {
+  const config = normalizeSession({
+    distributions: {
+      'params.k': { kind: 'normal', width: '0.1' },
+      'params.m': { kind: 'triangular', width: '0.1' },
+      'other.x': { kind: 'uniform', width: '1' },
+      'initialConditions.x': { kind: 'uniform', width: 2 }
+    },
+    uncertaintySettings: { samples: '50', seed: 7 }
+  });
+  expect(config.distributions).toEqual({ 'params.k': { kind: 'normal', width: '0.1' } });
+  expect(config.uncertaintySettings).toEqual({ samples: '50', seed: '1' });
+});
@@ -3,3 +3,6 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// Web Worker недоступен в jsdom: задания решателя выполняются в основном потоке
+jest.mock('./worker/createSolverWorker');
@@ -0,0 +1,67 @@
+import { hermite } from './dense';
+import { buildGrid } from './grid';
+import { RK4, explicitStep } from './rungeKutta';
+
+// Метод Адамса-Башфорта-Моултона 4-го порядка (прогноз-коррекция PECE) с постоянным шагом.
+// Разгон — классическим методом Рунге-Кутты. История производных сбрасывается и разгон
+// повторяется после шага другой длины и в точках разрывов: многошаговая формула
+// требует равномерной сетки и гладкого решения на ней.
+// Опции: h, hLimit, breakpoints, onSegment и onStep — как у solveModifiedEuler.
+export const solveABM = (rhs, y0, [t0, tEnd], options = {}) => {
+  const { hLimit = Infinity, breakpoints = [], onSegment, onStep } = options;
+  const h = Math.min(options.h ?? 0.01, hLimit);
+  const n = y0.length;
+  const isBreakpoint = (t) => breakpoints.some(point => Math.abs(point - t) <= 1e-12 * Math.max(1, Math.abs(point)));
+
+  const solution = [];
+  let t = t0;
+  let y = y0.slice();
+  let f = rhs(t, y);
+  // Производные в последних узлах: f_{n-3}, ..., f_n
+  let history = [f];
+  let previousStep = null;
+
+  solution.push({ t, y: y.slice() });
+
+  for (const tNext of buildGrid(t0, tEnd, h, breakpoints)) {
+    const dt = tNext - t;
+    if (previousStep === null || Math.abs(dt - previousStep) > 1e-9 * dt || isBreakpoint(t)) {
+      history = [f];
+    }
+
+    let yNew;
+    let err = null;
+    if (history.length < 4) {
+      yNew = explicitStep(RK4, rhs, t, y, dt, f);
+    } else {
+      const [f3, f2, f1, f0] = history;
+      const yPred = new Array(n);
+      for (let m = 0; m < n; m++) {
+        yPred[m] = y[m] + dt / 24 * (55 * f0[m] - 59 * f1[m] + 37 * f2[m] - 9 * f3[m]);
+      }
+      const fPred = rhs(tNext, yPred);
+      yNew = new Array(n);
+      err = 0;
+      for (let m = 0; m < n; m++) {
+        yNew[m] = y[m] + dt / 24 * (9 * fPred[m] + 19 * f0[m] - 5 * f1[m] + f2[m]);
+        // Оценка Милна локальной ошибки корректора
+        err = Math.max(err, 19 / 270 * Math.abs(yNew[m] - yPred[m]));
+      }
+    }
+
+    const fNew = rhs(tNext, yNew);
+    if (onSegment) {
+      onSegment({ t0: t, t1: tNext, interpolate: hermite(t, tNext, y, yNew, f, fNew) });
+    }
+    if (onStep) onStep({ t: tNext, h: dt, err, accepted: true, forced: false });
+
+    t = tNext;
+    y = yNew;
+    f = fNew;
+    history = [...history, fNew].slice(-4);
+    previousStep = dt;
+    solution.push({ t, y: y.slice() });
+  }
+
+  return solution;
+};
@@ -0,0 +1,40 @@
+import { solve } from './methods';
+import { findSegment } from './dense';
+
+// Точки разрывов производных решения: t0 + k * tau для каждого запаздывания
+export const delayBreakpoints = (delays, t0, tEnd) => {
+  const points = [];
+  for (const tau of delays) {
+    if (!(tau > 0)) continue;
+    for (let k = 1; t0 + k * tau < tEnd; k++) points.push(t0 + k * tau);
+  }
+  return [...new Set(points)].sort((p, q) => p - q);
+};
+
+// Уравнение с запаздыванием: y'(t) = rhs(t, y(t), [y(t - tau_1), y(t - tau_2), ...]).
+// history(t) задаёт состояние при t <= t0; запаздывающие значения берутся
+// из интерполянтов принятых шагов. Шаг не превышает минимального запаздывания,
+// поэтому все обращения приходятся на уже вычисленную часть решения.
+export const solveDDE = (method, rhs, y0, history, delays, [t0, tEnd], options = {}) => {
+  const segments = [];
+
+  const lookup = (s) => {
+    if (s <= t0 || segments.length === 0) return history(Math.min(s, t0));
+    return findSegment(segments, s).interpolate(s);
+  };
+
+  const positive = delays.filter(tau => tau > 0);
+  const hLimit = Math.min(options.hLimit ?? Infinity, ...positive);
+
+  const delayedRhs = (t, y) => rhs(t, y, delays.map(tau => (tau > 0 ? lookup(t - tau) : y)));
+
+  return solve(method, delayedRhs, y0, [t0, tEnd], {
+    ...options,
+    hLimit,
+    breakpoints: delayBreakpoints(positive, t0, tEnd),
+    onSegment: (segment) => {
+      segments.push(segment);
+      if (options.onSegment) options.onSegment(segment);
+    }
+  });
+};
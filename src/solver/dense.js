@@ -0,0 +1,60 @@
+// Плотная выдача: интерполяция внутри принятых шагов [t0, t1]
+
+// Кубический эрмитов сплайн по значениям и производным на концах шага
+export const hermite = (t0, t1, y0, y1, f0, f1) => (t) => {
+  const h = t1 - t0;
+  const s = (t - t0) / h;
+  const s2 = s * s;
+  const s3 = s2 * s;
+  const h00 = 2 * s3 - 3 * s2 + 1;
+  const h10 = s3 - 2 * s2 + s;
+  const h01 = -2 * s3 + 3 * s2;
+  const h11 = s3 - s2;
+  return y0.map((yi, m) => h00 * yi + h10 * h * f0[m] + h01 * y1[m] + h11 * h * f1[m]);
+};
+
+// Поиск отрезка, содержащего t, среди упорядоченных отрезков { t0, t1, interpolate }.
+// За пределами отрезков используется ближайший (экстраполяция).
+export const findSegment = (segments, t) => {
+  let lo = 0;
+  let hi = segments.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (segments[mid].t1 < t) lo = mid + 1;
+    else hi = mid;
+  }
+  return segments[lo];
+};
+
+// Равномерная сетка t0, t0 + dt, ..., tEnd (последний узел — ровно tEnd)
+export const uniformTimes = (t0, tEnd, dt) => {
+  const count = Math.max(1, Math.ceil((tEnd - t0) / dt - 1e-9));
+  const times = [];
+  for (let i = 0; i < count; i++) {
+    const t = t0 + i * dt;
+    if (t >= tEnd) break;
+    times.push(t);
+  }
+  times.push(tEnd);
+  return times;
+};
+
+// Непрерывное решение, собираемое из принятых шагов:
+//   const dense = createDenseOutput(y0, t0);
+//   solve(method, rhs, y0, tspan, { onSegment: dense.onSegment });
+//   dense.evaluate(t), dense.resample(uniformTimes(t0, tEnd, 0.01))
+export const createDenseOutput = (y0, t0) => {
+  const segments = [];
+
+  const evaluate = (t) => {
+    if (segments.length === 0 || t <= t0) return y0.slice();
+    return findSegment(segments, t).interpolate(t);
+  };
+
+  return {
+    segments,
+    onSegment: (segment) => segments.push(segment),
+    evaluate,
+    resample: (times) => times.map(t => ({ t, y: evaluate(t) }))
+  };
+};
@@ -0,0 +1,49 @@
+import { hermite } from './dense';
+import { buildGrid } from './grid';
+
+// Модифицированный метод Эйлера (прогноз-коррекция) с постоянным шагом.
+// Опции: h, hLimit, breakpoints, onSegment и onStep — как у integrateEmbedded.
+export const solveModifiedEuler = (rhs, y0, [t0, tEnd], options = {}) => {
+  const { hLimit = Infinity, breakpoints = [], onSegment, onStep } = options;
+  const h = Math.min(options.h ?? 0.01, hLimit);
+  const n = y0.length;
+
+  const solution = [];
+  let t = t0;
+  let y = y0.slice();
+  let d1 = rhs(t, y);
+
+  solution.push({ t, y: y.slice() });
+
+  for (const tNext of buildGrid(t0, tEnd, h, breakpoints)) {
+    const dt = tNext - t;
+
+    // прогноз
+    const yPred = new Array(n);
+    for (let m = 0; m < n; m++) yPred[m] = y[m] + dt * d1[m];
+
+    // коррекция
+    const d2 = rhs(tNext, yPred);
+    const yNew = new Array(n);
+    let err = 0;
+    for (let m = 0; m < n; m++) {
+      yNew[m] = y[m] + dt * (d1[m] + d2[m]) / 2;
+      // Разность прогноза и коррекции — оценка локальной ошибки
+      err = Math.max(err, Math.abs(yNew[m] - yPred[m]));
+    }
+
+    // Производная в новой точке: для интерполяции и прогноза на следующем шаге
+    const dNew = rhs(tNext, yNew);
+    if (onSegment) {
+      onSegment({ t0: t, t1: tNext, interpolate: hermite(t, tNext, y, yNew, d1, dNew) });
+    }
+
+    t = tNext;
+    y = yNew;
+    d1 = dNew;
+    solution.push({ t, y: y.slice() });
+    if (onStep) onStep({ t, h: dt, err, accepted: true, forced: false });
+  }
+
+  return solution;
+};
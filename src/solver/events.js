@@ -0,0 +1,94 @@
+// События: моменты, когда функция g(t, y) обращается в ноль.
+// Корни ищутся внутри принятых шагов по плотной выдаче, без дополнительных вычислений правой части.
+// Событие: { g(t, y), direction, terminal }; direction = 1 — только переход g снизу вверх,
+// -1 — сверху вниз, 0 — любой; terminal — остановить расчёт на первом таком событии.
+
+// Каждый шаг проверяется на смену знака в нескольких подотрезках,
+// чтобы не пропустить пару близких корней внутри длинного шага
+const SUBDIVISIONS = 4;
+const MAX_ITERATIONS = 100;
+
+// Расчёт остановлен терминальным событием occurrence
+export class TerminalEventError extends Error {
+  constructor(occurrence) {
+    super(`Расчёт остановлен событием при t = ${occurrence.t}`);
+    this.name = 'TerminalEventError';
+    this.occurrence = occurrence;
+  }
+}
+
+// Корень g(t) на [a, b] при g(a) и g(b) разных знаков: метод хорд с модификацией Иллинойс
+export const findRoot = (g, a, b, ga, gb) => {
+  const tol = 4 * Number.EPSILON * Math.max(Math.abs(a), Math.abs(b), 1);
+  let side = 0;
+  for (let i = 0; i < MAX_ITERATIONS && b - a > tol; i++) {
+    const c = b - gb * (b - a) / (gb - ga);
+    const gc = g(c);
+    if (gc === 0) return c;
+    if (Math.sign(gc) === Math.sign(gb)) {
+      b = c;
+      gb = gc;
+      if (side === 1) ga /= 2;
+      side = 1;
+    } else {
+      a = c;
+      ga = gc;
+      if (side === -1) gb /= 2;
+      side = -1;
+    }
+  }
+  return Math.abs(ga) < Math.abs(gb) ? a : b;
+};
+
+// Переход через ноль с g0 на g1 в направлении direction (ноль в начале уже учтён на прошлом шаге)
+const crosses = (g0, g1, direction) => {
+  if (!(g0 !== 0 && g0 * g1 <= 0)) return false;
+  const sign = g1 > g0 ? 1 : -1;
+  return direction === 0 || direction === sign;
+};
+
+// События на подотрезке [a, b] шага по значениям g на концах
+const crossingsIn = (events, interpolate, a, ga, b, gb) => {
+  const found = [];
+  events.forEach((event, index) => {
+    if (!crosses(ga[index], gb[index], event.direction)) return;
+    const t = gb[index] === 0
+      ? b
+      : findRoot((s) => event.g(s, interpolate(s)), a, b, ga[index], gb[index]);
+    found.push({ index, t, y: interpolate(t), direction: gb[index] > ga[index] ? 1 : -1 });
+  });
+  return found;
+};
+
+// Детектор событий для onSegment решателя:
+//   const detector = createEventDetector(events, t0, y0);
+//   solve(method, rhs, y0, tspan, { onSegment: detector.onSegment });
+// detector.occurrences — найденные события { index, t, y, direction } в порядке времени.
+// На терминальном событии onSegment бросает TerminalEventError — решатель прерывается.
+export const createEventDetector = (events, t0, y0) => {
+  const occurrences = [];
+  const values = (t, y) => events.map(event => event.g(t, y));
+  let last = values(t0, y0);
+
+  const onSegment = ({ t0: start, t1: end, interpolate }) => {
+    const found = [];
+    let a = start;
+    for (let k = 1; k <= SUBDIVISIONS; k++) {
+      const b = k === SUBDIVISIONS ? end : start + (end - start) * k / SUBDIVISIONS;
+      const gb = values(b, interpolate(b));
+      found.push(...crossingsIn(events, interpolate, a, last, b, gb));
+      a = b;
+      last = gb;
+    }
+
+    found.sort((p, q) => p.t - q.t);
+    for (const occurrence of found) {
+      occurrences.push(occurrence);
+      if (events[occurrence.index].terminal) {
+        throw new TerminalEventError(occurrence);
+      }
+    }
+  };
+
+  return { occurrences, onSegment };
+};
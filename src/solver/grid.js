@@ -0,0 +1,12 @@
+// Узлы постоянного шага h с добавленными точками разрывов
+export const buildGrid = (t0, tEnd, h, breakpoints) => {
+  const steps = Math.max(1, Math.ceil((tEnd - t0) / h - 1e-9));
+  const grid = [];
+  for (let i = 1; i < steps; i++) grid.push(t0 + i * h);
+  for (const point of breakpoints) {
+    if (point > t0 && point < tEnd) grid.push(point);
+  }
+  grid.sort((p, q) => p - q);
+  grid.push(tEnd);
+  return grid.filter((point, i) => i === 0 || point - grid[i - 1] > 1e-12);
+};
@@ -0,0 +1,8 @@
+export { solveRKF, solveDP, solveBS32, solveCashKarp, solveRK4, solveHeun3, DivergenceError } from './rungeKutta';
+export { solveModifiedEuler } from './euler';
+export { solveRadau } from './radau';
+export { solveABM } from './adams';
+export { solve, registerMethod, listMethods, getMethod, REFERENCE_METHOD } from './methods';
+export { solveDDE } from './dde';
+export { createDenseOutput, uniformTimes } from './dense';
+export { createEventDetector, findRoot, TerminalEventError } from './events';
@@ -0,0 +1,57 @@
+// Плотные линейные системы малой размерности: LU-разложение с выбором ведущего элемента
+
+// Разложение PA = LU квадратной матрицы (массив строк); исходная матрица не меняется
+export const luDecompose = (matrix) => {
+  const n = matrix.length;
+  const lu = matrix.map(row => row.slice());
+  const pivot = Array.from({ length: n }, (_, i) => i);
+
+  for (let k = 0; k < n; k++) {
+    let p = k;
+    for (let i = k + 1; i < n; i++) {
+      if (Math.abs(lu[i][k]) > Math.abs(lu[p][k])) p = i;
+    }
+    if (lu[p][k] === 0) {
+      throw new Error('Вырожденная матрица');
+    }
+    if (p !== k) {
+      [lu[p], lu[k]] = [lu[k], lu[p]];
+      [pivot[p], pivot[k]] = [pivot[k], pivot[p]];
+    }
+    for (let i = k + 1; i < n; i++) {
+      const factor = lu[i][k] / lu[k][k];
+      lu[i][k] = factor;
+      for (let j = k + 1; j < n; j++) lu[i][j] -= factor * lu[k][j];
+    }
+  }
+
+  return { lu, pivot };
+};
+
+// Решение Ax = b по разложению luDecompose
+export const luSolve = ({ lu, pivot }, b) => {
+  const n = lu.length;
+  const x = pivot.map(i => b[i]);
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < i; j++) x[i] -= lu[i][j] * x[j];
+  }
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = i + 1; j < n; j++) x[i] -= lu[i][j] * x[j];
+    x[i] /= lu[i][i];
+  }
+  return x;
+};
+
+// Матрица Якоби J[i][j] = ∂f_i/∂y_j разностями вперёд; f0 = rhs(t, y)
+export const numericJacobian = (rhs, t, y, f0) => {
+  const n = y.length;
+  const jacobian = Array.from({ length: n }, () => new Array(n));
+  for (let j = 0; j < n; j++) {
+    const delta = Math.sqrt(Number.EPSILON) * Math.max(1e-5, Math.abs(y[j]));
+    const shifted = y.slice();
+    shifted[j] += delta;
+    const f = rhs(t, shifted);
+    for (let i = 0; i < n; i++) jacobian[i][j] = (f[i] - f0[i]) / delta;
+  }
+  return jacobian;
+};
@@ -0,0 +1,44 @@
+import { solveRKF, solveDP, solveBS32, solveCashKarp, solveRK4, solveHeun3 } from './rungeKutta';
+import { solveModifiedEuler } from './euler';
+import { solveRadau } from './radau';
+import { solveABM } from './adams';
+
+// Реестр методов. Запись: name — ключ, label — название в интерфейсе, order — порядок точности,
+// adaptive — шаг управляется допусками (иначе постоянный шаг h), color — цвет на графиках,
+// solve(rhs, y0, [t0, tEnd], options) — решатель с опциями как у integrateEmbedded.
+// Интерфейс (выбор метода, таблица сравнения, графики) строится по реестру в порядке регистрации.
+const REGISTRY = new Map();
+
+export const registerMethod = (entry) => {
+  REGISTRY.set(entry.name, entry);
+};
+
+export const listMethods = () => [...REGISTRY.values()];
+
+export const getMethod = (name) => {
+  const entry = REGISTRY.get(name);
+  if (!entry) {
+    throw new Error(`Неизвестный метод: ${name}`);
+  }
+  return entry;
+};
+
+// Эталон для таблицы сравнения и графика отклонений
+export const REFERENCE_METHOD = 'dormand-prince';
+
+[
+  { name: 'rkf', label: 'Рунге-Кутты-Фельдберга', order: 5, adaptive: true, color: 'rgb(255, 99, 132)', solve: solveRKF },
+  { name: 'dormand-prince', label: 'Дорман-Принс', order: 5, adaptive: true, color: 'rgb(54, 162, 235)', solve: solveDP },
+  { name: 'euler', label: 'Модифицированный Эйлер', order: 2, adaptive: false, color: 'rgb(255, 159, 64)', solve: solveModifiedEuler },
+  { name: 'radau', label: 'Радо IIA (неявный)', order: 5, adaptive: true, color: 'rgb(75, 192, 120)', solve: solveRadau },
+  { name: 'rk4', label: 'Классический Рунге-Кутты 4', order: 4, adaptive: false, color: 'rgb(153, 102, 255)', solve: solveRK4 },
+  { name: 'heun3', label: 'Хойна 3-го порядка', order: 3, adaptive: false, color: 'rgb(201, 203, 207)', solve: solveHeun3 },
+  { name: 'bs32', label: 'Богацкого-Шампайна 3(2)', order: 3, adaptive: true, color: 'rgb(255, 205, 86)', solve: solveBS32 },
+  { name: 'cash-karp', label: 'Кэша-Карпа 5(4)', order: 5, adaptive: true, color: 'rgb(0, 128, 128)', solve: solveCashKarp },
+  { name: 'abm', label: 'Адамса-Башфорта-Моултона 4', order: 4, adaptive: false, color: 'rgb(139, 69, 19)', solve: solveABM }
+].forEach(registerMethod);
+
+// solve('rkf', (t, y) => [...], [y1, y2, ...], [t0, tEnd], { h, tol })
+// Возвращает массив точек { t, y }, где y — вектор состояния.
+export const solve = (method, rhs, y0, tspan, options = {}) =>
+  getMethod(method).solve(rhs, y0, tspan, options);
@@ -0,0 +1,202 @@
+import { luDecompose, luSolve, numericJacobian } from './linalg';
+import { DivergenceError, initialStepSize, nextStop, scaledErrorNorm } from './rungeKutta';
+
+// Неявный метод Радо IIA 5-го порядка (3 стадии) для жёстких задач.
+// Стадии находятся упрощённым методом Ньютона с матрицей Якоби, вычисленной
+// в начале шага; оценка ошибки и управление шагом — как в RADAU5 (Хайрер, Ваннер, разд. IV.8).
+
+const SQ6 = Math.sqrt(6);
+
+export const RADAU_IIA = {
+  c: [(4 - SQ6) / 10, (4 + SQ6) / 10, 1],
+  a: [
+    [(88 - 7 * SQ6) / 360, (296 - 169 * SQ6) / 1800, (-2 + 3 * SQ6) / 225],
+    [(296 + 169 * SQ6) / 1800, (88 + 7 * SQ6) / 360, (-2 - 3 * SQ6) / 225],
+    [(16 - SQ6) / 36, (16 + SQ6) / 36, 1 / 9]
+  ],
+  // Вложенная оценка ошибки 3-го порядка: e — веса приращений стадий,
+  // gamma — вещественное собственное значение матрицы a^-1
+  e: [-(13 + 7 * SQ6) / 3, (-13 + 7 * SQ6) / 3, -1 / 3],
+  gamma: 30 / (6 + Math.cbrt(81) - Math.cbrt(9)),
+  safety: 0.9,
+  exponent: 1 / 4,
+  hMin: 1e-6,
+  hMax: Infinity,
+  // Итерации Ньютона: не больше maxNewton, сходимость — по взвешенной норме поправки
+  maxNewton: 7,
+  newtonTol: 0.03
+};
+
+const addVectors = (y, z) => y.map((yi, m) => yi + z[m]);
+
+const evaluateStages = (tableau, rhs, t, y, h, Z) =>
+  tableau.c.map((ci, i) => rhs(t + ci * h, addVectors(y, Z[i])));
+
+// Матрица системы Ньютона I - h (a ⊗ J) размера 3n
+const newtonMatrix = (tableau, jacobian, h) => {
+  const n = jacobian.length;
+  const s = tableau.c.length;
+  const matrix = Array.from({ length: s * n }, () => new Array(s * n).fill(0));
+  for (let i = 0; i < s; i++) {
+    for (let j = 0; j < s; j++) {
+      for (let m = 0; m < n; m++) {
+        for (let l = 0; l < n; l++) {
+          matrix[i * n + m][j * n + l] = (i === j && m === l ? 1 : 0) - h * tableau.a[i][j] * jacobian[m][l];
+        }
+      }
+    }
+  }
+  return matrix;
+};
+
+// Приращения стадий Z_i = Y_i - y из уравнений Z_i = h sum a_ij rhs(t + c_j h, y + Z_j).
+// Возвращает { Z, converged }; при расходимости или исчерпании итераций converged = false.
+const solveStages = (tableau, rhs, t, y, h, lu, tolerances) => {
+  const n = y.length;
+  const s = tableau.c.length;
+  let Z = tableau.c.map(() => new Array(n).fill(0));
+  let previous = null;
+
+  for (let iteration = 0; iteration < tableau.maxNewton; iteration++) {
+    const F = evaluateStages(tableau, rhs, t, y, h, Z);
+    const residual = new Array(s * n);
+    for (let i = 0; i < s; i++) {
+      for (let m = 0; m < n; m++) {
+        let sum = 0;
+        for (let j = 0; j < s; j++) sum += tableau.a[i][j] * F[j][m];
+        residual[i * n + m] = h * sum - Z[i][m];
+      }
+    }
+
+    const delta = luSolve(lu, residual);
+    Z = Z.map((zi, i) => zi.map((zim, m) => zim + delta[i * n + m]));
+
+    const deltaNorm = Math.max(...tableau.c.map((_, i) =>
+      scaledErrorNorm(y, y, delta.slice(i * n, (i + 1) * n), tolerances)
+    ));
+    if (!Number.isFinite(deltaNorm)) break;
+    if (deltaNorm <= tableau.newtonTol) return { Z, converged: true };
+    // Поправка не уменьшается — итерации расходятся
+    if (previous !== null && deltaNorm >= previous) break;
+    previous = deltaNorm;
+  }
+
+  return { Z, converged: false };
+};
+
+// Оценка ошибки: (gamma/h I - J)^-1 (f + sum e_i Z_i / h); при refine оценка уточняется
+// ещё одним решением системы с f, вычисленной в y + оценка (грубая оценка завышена для жёстких компонент)
+const estimateError = (tableau, rhs, t, y, f, J, Z, h, refine) => {
+  const lu = luDecompose(J.map((row, m) => row.map((jml, l) => (m === l ? tableau.gamma / h : 0) - jml)));
+  const correction = f.map((_, m) => tableau.e.reduce((sum, ei, i) => sum + ei * Z[i][m], 0) / h);
+  const diff = luSolve(lu, f.map((fm, m) => fm + correction[m]));
+  if (!refine) return diff;
+  const refined = rhs(t, addVectors(y, diff));
+  return luSolve(lu, refined.map((fm, m) => fm + correction[m]));
+};
+
+// Коллокационный многочлен шага: проходит через y в t0 и через стадии Y_i в t0 + c_i h
+const collocation = (tableau, t0, h, y, Z) => {
+  const nodes = [0, ...tableau.c];
+  return (t) => {
+    const theta = (t - t0) / h;
+    const result = y.slice();
+    for (let i = 1; i < nodes.length; i++) {
+      let weight = 1;
+      for (let k = 0; k < nodes.length; k++) {
+        if (k !== i) weight *= (theta - nodes[k]) / (nodes[i] - nodes[k]);
+      }
+      for (let m = 0; m < y.length; m++) result[m] += weight * Z[i - 1][m];
+    }
+    return result;
+  };
+};
+
+// Опции — как у integrateEmbedded; дополнительно jacobian(t, y) — аналитическая
+// матрица Якоби правой части (по умолчанию вычисляется разностями).
+// Шаг, на котором итерации Ньютона не сошлись, отклоняется и повторяется с h / 2.
+export const solveRadau = (rhs, y0, [t0, tEnd], options = {}) => {
+  const tableau = RADAU_IIA;
+  const {
+    h: hInit = 0.01,
+    tol = 1e-6,
+    atol = tol,
+    rtol = 0,
+    norm = 'inf',
+    initialStep,
+    safety = tableau.safety,
+    hMin = tableau.hMin,
+    hLimit = Infinity,
+    breakpoints = [],
+    jacobian,
+    onSegment,
+    onStep
+  } = options;
+  const hMax = Math.min(options.hMax ?? tableau.hMax, hLimit);
+  const tolerances = { atol, rtol, norm };
+
+  const solution = [];
+  let t = t0;
+  let y = y0.slice();
+  let f = rhs(t, y);
+  let h = initialStep === 'auto'
+    ? initialStepSize(tableau, rhs, t, y, f, { ...tolerances, hMax })
+    : Math.min(hInit, hMax);
+  let previousRejected = false;
+
+  solution.push({ t, y: y.slice() });
+
+  while (t < tEnd) {
+    const hProposed = h;
+    const stop = nextStop(breakpoints, t, tEnd);
+    const isLast = t + h >= stop - 1e-12 * Math.max(1, Math.abs(stop));
+    if (isLast) h = stop - t;
+
+    const J = jacobian ? jacobian(t, y) : numericJacobian(rhs, t, y, f);
+    const { Z, converged } = solveStages(tableau, rhs, t, y, h, luDecompose(newtonMatrix(tableau, J, h)), tolerances);
+
+    if (!converged && h > hMin) {
+      if (onStep) onStep({ t, h, err: Infinity, errNorm: Infinity, accepted: false, forced: false });
+      h = Math.max(h / 2, hMin);
+      previousRejected = true;
+      continue;
+    }
+
+    const yNew = addVectors(y, Z[Z.length - 1]);
+
+    let diff = estimateError(tableau, rhs, t, y, f, J, Z, h, false);
+    let errNorm = scaledErrorNorm(y, yNew, diff, tolerances);
+    // На первом шаге и после отказа оценка уточняется
+    if (errNorm > 1 && (previousRejected || solution.length === 1)) {
+      diff = estimateError(tableau, rhs, t, y, f, J, Z, h, true);
+      errNorm = scaledErrorNorm(y, yNew, diff, tolerances);
+    }
+    if (!Number.isFinite(errNorm) || !yNew.every(Number.isFinite)) {
+      throw new DivergenceError(t);
+    }
+    const err = Math.max(...diff.map(Math.abs));
+
+    const accepted = errNorm <= 1 || h <= hMin;
+    if (accepted) {
+      const tNew = isLast ? stop : t + h;
+      if (onSegment) {
+        onSegment({ t0: t, t1: tNew, interpolate: collocation(tableau, t, h, y, Z) });
+      }
+      t = tNew;
+      y = yNew;
+      f = rhs(t, y);
+      solution.push({ t, y: y.slice() });
+    }
+    if (onStep) onStep({ t, h, err, errNorm, accepted, forced: accepted && (errNorm > 1 || !converged) });
+    previousRejected = !accepted;
+
+    const scale = safety * Math.pow(1 / (errNorm || 1e-10), tableau.exponent);
+    h *= Math.min(Math.max(scale, 0.2), 8.0);
+    if (accepted && isLast) h = Math.max(h, hProposed);
+
+    if (h > hMax) h = hMax;
+    if (h < hMin) h = hMin;
+  }
+
+  return solution;
+};
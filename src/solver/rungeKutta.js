@@ -0,0 +1,349 @@
+import { hermite } from './dense';
+import { buildGrid } from './grid';
+
+// Явные методы Рунге-Кутты: вложенные с адаптивным шагом и классические с постоянным шагом.
+// Состояние — вектор произвольной размерности n, правая часть rhs(t, y) возвращает dy/dt.
+
+// Решение ушло на бесконечность: состояние или оценка ошибки шага перестали быть конечными.
+// Без этой проверки NaN в оценке ошибки отклоняет все шаги, и адаптивный метод не завершается.
+export class DivergenceError extends Error {
+  constructor(t) {
+    super(`Решение уходит на бесконечность при t = ${t}`);
+    this.name = 'DivergenceError';
+    this.t = t;
+  }
+}
+
+// Метод Рунге-Кутты-Фельдберга 4(5)
+export const RKF45 = {
+  c: [0, 1 / 4, 3 / 8, 12 / 13, 1, 1 / 2],
+  a: [
+    [],
+    [1 / 4],
+    [3 / 32, 9 / 32],
+    [1932 / 2197, -7200 / 2197, 7296 / 2197],
+    [439 / 216, -8, 3680 / 513, -845 / 4104],
+    [-8 / 27, 2, -3544 / 2565, 1859 / 4104, -11 / 40]
+  ],
+  // 5-го порядка (по нему продолжается решение)
+  b: [16 / 135, 0, 6656 / 12825, 28561 / 56430, -9 / 50, 2 / 55],
+  // 4-го порядка (для оценки ошибки)
+  bHat: [25 / 216, 0, 1408 / 2565, 2197 / 4104, -1 / 5, 0],
+  safety: 0.84,
+  exponent: 1 / 4,
+  hMin: 1e-6,
+  hMax: 0.5
+};
+
+// Метод Дормана-Принса 5(4)
+export const DOPRI54 = {
+  c: [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1],
+  a: [
+    [],
+    [1 / 5],
+    [3 / 40, 9 / 40],
+    [44 / 45, -56 / 15, 32 / 9],
+    [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+    [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+    [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+  ],
+  // Основное решение 5-го порядка
+  b: [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0],
+  // Вспомогательное решение 4-го порядка
+  bHat: [5179 / 57600, 0, 7571 / 16695, 393 / 640, -92097 / 339200, 187 / 2100, 1 / 40],
+  // Непрерывное продолжение 4-го порядка: b_i(θ) = sum_j dense[i][j] θ^(j+1)
+  dense: [
+    [1, -8048581381 / 2820520608, 8663915743 / 2820520608, -12715105075 / 11282082432],
+    [0, 0, 0, 0],
+    [0, 131558114200 / 32700410799, -68118460800 / 10900136933, 87487479700 / 32700410799],
+    [0, -1754552775 / 470086768, 14199869525 / 1410260304, -10690763975 / 1880347072],
+    [0, 127303824393 / 49829197408, -318862633887 / 49829197408, 701980252875 / 199316789632],
+    [0, -282668133 / 205662961, 2019193451 / 616988883, -1453857185 / 822651844],
+    [0, 40617522 / 29380423, -110615467 / 29380423, 69997945 / 29380423]
+  ],
+  // Последняя стадия совпадает с производной в конце шага (FSAL)
+  fsal: true,
+  safety: 0.9,
+  exponent: 1 / 5,
+  hMin: 1e-6,
+  hMax: Infinity
+};
+
+// Метод Богацкого-Шампайна 3(2)
+export const BS32 = {
+  c: [0, 1 / 2, 3 / 4, 1],
+  a: [
+    [],
+    [1 / 2],
+    [0, 3 / 4],
+    [2 / 9, 1 / 3, 4 / 9]
+  ],
+  b: [2 / 9, 1 / 3, 4 / 9, 0],
+  bHat: [7 / 24, 1 / 4, 1 / 3, 1 / 8],
+  fsal: true,
+  safety: 0.9,
+  exponent: 1 / 3,
+  hMin: 1e-6,
+  hMax: Infinity
+};
+
+// Метод Кэша-Карпа 5(4)
+export const CASH_KARP = {
+  c: [0, 1 / 5, 3 / 10, 3 / 5, 1, 7 / 8],
+  a: [
+    [],
+    [1 / 5],
+    [3 / 40, 9 / 40],
+    [3 / 10, -9 / 10, 6 / 5],
+    [-11 / 54, 5 / 2, -70 / 27, 35 / 27],
+    [1631 / 55296, 175 / 512, 575 / 13824, 44275 / 110592, 253 / 4096]
+  ],
+  b: [37 / 378, 0, 250 / 621, 125 / 594, 0, 512 / 1771],
+  bHat: [2825 / 27648, 0, 18575 / 48384, 13525 / 55296, 277 / 14336, 1 / 4],
+  safety: 0.9,
+  exponent: 1 / 5,
+  hMin: 1e-6,
+  hMax: Infinity
+};
+
+// Классический метод Рунге-Кутты 4-го порядка
+export const RK4 = {
+  c: [0, 1 / 2, 1 / 2, 1],
+  a: [
+    [],
+    [1 / 2],
+    [0, 1 / 2],
+    [0, 0, 1]
+  ],
+  b: [1 / 6, 1 / 3, 1 / 3, 1 / 6]
+};
+
+// Метод Хойна 3-го порядка (метод Хойна 2-го порядка — это модифицированный Эйлер, см. euler.js)
+export const HEUN3 = {
+  c: [0, 1 / 3, 2 / 3],
+  a: [
+    [],
+    [1 / 3],
+    [0, 2 / 3]
+  ],
+  b: [1 / 4, 0, 3 / 4]
+};
+
+// Стадии одного шага: k[i] = h * rhs(t + c[i] h, y + sum a[i][j] k[j]);
+// f0 = rhs(t, y) вычислена заранее и общая для всех попыток шага из точки t
+const computeStages = (tableau, rhs, t, y, h, f0) => {
+  const n = y.length;
+  const k = [f0.map(d => h * d)];
+
+  for (let i = 1; i < tableau.c.length; i++) {
+    const yi = y.slice();
+    for (let j = 0; j < i; j++) {
+      const aij = tableau.a[i][j];
+      if (aij === 0) continue;
+      for (let m = 0; m < n; m++) yi[m] += aij * k[j][m];
+    }
+    const dy = rhs(t + tableau.c[i] * h, yi);
+    k.push(dy.map(d => h * d));
+  }
+
+  return k;
+};
+
+const scaleVector = (v, factor) => v.map(vi => vi * factor);
+
+const combine = (y, k, weights) => {
+  const result = y.slice();
+  for (let j = 0; j < weights.length; j++) {
+    if (weights[j] === 0) continue;
+    for (let m = 0; m < y.length; m++) result[m] += weights[j] * k[j][m];
+  }
+  return result;
+};
+
+// Один шаг явного метода без оценки ошибки; f0 = rhs(t, y)
+export const explicitStep = (tableau, rhs, t, y, h, f0) =>
+  combine(y, computeStages(tableau, rhs, t, y, h, f0), tableau.b);
+
+// Интерполянт внутри шага: собственное непрерывное продолжение метода или эрмитов сплайн
+const stepInterpolant = (tableau, t0, t1, y0, y1, f0, f1, k) => {
+  const h = t1 - t0;
+  if (!tableau.dense) {
+    return hermite(t0, t1, y0, y1, f0, f1);
+  }
+  return (t) => {
+    const theta = (t - t0) / h;
+    const weights = tableau.dense.map(row =>
+      row.reduce((sum, p, j) => sum + p * Math.pow(theta, j + 1), 0)
+    );
+    return combine(y0, k, weights);
+  };
+};
+
+// Следующая точка, в которую шаг должен попасть точно: ближайшая точка разрыва или tEnd
+export const nextStop = (breakpoints, t, tEnd) => {
+  for (const point of breakpoints) {
+    if (point > t && point < tEnd) return point;
+  }
+  return tEnd;
+};
+
+// Взвешенная норма ошибки: err_i / (atol + rtol * max(|y_i|, |yNew_i|)),
+// norm = 'inf' — максимум по компонентам, 'rms' — среднеквадратичное значение.
+// Шаг принимается, если норма не больше 1.
+export const scaledErrorNorm = (y, yNew, diff, { atol, rtol, norm }) => {
+  let sum = 0;
+  let max = 0;
+  for (let m = 0; m < y.length; m++) {
+    const scale = atol + rtol * Math.max(Math.abs(y[m]), Math.abs(yNew[m]));
+    const e = Math.abs(diff[m]) / Math.max(scale, 1e-300);
+    sum += e * e;
+    max = Math.max(max, e);
+  }
+  return norm === 'rms' ? Math.sqrt(sum / y.length) : max;
+};
+
+// Автоматический выбор начального шага (Хайрер, Нёрсетт, Ваннер, разд. II.4)
+export const initialStepSize = (tableau, rhs, t0, y0, f0, { atol, rtol, norm, hMax }) => {
+  const d0 = scaledErrorNorm(y0, y0, y0, { atol, rtol, norm });
+  const d1 = scaledErrorNorm(y0, y0, f0, { atol, rtol, norm });
+  let h0 = d0 < 1e-5 || d1 < 1e-5 ? 1e-6 : 0.01 * d0 / d1;
+  h0 = Math.min(h0, hMax);
+
+  const y1 = y0.map((yi, m) => yi + h0 * f0[m]);
+  const f1 = rhs(t0 + h0, y1);
+  const d2 = scaledErrorNorm(y0, y0, f1.map((fi, m) => (fi - f0[m]) / h0), { atol, rtol, norm });
+
+  const d = Math.max(d1, d2);
+  const h1 = d <= 1e-15 ? Math.max(1e-6, h0 * 1e-3) : Math.pow(0.01 / d, tableau.exponent);
+  return Math.min(100 * h0, h1, hMax);
+};
+
+// Опции: h — начальный шаг (initialStep: 'auto' — выбрать автоматически),
+// atol/rtol — абсолютный и относительный допуски (tol — то же, что atol при rtol = 0),
+// norm — 'inf' или 'rms', safety — коэффициент запаса, hMin/hMax — границы шага,
+// hLimit — дополнительное ограничение шага (например, запаздыванием),
+// breakpoints — упорядоченные точки разрывов, на которые шаг попадает точно,
+// onSegment({ t0, t1, interpolate }) — вызывается для каждого принятого шага,
+// onStep({ t, h, err, errNorm, accepted, forced }) — вызывается после каждой попытки шага;
+// forced — шаг принят только потому, что достигнут минимальный шаг hMin.
+export const integrateEmbedded = (tableau, rhs, y0, [t0, tEnd], options = {}) => {
+  const {
+    h: hInit = 0.01,
+    tol = 1e-6,
+    atol = tol,
+    rtol = 0,
+    norm = 'inf',
+    initialStep,
+    safety = tableau.safety,
+    hMin = tableau.hMin,
+    hLimit = Infinity,
+    breakpoints = [],
+    onSegment,
+    onStep
+  } = options;
+  const hMax = Math.min(options.hMax ?? tableau.hMax, hLimit);
+
+  const solution = [];
+  let t = t0;
+  let y = y0.slice();
+  let f = rhs(t, y);
+  let h = initialStep === 'auto'
+    ? initialStepSize(tableau, rhs, t, y, f, { atol, rtol, norm, hMax })
+    : Math.min(hInit, hMax);
+
+  solution.push({ t, y: y.slice() });
+
+  while (t < tEnd) {
+    // Шаг, предложенный регулятором, до усечения к точке остановки
+    const hProposed = h;
+    const stop = nextStop(breakpoints, t, tEnd);
+    const isLast = t + h >= stop - 1e-12 * Math.max(1, Math.abs(stop));
+    if (isLast) h = stop - t;
+
+    const k = computeStages(tableau, rhs, t, y, h, f);
+    const yHigh = combine(y, k, tableau.b);
+    const yLow = combine(y, k, tableau.bHat);
+
+    // Оценка ошибки: err — по абсолютной величине, errNorm — взвешенная допусками
+    const diff = yHigh.map((yi, m) => yi - yLow[m]);
+    const err = Math.max(...diff.map(Math.abs));
+    const errNorm = scaledErrorNorm(y, yHigh, diff, { atol, rtol, norm });
+    if (!Number.isFinite(errNorm) || !yHigh.every(Number.isFinite)) {
+      throw new DivergenceError(t);
+    }
+
+    // На минимальном шаге принимаем шаг, иначе цикл не завершится
+    const accepted = errNorm <= 1 || h <= hMin;
+    if (accepted) {
+      const tNew = isLast ? stop : t + h;
+      const fNew = tableau.fsal ? scaleVector(k[k.length - 1], 1 / h) : rhs(tNew, yHigh);
+      if (onSegment) {
+        const interpolate = stepInterpolant(tableau, t, tNew, y, yHigh, f, fNew, k);
+        onSegment({ t0: t, t1: tNew, interpolate });
+      }
+      t = tNew;
+      y = yHigh;
+      f = fNew;
+      solution.push({ t, y: y.slice() });
+    }
+    if (onStep) onStep({ t, h, err, errNorm, accepted, forced: accepted && errNorm > 1 });
+
+    // Адаптация шага
+    const scale = safety * Math.pow(1 / (errNorm || 1e-10), tableau.exponent);
+    h *= Math.min(Math.max(scale, 0.1), 4.0);
+    // Усечённый шаг не должен тормозить интегрирование после точки остановки
+    if (accepted && isLast) h = Math.max(h, hProposed);
+
+    if (h > hMax) h = hMax;
+    if (h < hMin) h = hMin;
+  }
+
+  return solution;
+};
+
+export const solveRKF = (rhs, y0, tspan, options) =>
+  integrateEmbedded(RKF45, rhs, y0, tspan, options);
+
+export const solveDP = (rhs, y0, tspan, options) =>
+  integrateEmbedded(DOPRI54, rhs, y0, tspan, options);
+
+// Явный метод с постоянным шагом h (узлы — как у solveModifiedEuler).
+// Встроенной оценки ошибки нет, поэтому err в onStep — null.
+export const integrateFixed = (tableau, rhs, y0, [t0, tEnd], options = {}) => {
+  const { hLimit = Infinity, breakpoints = [], onSegment, onStep } = options;
+  const h = Math.min(options.h ?? 0.01, hLimit);
+
+  const solution = [];
+  let t = t0;
+  let y = y0.slice();
+  let f = rhs(t, y);
+
+  solution.push({ t, y: y.slice() });
+
+  for (const tNext of buildGrid(t0, tEnd, h, breakpoints)) {
+    const yNew = explicitStep(tableau, rhs, t, y, tNext - t, f);
+    const fNew = rhs(tNext, yNew);
+    if (onSegment) {
+      onSegment({ t0: t, t1: tNext, interpolate: hermite(t, tNext, y, yNew, f, fNew) });
+    }
+    if (onStep) onStep({ t: tNext, h: tNext - t, err: null, accepted: true, forced: false });
+    t = tNext;
+    y = yNew;
+    f = fNew;
+    solution.push({ t, y: y.slice() });
+  }
+
+  return solution;
+};
+
+export const solveBS32 = (rhs, y0, tspan, options) =>
+  integrateEmbedded(BS32, rhs, y0, tspan, options);
+
+export const solveCashKarp = (rhs, y0, tspan, options) =>
+  integrateEmbedded(CASH_KARP, rhs, y0, tspan, options);
+
+export const solveRK4 = (rhs, y0, tspan, options) =>
+  integrateFixed(RK4, rhs, y0, tspan, options);
+
+export const solveHeun3 = (rhs, y0, tspan, options) =>
+  integrateFixed(HEUN3, rhs, y0, tspan, options);
@@ -0,0 +1,186 @@
+import {
+  solve,
+  solveRKF,
+  solveDP,
+  solveModifiedEuler,
+  solveRadau,
+  listMethods,
+  registerMethod,
+  solveDDE,
+  createDenseOutput,
+  uniformTimes,
+  createEventDetector,
+  TerminalEventError,
+  DivergenceError
+} from './index';
+import { luDecompose, luSolve } from './linalg';
+
+// x'' = -x, x(0) = 1, x'(0) = 0  =>  x(t) = cos t
+const oscillator = (t, [x, v]) => [v, -x];
+
+const last = (solution) => solution[solution.length - 1];
+
+test('adaptive methods reach tEnd exactly and match the exact solution', () => {
+  for (const method of [solveRKF, solveDP, solveRadau]) {
+    const solution = method(oscillator, [1, 0], [0, 2], { h: 0.1, tol: 1e-8 });
+    const end = last(solution);
+    expect(end.t).toBe(2);
+    expect(end.y[0]).toBeCloseTo(Math.cos(2), 6);
+    expect(end.y[1]).toBeCloseTo(-Math.sin(2), 6);
+  }
+});
+
+test('modified Euler is second order', () => {
+  const error = (h) => {
+    const end = last(solveModifiedEuler(oscillator, [1, 0], [0, 1], { h }));
+    expect(end.t).toBe(1);
+    return Math.abs(end.y[0] - Math.cos(1));
+  };
+  const ratio = error(0.02) / error(0.01);
+  expect(ratio).toBeGreaterThan(3.5);
+  expect(ratio).toBeLessThan(4.5);
+});
+
+test('works for state vectors of any dimension', () => {
+  // y' = -k y покомпонентно
+  const rates = [1, 2, 3, 4, 5];
+  const rhs = (t, y) => y.map((yi, i) => -rates[i] * yi);
+  const end = last(solve('dormand-prince', rhs, [1, 1, 1, 1, 1], [0, 1], { h: 0.05 }));
+  end.y.forEach((yi, i) => expect(yi).toBeCloseTo(Math.exp(-rates[i]), 5));
+});
+
+test('unknown method throws', () => {
+  expect(() => solve('leapfrog', oscillator, [1, 0], [0, 1])).toThrow('Неизвестный метод');
+});
+
+test('delay equations follow the method of steps solution', () => {
+  // y'(t) = -y(t - 1), y(t) = 1 при t <= 0:
+  // y = 1 - t на [0, 1], y = 1 - t + (t - 1)^2 / 2 на [1, 2]
+  const rhs = (t, y, [lagged]) => [-lagged[0]];
+  for (const { name: method } of listMethods()) {
+    const solution = solveDDE(method, rhs, [1], () => [1], [1], [0, 2], { h: 0.05 });
+    expect(solution.some(p => p.t === 1)).toBe(true);
+    expect(last(solution).y[0]).toBeCloseTo(-0.5, 4);
+  }
+});
+
+test('zero delay reduces to an ordinary equation', () => {
+  const rhs = (t, y, [lagged]) => [-lagged[0]];
+  const end = last(solveDDE('dormand-prince', rhs, [1], () => [1], [0], [0, 1]));
+  expect(end.y[0]).toBeCloseTo(Math.exp(-1), 6);
+});
+
+test('uniform grid ends exactly at tEnd', () => {
+  expect(uniformTimes(0, 1, 0.25)).toEqual([0, 0.25, 0.5, 0.75, 1]);
+  const times = uniformTimes(0, 1, 0.3);
+  expect(times[times.length - 1]).toBe(1);
+  expect(times).toHaveLength(5);
+});
+
+test('dense output evaluates the solution between steps', () => {
+  for (const method of ['rkf', 'dormand-prince', 'euler', 'radau']) {
+    const dense = createDenseOutput([1, 0], 0);
+    solve(method, oscillator, [1, 0], [0, 3], { h: 0.01, tol: 1e-9, onSegment: dense.onSegment });
+    for (const t of [0, 0.123, 1.5, Math.PI / 2, 3]) {
+      expect(dense.evaluate(t)[0]).toBeCloseTo(Math.cos(t), method === 'euler' ? 4 : 6);
+    }
+  }
+});
+
+test('mixed tolerances scale the error with the solution', () => {
+  // y' = y, y(0) = 1e6: при чисто абсолютном допуске шаги мельче, чем при относительном
+  const growth = (t, y) => [y[0]];
+  const steps = (options) => {
+    let accepted = 0;
+    solveDP(growth, [1e6], [0, 1], { ...options, onStep: (s) => { if (s.accepted) accepted++; } });
+    return accepted;
+  };
+  expect(steps({ atol: 1e-6, rtol: 0 })).toBeGreaterThan(steps({ atol: 0, rtol: 1e-6 }));
+
+  const end = last(solveDP(growth, [1e6], [0, 1], { atol: 0, rtol: 1e-9, norm: 'rms' }));
+  expect(end.y[0] / 1e6).toBeCloseTo(Math.E, 7);
+});
+
+test('automatic initial step adapts to the time scale of the problem', () => {
+  const fast = (t, y) => [-1000 * y[0]];
+  const first = (options) => solveRKF(fast, [1], [0, 0.01], options)[1].t;
+  expect(first({ initialStep: 'auto', atol: 1e-8 })).toBeLessThan(1e-3);
+  expect(last(solveRKF(fast, [1], [0, 0.01], { initialStep: 'auto', atol: 1e-8 })).y[0])
+    .toBeCloseTo(Math.exp(-10), 7);
+});
+
+test('LU solve with pivoting', () => {
+  const matrix = [[0, 2, 1], [1, 1, 1], [2, 1, 0]];
+  const x = luSolve(luDecompose(matrix), [5, 4, 4]);
+  [1, 2, 1].forEach((xi, i) => expect(x[i]).toBeCloseTo(xi, 12));
+  expect(() => luDecompose([[1, 2], [2, 4]])).toThrow('Вырожденная');
+});
+
+test('Radau IIA handles stiff problems with large steps', () => {
+  // y' = -1000 (y - cos t) - sin t: решение y = cos t, жёсткость 1000
+  const stiff = (t, [y]) => [-1000 * (y - Math.cos(t)) - Math.sin(t)];
+  const count = (solver) => {
+    let evaluations = 0;
+    const rhs = (t, y) => { evaluations++; return stiff(t, y); };
+    const end = last(solver(rhs, [1], [0, 10], { h: 0.01, atol: 1e-6 }));
+    expect(end.y[0]).toBeCloseTo(Math.cos(10), 5);
+    return evaluations;
+  };
+  expect(count(solveRadau) * 5).toBeLessThan(count(solveDP));
+});
+
+test('every registered method solves the oscillator and keeps its output on tEnd', () => {
+  for (const entry of listMethods()) {
+    const dense = createDenseOutput([1, 0], 0);
+    const solution = solve(entry.name, oscillator, [1, 0], [0, 2], { h: 0.01, atol: 1e-8, onSegment: dense.onSegment });
+    expect(last(solution).t).toBe(2);
+    expect(last(solution).y[0]).toBeCloseTo(Math.cos(2), entry.order >= 3 ? 6 : 4);
+    expect(dense.evaluate(0.505)[0]).toBeCloseTo(Math.cos(0.505), 4);
+  }
+});
+
+test('methods can be registered at run time', () => {
+  registerMethod({
+    name: 'explicit-euler',
+    label: 'Явный Эйлер',
+    order: 1,
+    adaptive: false,
+    color: 'rgb(0, 0, 0)',
+    solve: (rhs, y0, [t0, tEnd]) => [{ t: t0, y: y0 }, { t: tEnd, y: y0.map((yi, m) => yi + (tEnd - t0) * rhs(t0, y0)[m]) }]
+  });
+  expect(last(solve('explicit-euler', (t, y) => [1], [0], [0, 2])).y).toEqual([2]);
+});
+
+test('events are located inside steps with the requested direction', () => {
+  const detector = createEventDetector([
+    { g: (t, y) => y[0], direction: 0 },
+    { g: (t, y) => y[1], direction: 1 }
+  ], 0, [1, 0]);
+  solve('dormand-prince', oscillator, [1, 0], [0, 10], { h: 0.5, tol: 1e-8, onSegment: detector.onSegment });
+
+  const zeros = detector.occurrences.filter(e => e.index === 0);
+  expect(zeros.map(e => e.direction)).toEqual([-1, 1, -1]);
+  zeros.forEach((e, k) => expect(e.t).toBeCloseTo(Math.PI / 2 + k * Math.PI, 7));
+  // x' = -sin t растёт в t = π (минимум x); t = 0 — начальная точка, не событие
+  const minima = detector.occurrences.filter(e => e.index === 1);
+  expect(minima.map(e => e.t / Math.PI)).toEqual([expect.closeTo(1, 7), expect.closeTo(3, 7)]);
+});
+
+test('terminal events stop the solver', () => {
+  const detector = createEventDetector([{ g: (t, y) => y[0] - 0.5, direction: -1, terminal: true }], 0, [1, 0]);
+  expect(() => solve('rkf', oscillator, [1, 0], [0, 10], { h: 0.1, tol: 1e-8, onSegment: detector.onSegment }))
+    .toThrow(TerminalEventError);
+  expect(detector.occurrences).toHaveLength(1);
+  expect(detector.occurrences[0].t).toBeCloseTo(Math.PI / 3, 6);
+});
+
+test('a finite-time blow-up stops adaptive methods with a divergence error', () => {
+  // x' = x², x(0) = 1  =>  x(t) = 1 / (1 − t) уходит на бесконечность при t = 1
+  const blowUp = (t, [x]) => [x * x];
+  for (const solver of [solveDP, solveRKF]) {
+    expect(() => solver(blowUp, [1], [0, 2], { h: 0.01 })).toThrow(DivergenceError);
+  }
+  // Неявный метод перешагивает полюс x(t), поэтому для него правая часть сама становится NaN
+  const undefinedAfterHalf = (t, [x]) => [t < 0.5 ? x : NaN];
+  expect(() => solveRadau(undefinedAfterHalf, [1], [0, 1], { h: 0.01 })).toThrow(DivergenceError);
+});
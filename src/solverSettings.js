@@ -0,0 +1,55 @@
+import { parseGroup } from './tasks/schema';
+
+// Настройки адаптивных методов; значения по умолчанию повторяют прежнее поведение:
+// абсолютный допуск 1e-6 по максимуму модуля и шаги в границах, заданных методом
+export const SOLVER_SETTINGS_SCHEMA = {
+  atol: { label: 'atol', title: 'Абсолютный допуск', min: 0, input: '1e-6' },
+  rtol: { label: 'rtol', title: 'Относительный допуск', min: 0, input: '0' },
+  norm: {
+    label: 'Норма',
+    title: 'Норма взвешенной ошибки по компонентам',
+    options: { inf: 'максимум модуля', rms: 'среднеквадратичная' },
+    input: 'inf'
+  },
+  hMin: {
+    label: 'h min',
+    title: 'Минимальный шаг (пусто — по умолчанию метода)',
+    min: 0,
+    exclusiveMin: true,
+    optional: true,
+    input: ''
+  },
+  hMax: {
+    label: 'h max',
+    title: 'Максимальный шаг (пусто — по умолчанию метода)',
+    min: 0,
+    exclusiveMin: true,
+    optional: true,
+    input: ''
+  },
+  initialStep: {
+    label: 'Начальный шаг',
+    title: 'Начальный шаг адаптивных методов',
+    options: { step: 'равен h', auto: 'автоматически' },
+    input: 'step'
+  }
+};
+
+export const defaultSolverSettings = () => Object.fromEntries(
+  Object.entries(SOLVER_SETTINGS_SCHEMA).map(([name, field]) => [name, field.input])
+);
+
+// Опции решателя и ошибки ввода по ключам вида "solver.atol"
+export const parseSolverSettings = (inputs) => {
+  const errors = {};
+  const options = parseGroup(SOLVER_SETTINGS_SCHEMA, inputs, 'solver', errors);
+
+  if (!errors['solver.atol'] && !errors['solver.rtol'] && options.atol + options.rtol <= 0) {
+    errors['solver.atol'] = 'Хотя бы один из допусков должен быть положительным';
+  }
+  if (options.hMin !== undefined && options.hMax !== undefined && options.hMin >= options.hMax) {
+    errors['solver.hMin'] = 'h min должен быть меньше h max';
+  }
+
+  return { options, errors };
+};
@@ -0,0 +1,18 @@
+import { defaultSolverSettings, parseSolverSettings } from './solverSettings';
+
+test('default settings leave the step bounds to the method', () => {
+  const { options, errors } = parseSolverSettings(defaultSolverSettings());
+  expect(errors).toEqual({});
+  expect(options.hMin).toBeUndefined();
+  expect(options.hMax).toBeUndefined();
+});
+
+test('the minimum step must be positive and below the maximum step', () => {
+  const parse = (hMin, hMax = '') => parseSolverSettings({ ...defaultSolverSettings(), hMin, hMax });
+
+  expect(parse('0').errors['solver.hMin']).toBe('Значение должно быть больше 0');
+  expect(parse('-1e-6').errors['solver.hMin']).toBe('Значение должно быть больше 0');
+  expect(parse('1e-8').errors).toEqual({});
+  expect(parse('1e-8').options.hMin).toBe(1e-8);
+  expect(parse('0.1', '0.1').errors['solver.hMin']).toBe('h min должен быть меньше h max');
+});
@@ -0,0 +1,62 @@
+import { parseGroup } from './tasks/schema';
+
+// Подпись параметра задачи; у пользовательской задачи схемы параметров нет
+export const paramLabel = (task, name) => task.paramsSchema?.[name]?.label ?? name;
+
+// Настройки развёртки по параметру; варьировать можно числовые параметры задачи,
+// по умолчанию — частоту внешней силы ω
+export const sweepSettingsSchema = (task) => {
+  const numeric = Object.keys(task.params)
+    .filter(name => !task.paramsSchema?.[name]?.options);
+  return {
+    param: {
+      label: 'Параметр',
+      title: 'Изменяемый параметр задачи',
+      options: Object.fromEntries(numeric.map(name => [name, paramLabel(task, name)])),
+      input: numeric.includes('omega') ? 'omega' : numeric[0]
+    },
+    from: { label: 'от', title: 'Начальное значение параметра', input: '1' },
+    to: { label: 'до', title: 'Конечное значение параметра', input: '8' },
+    count: { label: 'Значений', title: 'Число значений параметра', min: 2, input: '50' },
+    transient: {
+      label: 'Переходный процесс',
+      title: 'Число отбрасываемых периодов внешней силы',
+      min: 0,
+      input: '100'
+    },
+    samples: {
+      label: 'Выборка',
+      title: 'Число периодов установившегося режима (точек стробоскопического отображения)',
+      min: 1,
+      input: '30'
+    },
+    direction: {
+      label: 'Проход',
+      title: 'Обратный проход показывает гистерезис и сосуществующие режимы',
+      options: { up: 'в одну сторону', both: 'туда и обратно' },
+      input: 'up'
+    }
+  };
+};
+
+export const defaultSweepSettings = (task) => Object.fromEntries(
+  Object.entries(sweepSettingsSchema(task)).map(([name, field]) => [name, field.input])
+);
+
+// Опции parameterSweep и ошибки ввода по ключам вида "sweep.count"
+export const parseSweepSettings = (task, inputs) => {
+  const errors = {};
+  const options = parseGroup(sweepSettingsSchema(task), inputs, 'sweep', errors);
+
+  const limits = { count: 400, transient: 2000, samples: 500 };
+  Object.entries(limits).forEach(([name, max]) => {
+    if (!errors[`sweep.${name}`] && !(Number.isInteger(options[name]) && options[name] <= max)) {
+      errors[`sweep.${name}`] = `Нужно целое число не больше ${max}`;
+    }
+  });
+  if (!errors['sweep.from'] && !errors['sweep.to'] && options.from === options.to) {
+    errors['sweep.to'] = 'Границы диапазона должны различаться';
+  }
+
+  return { options, errors };
+};
@@ -0,0 +1,144 @@
+import {
+  parseExpression,
+  compileExpression,
+  evaluateConstant,
+  expressionToTex,
+  nameToTex,
+  ExpressionError,
+  FUNCTIONS,
+  CONSTANTS
+} from '../math/expression';
+
+// Пользовательская задача: уравнение вида x^(n) = g(t, x, x', ..., x^(n-1), параметры)
+export const DEFAULT_CUSTOM_PROBLEM = {
+  equation: "x''' = (F0*cos(omega*t) - k*x' - c*x^3)/m",
+  params: 'm = 1, k = 0.2, c = 4, F0 = 1, omega = 2*pi',
+  initialConditions: ['0.5', '0', '-1']
+};
+
+const NAME_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const RESERVED = new Set(['t', 'x', ...Object.keys(FUNCTIONS), ...Object.keys(CONSTANTS)]);
+
+export const derivativeName = (order) => 'x' + "'".repeat(order);
+
+const derivativeTex = (order) => order <= 3 ? derivativeName(order) : `x^{(${order})}`;
+
+const formatValue = (value) => String(Number(value.toPrecision(6)));
+
+// "m = 1, k = 0.2; omega = 2*pi" -> { m: 1, k: 0.2, omega: 6.28... }
+export const parseParams = (source) => {
+  const params = {};
+
+  source.split(/[,;\n]/).map(item => item.trim()).filter(Boolean).forEach(item => {
+    const eq = item.indexOf('=');
+    if (eq < 0) {
+      throw new ExpressionError(`Ожидается «имя = значение»: ${item}`);
+    }
+    const name = item.slice(0, eq).trim();
+    if (!NAME_RE.test(name)) {
+      throw new ExpressionError(`Недопустимое имя параметра «${name}»`);
+    }
+    if (RESERVED.has(name)) {
+      throw new ExpressionError(`Имя «${name}» зарезервировано`);
+    }
+    if (Object.prototype.hasOwnProperty.call(params, name)) {
+      throw new ExpressionError(`Параметр «${name}» задан дважды`);
+    }
+    try {
+      params[name] = evaluateConstant(item.slice(eq + 1));
+    } catch (e) {
+      throw new ExpressionError(`${name}: ${e.message}`);
+    }
+  });
+
+  return params;
+};
+
+// "x''' = ..." -> порядок, AST правой части и скомпилированная f(t, y, params)
+export const parseEquation = (source, paramNames) => {
+  const eq = source.indexOf('=');
+  if (eq < 0 || source.indexOf('=', eq + 1) >= 0) {
+    throw new ExpressionError("Ожидается уравнение вида x''' = ...");
+  }
+
+  const match = /^x('+)$/.exec(source.slice(0, eq).trim());
+  if (!match) {
+    throw new ExpressionError("Левая часть должна быть старшей производной: x', x'', x''', ...");
+  }
+  const order = match[1].length;
+
+  const ast = parseExpression(source.slice(eq + 1), eq + 1);
+  const names = ['t'];
+  for (let i = 0; i < order; i++) names.push(derivativeName(i));
+  names.push(...paramNames);
+  const compiled = compileExpression(ast, names);
+
+  const values = new Array(names.length);
+  const f = (t, y, params) => {
+    values[0] = t;
+    for (let i = 0; i < order; i++) values[1 + i] = y[i];
+    for (let j = 0; j < paramNames.length; j++) values[1 + order + j] = params[paramNames[j]];
+    return compiled(values);
+  };
+
+  return { order, ast, f };
+};
+
+// Конфиг пользовательской задачи в том же формате, что и TASKS, плюс errors.
+// Параметр omega считается частотой периодической внешней силы (см. forcingPeriod в TASKS).
+export const buildCustomTask = (problem) => {
+  const errors = {};
+
+  let params = {};
+  try {
+    params = parseParams(problem.params);
+  } catch (e) {
+    errors.params = e.message;
+  }
+  const paramNames = Object.keys(params);
+
+  let equation = null;
+  try {
+    equation = parseEquation(problem.equation, paramNames);
+  } catch (e) {
+    errors.equation = e.message;
+  }
+
+  const order = equation ? equation.order : Math.max(problem.initialConditions.length, 1);
+  const initialConditionsValues = [];
+  for (let i = 0; i < order; i++) {
+    const source = problem.initialConditions[i] ?? '0';
+    try {
+      initialConditionsValues.push(evaluateConstant(source));
+    } catch (e) {
+      initialConditionsValues.push(NaN);
+      if (!errors.initialConditions) {
+        errors.initialConditions = `${derivativeName(i)}(0): ${e.message}`;
+      }
+    }
+  }
+
+  return {
+    title: "Решение пользовательской задачи Коши",
+    equation: {
+      main: `${derivativeTex(order)}(t) = ${equation ? expressionToTex(equation.ast) : '\\;?'}`,
+      params: (values) => paramNames.length === 0 ? '' :
+        `\\text{где } ${paramNames.map(name => `${nameToTex(name)} = ${formatValue(values[name])}`).join(',\\ ')}`
+    },
+    initialConditions: (ic) => ic
+      .map((value, i) => `${derivativeTex(i)}(0) = ${Number.isNaN(value) ? '?' : formatValue(value)}`)
+      .join(',\\quad '),
+    params,
+    initialConditionsValues,
+    f: equation ? equation.f : () => NaN,
+    initialState: (ic) => ic,
+    forcingPeriod: 'omega' in params ? (p) => 2 * Math.PI / p.omega : undefined,
+    order,
+    errors,
+    yLabel: 'x(t)',
+    solutionLabel: 'Решение',
+    symbol: 'x',
+    unit: '',
+    chartTitle: 'решения'
+  };
+};
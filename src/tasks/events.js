@@ -0,0 +1,58 @@
+import { parseExpression, compileExpression } from '../math/expression';
+import { derivativeName } from './custom';
+
+// События задаются выражением g от t, x, x', x'', ... (x — координата задачи, например θ
+// у гироскопа) и числовых параметров задачи; событие — переход g через ноль.
+// Описание события в задании решателю: { expression, direction, terminal }.
+
+export const EVENT_DIRECTIONS = {
+  any: { label: 'любое', sign: 0 },
+  up: { label: 'g растёт', sign: 1 },
+  down: { label: 'g убывает', sign: -1 }
+};
+
+// По умолчанию: переходы через ноль (период) и точки поворота (амплитуда)
+export const DEFAULT_EVENTS = [
+  { expression: 'x', direction: 'any', terminal: false },
+  { expression: "x'", direction: 'any', terminal: false }
+];
+
+const numericParams = (task) => Object.keys(task.params).filter(name => typeof task.params[name] === 'number');
+
+// g(t, y) по выражению; бросает ExpressionError при ошибке в выражении
+export const compileEvent = (source, task) => {
+  const order = task.initialState(task.initialConditionsValues).length;
+  const paramNames = numericParams(task);
+  const names = ['t'];
+  for (let i = 0; i < order; i++) names.push(derivativeName(i));
+  names.push(...paramNames);
+  const compiled = compileExpression(parseExpression(source), names);
+
+  const values = new Array(names.length);
+  paramNames.forEach((name, j) => { values[1 + order + j] = task.params[name]; });
+  return (t, y) => {
+    values[0] = t;
+    for (let i = 0; i < order; i++) values[1 + i] = y[i];
+    return compiled(values);
+  };
+};
+
+// События для runTask: { g(t, y), direction, terminal }
+export const compileEvents = (specs, task) => specs.map(spec => ({
+  g: compileEvent(spec.expression, task),
+  direction: EVENT_DIRECTIONS[spec.direction].sign,
+  terminal: spec.terminal
+}));
+
+// Ошибки в выражениях событий: { [номер события]: сообщение }
+export const validateEvents = (specs, task) => {
+  const errors = {};
+  specs.forEach((spec, index) => {
+    try {
+      compileEvent(spec.expression, task);
+    } catch (e) {
+      errors[index] = e.message;
+    }
+  });
+  return errors;
+};
@@ -0,0 +1,122 @@
+// Конфиг задач.
+// f(t, y, params) — старшая производная, y = [x, x', x''];
+// initialState(ic) — вектор начального состояния;
+// для уравнений с запаздыванием: delays(params) — запаздывания, history(t, ic, params) —
+// состояние при t < 0, а f получает четвёртым аргументом состояния y(t - tau_j);
+// paramsSchema / initialConditionsSchema — описание полей ввода (см. ./schema);
+// forcingPeriod(params) — период внешней силы, если она периодическая (для развёртки по параметру);
+// invariant — баланс I(t) = value(t, y, params) − ∫₀ᵗ rate(s, y(s), params, lagged) ds, постоянный
+// на точном решении, его запись tex и conservative(params) — параметры, при которых диссипации
+// и внешней силы нет. Уравнения третьего порядка не имеют интеграла энергии; баланс — первый интеграл
+// уравнения: уравнение, один раз проинтегрированное по времени.
+// scene — схема системы для анимации (см. components/SystemAnimation).
+export const TASKS = {
+  beam: {
+    title: "Решение задачи о движении планки",
+    equation: {
+      main: `m \\cdot x'''(t) + k \\cdot x'(t) + c \\cdot x^3(t) = F_0 \\cdot \\cos(\\omega t)`,
+      params: (params) => `\\text{где } m = ${params.m},\\ k = ${params.k},\\ c = ${params.c},\\ F_0 = ${params.F0},\\ \\omega = ${params.omega.toFixed(2)}`
+    },
+    initialConditions: (ic) => `x(0) = ${ic.x},\\quad x'(0) = ${ic.v},\\quad x''(0) = ${ic.a}`,
+    params: {
+      m: 1,
+      k: 0.2,
+      c: 4,
+      F0: 1,
+      omega: 2 * Math.PI
+    },
+    initialConditionsValues: {
+      x: 0.5,
+      v: 0,
+      a: -1
+    },
+    paramsSchema: {
+      m: { label: 'm', title: 'Масса', min: 0, exclusiveMin: true },
+      k: { label: 'k', title: 'Коэффициент демпфирования', min: 0 },
+      c: { label: 'c', title: 'Коэффициент кубической жёсткости' },
+      F0: { label: 'F₀', title: 'Амплитуда внешней силы' },
+      omega: { label: 'ω', title: 'Частота внешней силы', min: 0, exclusiveMin: true, input: '2*pi' }
+    },
+    initialConditionsSchema: {
+      x: { label: 'x(0)' },
+      v: { label: "x'(0)" },
+      a: { label: "x''(0)" }
+    },
+    f: (t, [x, v], p) => (p.F0 * Math.cos(p.omega * t) -
+                          p.k * v -
+                          p.c * Math.pow(x, 3)) / p.m,
+    initialState: (ic) => [ic.x, ic.v, ic.a],
+    forcingPeriod: (p) => 2 * Math.PI / p.omega,
+    invariant: {
+      tex: `I(t) = m x''(t) + k x(t) + c \\int_0^t x^3(s)\\, ds - \\frac{F_0}{\\omega} \\sin(\\omega t)`,
+      value: (t, [x, , a], p) => p.m * a + p.k * x - p.F0 * Math.sin(p.omega * t) / p.omega,
+      rate: (t, [x], p) => -p.c * Math.pow(x, 3),
+      conservative: (p) => p.k === 0 && p.F0 === 0
+    },
+    yLabel: 'Отклонение, м',
+    solutionLabel: 'Отклонение',
+    symbol: 'x',
+    unit: 'м',
+    chartTitle: 'отклонения планки',
+    scene: 'plank'
+  },
+  gyroscope: {
+    title: "Решение задачи о движении гироскопа с задержкой реакции",
+    equation: {
+      main: `m \\cdot \\theta'''(t) + \\alpha \\cdot \\theta''(t) + \\beta \\cdot \\sin(\\theta(t - \\tau)) = 0`,
+      params: (params) => `\\text{где } m = ${params.m},\\ \\alpha = ${params.alpha},\\ \\beta = ${params.beta},\\ \\tau = ${params.tau}`
+    },
+    initialConditions: (ic, params) => `\\theta(0) = ${ic.x},\\quad \\theta'(0) = ${ic.v},\\quad \\theta''(0) = ${ic.a},\\quad ` +
+      (params.history === 'taylor'
+        ? `\\theta(t) = \\theta(0) + \\theta'(0)\\,t + \\theta''(0)\\,t^2 / 2,\\ t < 0`
+        : `\\theta(t) = \\theta(0),\\ t < 0`),
+    params: {
+      m: 3,
+      alpha: 1.2,
+      beta: 9.8,
+      tau: 0.2,
+      history: 'constant'
+    },
+    initialConditionsValues: {
+      x: 0.1,
+      v: 0,
+      a: -1
+    },
+    paramsSchema: {
+      m: { label: 'm', title: 'Момент инерции', min: 0, exclusiveMin: true },
+      alpha: { label: 'α', title: 'Коэффициент демпфирования', min: 0 },
+      beta: { label: 'β', title: 'Коэффициент восстанавливающего момента' },
+      tau: { label: 'τ', title: 'Запаздывание реакции', min: 0 },
+      history: {
+        label: 'θ(t), t < 0',
+        title: 'Предыстория при t < 0',
+        options: { constant: 'постоянная θ(0)', taylor: 'ряд Тейлора по начальным условиям' }
+      }
+    },
+    initialConditionsSchema: {
+      x: { label: 'θ(0)' },
+      v: { label: "θ'(0)" },
+      a: { label: "θ''(0)" }
+    },
+    // Восстанавливающий момент действует с запаздыванием: lagged[0] = [θ, θ', θ''](t - τ)
+    f: (t, [, , a], p, [lagged]) => (-p.alpha * a -
+                                     p.beta * Math.sin(lagged[0])) / p.m,
+    delays: (p) => [p.tau],
+    history: (t, ic, p) => (p.history === 'taylor'
+      ? [ic.x + ic.v * t + ic.a * t * t / 2, ic.v + ic.a * t, ic.a]
+      : [ic.x, 0, 0]),
+    initialState: (ic) => [ic.x, ic.v, ic.a],
+    invariant: {
+      tex: `I(t) = m \\theta''(t) + \\alpha \\theta'(t) + \\beta \\int_0^t \\sin(\\theta(s - \\tau))\\, ds`,
+      value: (t, [, v, a], p) => p.m * a + p.alpha * v,
+      rate: (t, y, p, [lagged]) => -p.beta * Math.sin(lagged[0]),
+      conservative: (p) => p.alpha === 0
+    },
+    yLabel: 'Угловое отклонение, рад',
+    solutionLabel: 'Угловое отклонение',
+    symbol: 'θ',
+    unit: 'рад',
+    chartTitle: 'углового отклонения',
+    scene: 'gyroscope'
+  }
+};
@@ -0,0 +1,219 @@
+import { TASKS } from './index';
+import { buildCustomTask } from './custom';
+import { balanceSeries } from '../analysis/invariants';
+import {
+  solve,
+  solveDDE,
+  createDenseOutput,
+  uniformTimes,
+  createEventDetector,
+  TerminalEventError,
+  DivergenceError,
+  getMethod
+} from '../solver';
+
+// Задание на расчёт передаётся в Web Worker, поэтому содержит только данные:
+// { task, params, initialConditionsValues, customProblem, methods, h, tEnd, outputStep }.
+// Конфиг задачи с функциями восстанавливается на месте.
+export const resolveTask = (job) => (
+  job.task === 'custom'
+    ? buildCustomTask(job.customProblem)
+    : { ...TASKS[job.task], params: job.params, initialConditionsValues: job.initialConditionsValues }
+);
+
+const toPoint = ({ t, y }) => ({ t, x: y[0], v: y[1], a: y[2] });
+
+// Расчёт прерван: превышено предельное число шагов maxSteps
+export class StepLimitError extends Error {
+  constructor(maxSteps, t) {
+    super(`Превышено число шагов (${maxSteps}) при t = ${t}`);
+    this.name = 'StepLimitError';
+    this.t = t;
+  }
+}
+
+// Ошибка означает, что решение уходит на бесконечность: состояние стало бесконечным
+// или для продолжения понадобилось больше maxSteps шагов
+export const isDivergence = (e) => e instanceof StepLimitError || e instanceof DivergenceError;
+
+// Состояние, большее по модулю, считается ушедшим на бесконечность
+const DIVERGENCE_BOUND = 1e10;
+
+// Все компоненты состояния конечны и ограничены DIVERGENCE_BOUND
+export const isBoundedState = (y) => y.every(value => Math.abs(value) < DIVERGENCE_BOUND);
+
+// Запас на отклонённые шаги адаптивных методов и точки разрывов
+const STEP_MARGIN = 10;
+// Минимальный шаг адаптивных методов по умолчанию (hMin таблиц Бутчера и метода Радо)
+const DEFAULT_H_MIN = 1e-6;
+
+// Предельное число шагов метода method на отрезке длины span: метод с постоянным шагом делает span / h шагов,
+// адаптивный — не больше span / hMin, поскольку шаг на hMin принимается всегда. Превышение означает
+// не расходимость, а слишком мелкий шаг, поэтому расходимость определяется отдельно (DivergenceError, isBoundedState)
+export const spanStepLimit = (method, span, { h = 0.01, hMin = DEFAULT_H_MIN } = {}) => (
+  STEP_MARGIN * Math.ceil(span / (getMethod(method).adaptive ? hMin : h))
+);
+
+// Повторные решения одной задачи (итерации стрельбы и подбора, реализации Монте-Карло): решение, которому нужно
+// во столько раз больше шагов, чем уже найденному, считается уходящим на бесконечность
+const STEP_GROWTH = 20;
+
+// Предел числа шагов следующего решения по статистике stats найденного решения, не больше limit
+export const grownStepLimit = (limit, { accepted, rejected }) => (
+  Math.min(limit, STEP_GROWTH * Math.max(accepted + rejected, 50))
+);
+
+// Статистика решателя: число принятых/отклонённых шагов, вычислений правой части,
+// шагов, принятых на hMin (forced), и история принятых шагов { t, h, err }
+const createStats = () => ({
+  accepted: 0,
+  rejected: 0,
+  forced: 0,
+  evaluations: 0,
+  steps: []
+});
+
+// Итоговые характеристики по истории шагов и времени расчёта в мс
+const summarizeStats = (stats, wallTime) => {
+  const hs = stats.steps.map(step => step.h);
+  const last = stats.steps[stats.steps.length - 1];
+  // Без разворачивания в аргументы: в длинном расчёте шагов больше, чем допускает стек вызова
+  return {
+    ...stats,
+    hMin: hs.length ? hs.reduce((min, h) => Math.min(min, h), Infinity) : null,
+    hMax: hs.length ? hs.reduce((max, h) => Math.max(max, h), -Infinity) : null,
+    hMean: hs.length ? hs.reduce((sum, h) => sum + h, 0) / hs.length : null,
+    finalError: last ? last.err : null,
+    wallTime
+  };
+};
+
+const DEFAULT_MAX_STEPS = 5e6;
+
+// Решение задачи одним методом на равномерной сетке вывода.
+// onProgress({ t, tEnd, accepted, rejected, points }) вызывается не чаще раза
+// в progressInterval мс; points — новые узлы сетки вывода с прошлого вызова.
+// Настройки адаптивных методов (atol, rtol, norm, hMin, hMax, initialStep) передаются решателю.
+// y0 — начальное состояние вместо заданного начальными условиями задачи;
+// maxSteps — предельное число попыток шага, после которого расчёт прерывается StepLimitError
+// (решение, уходящее на бесконечность, иначе продолжается на hMin неограниченно долго);
+// по умолчанию — с запасом для tEnd / hMin шагов при наибольшем конечном времени.
+// events — события { g(t, y), direction, terminal } (см. solver/events); терминальное событие
+// останавливает расчёт, и последняя точка вывода приходится на момент события.
+// invariant — вычислить баланс задачи (task.invariant) в узлах вывода;
+// times — моменты вывода по возрастанию в пределах [0, tEnd] вместо равномерной сетки с шагом outputStep.
+// Возвращает { points, stats, finalState, events, stoppedAt, invariant }, см. createStats;
+// finalState — вектор состояния в конце расчёта, events — найденные события { index, direction, t, x, v, a },
+// stoppedAt — момент терминального события или null, invariant — [{ t, value }] или null.
+export const runTask = (task, method, {
+  h, tol, atol, rtol, norm, hMin, hMax, initialStep,
+  tEnd, outputStep, onProgress, progressInterval = 100, y0: initialState, maxSteps = DEFAULT_MAX_STEPS, events = [],
+  invariant = false, times: outputTimes
+}) => {
+  const { params, initialConditionsValues: ic } = task;
+  const y0 = initialState ? initialState.slice() : task.initialState(ic);
+  const stats = createStats();
+
+  // Правая часть в виде системы первого порядка для y = [x, x', x'', ...];
+  // lagged — запаздывающие состояния для задач с запаздыванием
+  const rhs = (t, y, lagged) => {
+    stats.evaluations++;
+    return [...y.slice(1), task.f(t, y, params, lagged)];
+  };
+
+  const dense = createDenseOutput(y0, 0);
+  const detector = createEventDetector(events, 0, y0);
+  const times = outputTimes || uniformTimes(0, tEnd, outputStep);
+  const points = [];
+  let tReached = 0;
+  let lastReport = Date.now();
+
+  const flush = (tLimit) => {
+    let end = points.length;
+    while (end < times.length && times[end] <= tLimit) end++;
+    const fresh = dense.resample(times.slice(points.length, end)).map(toPoint);
+    points.push(...fresh);
+    return fresh;
+  };
+
+  const options = {
+    h,
+    tol,
+    atol,
+    rtol,
+    norm,
+    hMin,
+    hMax,
+    initialStep,
+    onSegment: (segment) => {
+      dense.onSegment(segment);
+      tReached = segment.t1;
+      if (events.length) detector.onSegment(segment);
+    },
+    onStep: (step) => {
+      if (step.accepted) {
+        stats.accepted++;
+        if (step.forced) stats.forced++;
+        stats.steps.push({ t: step.t, h: step.h, err: step.err });
+      } else {
+        stats.rejected++;
+      }
+      if (stats.accepted + stats.rejected > maxSteps) {
+        throw new StepLimitError(maxSteps, step.t);
+      }
+      if (onProgress && Date.now() - lastReport >= progressInterval) {
+        lastReport = Date.now();
+        onProgress({
+          t: tReached,
+          tEnd,
+          accepted: stats.accepted,
+          rejected: stats.rejected,
+          points: flush(tReached)
+        });
+      }
+    }
+  };
+
+  const started = performance.now();
+
+  let stoppedAt = null;
+  try {
+    if (task.delays) {
+      solveDDE(method, rhs, y0, (t) => task.history(t, ic, params), task.delays(params), [0, tEnd], options);
+    } else {
+      solve(method, rhs, y0, [0, tEnd], options);
+    }
+  } catch (e) {
+    if (!(e instanceof TerminalEventError)) throw e;
+    stoppedAt = e.occurrence.t;
+  }
+
+  if (stoppedAt === null) {
+    flush(Infinity);
+  } else {
+    flush(stoppedAt);
+    if (!points.length || points[points.length - 1].t < stoppedAt) {
+      points.push(toPoint({ t: stoppedAt, y: dense.evaluate(stoppedAt) }));
+    }
+  }
+  const monitored = invariant && task.invariant ? balanceSeries(
+    {
+      value: (t, y) => task.invariant.value(t, y, params),
+      rate: (t, y) => task.invariant.rate(t, y, params, task.delays && task.delays(params).map(tau => (
+        t - tau <= 0 ? task.history(t - tau, ic, params) : dense.evaluate(t - tau)
+      )))
+    },
+    points.map(p => p.t),
+    dense.segments,
+    dense.evaluate
+  ) : null;
+
+  return {
+    points,
+    stats: summarizeStats(stats, performance.now() - started),
+    finalState: dense.evaluate(stoppedAt ?? tEnd),
+    events: detector.occurrences.map(({ index, direction, t, y }) => ({ index, direction, ...toPoint({ t, y }) })),
+    stoppedAt,
+    invariant: monitored
+  };
+};
@@ -0,0 +1,142 @@
+import { TASKS } from './index';
+import { isDivergence, resolveTask, runTask } from './run';
+import { compileEvents, validateEvents } from './events';
+import { eventSummary } from '../analysis/events';
+import { maxDrift } from '../analysis/invariants';
+import { getMethod } from '../solver';
+
+const beamJob = {
+  task: 'beam',
+  params: TASKS.beam.params,
+  initialConditionsValues: TASKS.beam.initialConditionsValues,
+  h: 0.01,
+  tEnd: 1,
+  outputStep: 0.1
+};
+
+test('streams progress chunks that add up to the full output', () => {
+  const task = resolveTask(beamJob);
+  const chunks = [];
+  const result = runTask(task, 'rkf', {
+    ...beamJob,
+    progressInterval: 0,
+    onProgress: (progress) => chunks.push(...progress.points)
+  });
+
+  expect(result.points.map(p => p.t)).toEqual([0, 0.1, 0.2, 0.30000000000000004, 0.4, 0.5,
+    0.6000000000000001, 0.7000000000000001, 0.8, 0.9, 1]);
+  expect(chunks).toEqual(result.points.slice(0, chunks.length));
+  expect(result.stats.accepted).toBe(result.stats.steps.length);
+  expect(result.stats.evaluations).toBe(5 * (result.stats.accepted + result.stats.rejected) + 1 + result.stats.accepted);
+  expect(result.stats.hMin).toBeLessThanOrEqual(result.stats.hMean);
+  expect(result.stats.hMean).toBeLessThanOrEqual(result.stats.hMax);
+});
+
+test('resolves custom problems from their text description', () => {
+  const task = resolveTask({
+    task: 'custom',
+    customProblem: { equation: "x'' = -w^2*x", params: 'w = 2', initialConditions: ['1', '0'] }
+  });
+  const { points } = runTask(task, 'dormand-prince', { h: 0.01, tEnd: 1, outputStep: 0.5 });
+  expect(points[2].x).toBeCloseTo(Math.cos(2), 6);
+});
+
+test('events give the period and amplitude and terminal events end the output', () => {
+  const task = resolveTask({
+    task: 'custom',
+    customProblem: { equation: "x'' = -w^2*x", params: 'w = 2', initialConditions: ['1.5', '0'] }
+  });
+  const specs = [
+    { expression: 'x', direction: 'any', terminal: false },
+    { expression: "x'", direction: 'any', terminal: false },
+    { expression: 't - 2*pi/w*3.1', direction: 'up', terminal: true }
+  ];
+  expect(validateEvents(specs, task)).toEqual({});
+  const result = runTask(task, 'dormand-prince', {
+    h: 0.01, atol: 1e-10, tEnd: 20, outputStep: 0.5, events: compileEvents(specs, task)
+  });
+
+  expect(result.stoppedAt).toBeCloseTo(3.1 * Math.PI, 9);
+  expect(result.points[result.points.length - 1].t).toBe(result.stoppedAt);
+  expect(result.finalState[0]).toBeCloseTo(1.5 * Math.cos(6.2 * Math.PI), 6);
+
+  const zeros = eventSummary(result.events.filter(e => e.index === 0));
+  expect(zeros.count).toBe(6);
+  expect(zeros.period).toBeCloseTo(Math.PI, 6);
+  expect(eventSummary(result.events.filter(e => e.index === 1)).amplitude).toBeCloseTo(1.5, 6);
+});
+
+test('event expressions are checked against the task variables', () => {
+  const task = resolveTask(beamJob);
+  const errors = validateEvents([
+    { expression: "x'' - omega", direction: 'any', terminal: false },
+    { expression: 'y + 1', direction: 'any', terminal: false }
+  ], task);
+  expect(Object.keys(errors)).toEqual(['1']);
+  expect(errors[1]).toMatch('Неизвестная переменная');
+});
+
+test('the balance of the task is conserved up to the method error', () => {
+  for (const name of ['beam', 'gyroscope']) {
+    const task = resolveTask({ ...beamJob, task: name, params: TASKS[name].params, initialConditionsValues: TASKS[name].initialConditionsValues });
+    const drift = (method, options) => maxDrift(runTask(task, method, { ...beamJob, ...options, invariant: true }).invariant);
+    expect(drift('dormand-prince', { atol: 1e-11 })).toBeLessThan(1e-8);
+    expect(drift('euler', {})).toBeGreaterThan(100 * drift('dormand-prince', { atol: 1e-11 }));
+  }
+  expect(runTask(resolveTask(beamJob), 'rkf', beamJob).invariant).toBeNull();
+});
+
+test('without damping and forcing the first integral is a conserved quantity of the system', () => {
+  const cases = [
+    ['beam', { ...TASKS.beam.params, k: 0, F0: 0 }],
+    ['gyroscope', { ...TASKS.gyroscope.params, alpha: 0 }]
+  ];
+  for (const [name, params] of cases) {
+    expect(TASKS[name].invariant.conservative(TASKS[name].params)).toBe(false);
+    expect(TASKS[name].invariant.conservative(params)).toBe(true);
+    const task = resolveTask({ task: name, params, initialConditionsValues: TASKS[name].initialConditionsValues });
+    const balance = runTask(task, 'dormand-prince', { h: 0.01, tEnd: 2, outputStep: 0.1, atol: 1e-11, invariant: true }).invariant;
+    expect(maxDrift(balance)).toBeLessThan(1e-8);
+    // I(0) = m x''(0): интегральное слагаемое в начальный момент равно нулю
+    expect(balance[0].value).toBeCloseTo(params.m * TASKS[name].initialConditionsValues.a, 12);
+  }
+});
+
+test('the residual of the first integral drifts with the order of the method', () => {
+  for (const name of ['beam', 'gyroscope']) {
+    const task = resolveTask({ task: name, params: TASKS[name].params, initialConditionsValues: TASKS[name].initialConditionsValues });
+    const drift = (method, h) => maxDrift(runTask(task, method, { h, tEnd: 2, outputStep: 0.1, invariant: true }).invariant);
+    const drifts = ['euler', 'heun3', 'rk4'].map(method => {
+      const { order } = getMethod(method);
+      const [coarse, fine] = [drift(method, 0.01), drift(method, 0.005)];
+      // Уменьшение шага вдвое уменьшает дрейф в 2^p раз
+      expect(Math.log2(coarse / fine)).toBeCloseTo(order, 0);
+      return coarse;
+    });
+    expect(drifts[0]).toBeGreaterThan(10 * drifts[1]);
+    expect(drifts[1]).toBeGreaterThan(10 * drifts[2]);
+  }
+});
+
+test('a diverging solution ends the run with a divergence error instead of hanging', () => {
+  const task = resolveTask({
+    task: 'custom',
+    customProblem: { equation: "x' = x^2", params: '', initialConditions: ['1'] }
+  });
+  for (const method of ['dormand-prince', 'rkf']) {
+    let error = null;
+    try {
+      runTask(task, method, { h: 0.01, tEnd: 2, outputStep: 0.1 });
+    } catch (e) {
+      error = e;
+    }
+    expect(isDivergence(error)).toBe(true);
+  }
+});
+
+test('step statistics of a run with hundreds of thousands of steps', () => {
+  const { stats } = runTask(TASKS.beam, 'rk4', { h: 1e-5, tEnd: 3, outputStep: 0.5 });
+  expect(stats.accepted).toBeGreaterThan(2e5);
+  expect(stats.hMin).toBeGreaterThan(0);
+  expect(stats.hMax).toBeCloseTo(1e-5, 10);
+});
@@ -0,0 +1,68 @@
+import { evaluateConstant } from '../math/expression';
+
+// Поле схемы: { label, title, min, exclusiveMin, input, options, optional }.
+// input — строка по умолчанию для поля ввода, если значение удобнее задать выражением;
+// options — варианты выбора { значение: подпись } вместо числового поля;
+// optional — пустая строка допустима и даёт undefined.
+
+const toInputs = (schema, values) => Object.fromEntries(
+  Object.entries(schema).map(([name, field]) => [name, field.input ?? String(values[name])])
+);
+
+// Строки для полей ввода со значениями задачи по умолчанию
+export const defaultInputs = (task) => ({
+  params: toInputs(task.paramsSchema, task.params),
+  initialConditions: toInputs(task.initialConditionsSchema, task.initialConditionsValues)
+});
+
+export const parseField = (field, source) => {
+  if (field.options) {
+    if (!(source in field.options)) {
+      throw new Error(`Недопустимое значение «${source}»`);
+    }
+    return source;
+  }
+
+  if (field.optional && source.trim() === '') {
+    return undefined;
+  }
+
+  const value = evaluateConstant(source);
+  if (field.min !== undefined) {
+    if (field.exclusiveMin && value <= field.min) {
+      throw new Error(`Значение должно быть больше ${field.min}`);
+    }
+    if (value < field.min) {
+      throw new Error(`Значение не может быть меньше ${field.min}`);
+    }
+  }
+  return value;
+};
+
+// Значения группы полей; ошибки записываются в errors по ключам вида "params.m"
+export const parseGroup = (schema, inputs, group, errors) => {
+  const values = {};
+  Object.entries(schema).forEach(([name, field]) => {
+    try {
+      values[name] = parseField(field, inputs[name]);
+    } catch (e) {
+      values[name] = NaN;
+      errors[`${group}.${name}`] = e.message;
+    }
+  });
+  return values;
+};
+
+// Конфиг задачи с введёнными значениями и ошибками ввода
+export const applyInputs = (task, inputs) => {
+  const errors = {};
+
+  return {
+    ...task,
+    params: parseGroup(task.paramsSchema, inputs.params, 'params', errors),
+    initialConditionsValues: parseGroup(
+      task.initialConditionsSchema, inputs.initialConditions, 'initialConditions', errors
+    ),
+    errors
+  };
+};
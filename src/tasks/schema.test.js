@@ -0,0 +1,33 @@
+import { TASKS } from './index';
+import { applyInputs, defaultInputs } from './schema';
+
+test('default inputs reproduce the task values', () => {
+  for (const task of Object.values(TASKS)) {
+    const applied = applyInputs(task, defaultInputs(task));
+    expect(applied.errors).toEqual({});
+    expect(applied.params).toEqual(task.params);
+    expect(applied.initialConditionsValues).toEqual(task.initialConditionsValues);
+  }
+});
+
+test('validates edited values against the schema', () => {
+  const inputs = defaultInputs(TASKS.beam);
+  inputs.params.m = '0';
+  inputs.params.k = '-1';
+  inputs.params.c = '2*c';
+  inputs.initialConditions.v = '0.25';
+
+  const applied = applyInputs(TASKS.beam, inputs);
+  expect(Object.keys(applied.errors)).toEqual(['params.m', 'params.k', 'params.c']);
+  expect(applied.params.m).toBeNaN();
+  expect(applied.initialConditionsValues.v).toBe(0.25);
+});
+
+test('the forcing frequency must be positive', () => {
+  const inputs = defaultInputs(TASKS.beam);
+  inputs.params.omega = '0';
+  expect(applyInputs(TASKS.beam, inputs).errors).toEqual({ 'params.omega': 'Значение должно быть больше 0' });
+
+  inputs.params.omega = '1e-3';
+  expect(applyInputs(TASKS.beam, inputs).errors).toEqual({});
+});
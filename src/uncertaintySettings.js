@@ -0,0 +1,61 @@
+import { parseGroup } from './tasks/schema';
+import { evaluateConstant } from './math/expression';
+import { DISTRIBUTIONS } from './analysis/uncertainty';
+
+// Настройки метода Монте-Карло: число реализаций и зерно генератора случайных чисел
+export const UNCERTAINTY_SETTINGS_SCHEMA = {
+  samples: {
+    label: 'Реализаций',
+    title: 'Число случайных реализаций N',
+    min: 1,
+    input: '200'
+  },
+  seed: {
+    label: 'Зерно',
+    title: 'Зерно генератора случайных чисел: с одним и тем же зерном получаются одни и те же реализации',
+    min: 0,
+    input: '1'
+  }
+};
+
+export const defaultUncertaintySettings = () => Object.fromEntries(
+  Object.entries(UNCERTAINTY_SETTINGS_SCHEMA).map(([name, field]) => [name, field.input])
+);
+
+// Распределение величины по умолчанию — не меняется
+export const DEFAULT_DISTRIBUTION = { kind: 'fixed', width: '' };
+
+// Опции monteCarlo и ошибки ввода по ключам вида "uncertainty.samples", "uncertainty.params.k";
+// distributions — { "params.k": { kind, width } } для величин quantities (см. analysis/fitting)
+export const parseUncertaintySettings = (inputs, distributions, quantities) => {
+  const errors = {};
+  const options = parseGroup(UNCERTAINTY_SETTINGS_SCHEMA, inputs, 'uncertainty', errors);
+
+  if (!errors['uncertainty.samples'] && !(Number.isInteger(options.samples) && options.samples <= 2000)) {
+    errors['uncertainty.samples'] = 'Нужно целое число не больше 2000';
+  }
+  if (!errors['uncertainty.seed'] && !(Number.isInteger(options.seed) && options.seed < 2 ** 32)) {
+    errors['uncertainty.seed'] = 'Нужно целое число от 0 до 2³² − 1';
+  }
+
+  const varied = [];
+  let invalid = false;
+  quantities.forEach(({ group, name }) => {
+    const key = `${group}.${name}`;
+    const { kind, width } = distributions[key] || DEFAULT_DISTRIBUTION;
+    if (kind === 'fixed' || !(kind in DISTRIBUTIONS)) return;
+    try {
+      const value = evaluateConstant(width);
+      if (!(value > 0)) throw new Error('Разброс должен быть больше 0');
+      varied.push({ group, name, kind, width: value });
+    } catch (e) {
+      errors[`uncertainty.${key}`] = e.message;
+      invalid = true;
+    }
+  });
+  if (!varied.length && !invalid) {
+    errors['uncertainty.count'] = 'Задайте распределение хотя бы одной величины';
+  }
+
+  return { options: { ...options, distributions: varied }, errors };
+};
@@ -0,0 +1,16 @@
+import { runSolverJob } from '../solverJob';
+
+// Worker для тестов: то же задание выполняется в основном потоке
+export const createSolverWorker = () => {
+  let terminated = false;
+  const worker = {
+    onmessage: null,
+    postMessage: (job) => setTimeout(() => runSolverJob(job, (message) => {
+      if (!terminated && worker.onmessage) worker.onmessage({ data: message });
+    })),
+    terminate: () => {
+      terminated = true;
+    }
+  };
+  return worker;
+};
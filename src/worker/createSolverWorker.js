@@ -0,0 +1,3 @@
+// Отдельный модуль: import.meta недоступен в тестах, там используется __mocks__
+export const createSolverWorker = () =>
+  new Worker(new URL('./solver.worker.js', import.meta.url));
@@ -0,0 +1,6 @@
+import { runSolverJob } from './solverJob';
+
+/* eslint-disable no-restricted-globals */
+self.onmessage = ({ data: job }) => {
+  runSolverJob(job, (message) => self.postMessage(message));
+};
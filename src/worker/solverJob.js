@@ -0,0 +1,135 @@
+import { resolveTask, runTask } from '../tasks/run';
+import { compileEvents } from '../tasks/events';
+import { convergenceStudy } from '../analysis/convergence';
+import { parameterSweep } from '../analysis/sweep';
+import { chaosAnalysis } from '../analysis/chaos';
+import { verificationStudy } from '../analysis/verification';
+import { shootingMethod } from '../analysis/shooting';
+import { fitParameters } from '../analysis/fitting';
+import { sensitivityAnalysis } from '../analysis/sensitivity';
+import { monteCarlo } from '../analysis/uncertainty';
+
+// Расчёт решения всеми запрошенными методами по очереди с поиском событий job.events
+// и контролем баланса задачи. Ошибка одного метода (например, решение уходит на бесконечность
+// при большом шаге) не прерывает остальные: она передаётся в done вместо результата.
+const runSolve = (job, task, post) => {
+  const events = compileEvents(job.events || [], task);
+  job.methods.forEach((method, index) => {
+    let result;
+    try {
+      result = runTask(task, method, {
+        ...job,
+        events,
+        invariant: true,
+        onProgress: (progress) => post({ type: 'progress', method, index, ...progress })
+      });
+    } catch (e) {
+      post({ type: 'done', method, index, error: e.message });
+      return;
+    }
+    post({ type: 'done', method, index, ...result });
+  });
+};
+
+const runConvergence = (job, task, post) => {
+  const result = convergenceStudy(task, job.methods, {
+    ...job,
+    onProgress: (progress) => post({ type: 'studyProgress', ...progress })
+  });
+  post({ type: 'convergence', result });
+};
+
+// Развёртка по параметру выбранным методом job.method с настройками job.sweep
+const runSweep = (job, task, post) => {
+  const result = parameterSweep(task, job.method, {
+    ...job,
+    ...job.sweep,
+    onProgress: (progress) => post({ type: 'sweepProgress', ...progress })
+  });
+  post({ type: 'sweep', result });
+};
+
+// Сечение Пуанкаре и показатель Ляпунова выбранным методом job.method с настройками job.chaos
+const runChaos = (job, task, post) => {
+  const result = chaosAnalysis(task, job.method, {
+    ...job,
+    ...job.chaos,
+    onProgress: (progress) => post({ type: 'chaosProgress', ...progress })
+  });
+  post({ type: 'chaos', result });
+};
+
+// Ошибки всех методов относительно точного решения тестовой задачи job.verification.problem
+const runVerification = (job, task, post) => {
+  const result = verificationStudy(task, job.methods, {
+    ...job,
+    ...job.verification,
+    onProgress: (progress) => post({ type: 'verificationProgress', ...progress })
+  });
+  post({ type: 'verification', result });
+};
+
+// Краевая задача методом стрельбы выбранным методом job.method с условиями job.bvp
+const runShooting = (job, task, post) => {
+  const result = shootingMethod(task, job.method, {
+    ...job,
+    ...job.bvp,
+    onProgress: (progress) => post({ type: 'shootingProgress', ...progress })
+  });
+  post({ type: 'shooting', result });
+};
+
+// Подбор величин job.fit.fitted по измерениям job.measurements выбранным методом job.method
+const runFit = (job, task, post) => {
+  const result = fitParameters(task, job.method, {
+    ...job,
+    ...job.fit,
+    onProgress: (progress) => post({ type: 'fitProgress', ...progress })
+  });
+  post({ type: 'fit', result });
+};
+
+// Чувствительность решения выбранного метода job.method к величинам job.sensitivity.quantities
+const runSensitivity = (job, task, post) => {
+  const result = sensitivityAnalysis(task, job.method, {
+    ...job,
+    ...job.sensitivity,
+    onProgress: (progress) => post({ type: 'sensitivityProgress', ...progress })
+  });
+  post({ type: 'sensitivity', result });
+};
+
+// Распространение неопределённости методом Монте-Карло выбранным методом job.method
+// с распределениями и числом реализаций job.uncertainty
+const runUncertainty = (job, task, post) => {
+  const result = monteCarlo(task, job.method, {
+    ...job,
+    ...job.uncertainty,
+    onProgress: (progress) => post({ type: 'uncertaintyProgress', ...progress })
+  });
+  post({ type: 'uncertainty', result });
+};
+
+const MODES = {
+  solve: runSolve,
+  convergence: runConvergence,
+  sweep: runSweep,
+  chaos: runChaos,
+  verification: runVerification,
+  shooting: runShooting,
+  fit: runFit,
+  sensitivity: runSensitivity,
+  uncertainty: runUncertainty
+};
+
+// Выполнение задания в режиме job.mode.
+// post — отправка сообщений: промежуточные результаты, затем finished или error.
+export const runSolverJob = (job, post) => {
+  try {
+    const task = resolveTask(job);
+    MODES[job.mode || 'solve'](job, task, post);
+    post({ type: 'finished' });
+  } catch (e) {
+    post({ type: 'error', message: e.message });
+  }
+};
@@ -0,0 +1,24 @@
+import { runSolverJob } from './solverJob';
+
+test('an error of one method does not discard the results of the others', () => {
+  const messages = [];
+  // x' = x², x(0) = 1 уходит на бесконечность при t = 1: адаптивный метод останавливается с ошибкой,
+  // методы с постоянным шагом доходят до конца отрезка
+  runSolverJob({
+    task: 'custom',
+    customProblem: { equation: "x' = x^2", params: '', initialConditions: ['1'] },
+    methods: ['rk4', 'dormand-prince', 'heun3'],
+    h: 0.01,
+    tEnd: 2,
+    outputStep: 0.5
+  }, (message) => messages.push(message));
+
+  const done = messages.filter(m => m.type === 'done');
+  expect(done.map(m => m.method)).toEqual(['rk4', 'dormand-prince', 'heun3']);
+  expect(done[0].points).toHaveLength(5);
+  expect(done[1].error).toMatch('уходит на бесконечность');
+  expect(done[1].points).toBeUndefined();
+  expect(done[2].points).toHaveLength(5);
+  expect(messages.map(m => m.type)).not.toContain('error');
+  expect(messages[messages.length - 1].type).toBe('finished');
+});
@@ -0,0 +1,26 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { createSolverWorker } from './createSolverWorker';
+
+// Запуск заданий в Web Worker: start(job, onMessage) прерывает предыдущее задание
+export const useSolverWorker = () => {
+  const workerRef = useRef(null);
+
+  const stop = useCallback(() => {
+    if (workerRef.current) {
+      workerRef.current.terminate();
+      workerRef.current = null;
+    }
+  }, []);
+
+  const start = useCallback((job, onMessage) => {
+    stop();
+    const worker = createSolverWorker();
+    workerRef.current = worker;
+    worker.onmessage = ({ data }) => onMessage(data);
+    worker.postMessage(job);
+  }, [stop]);
+
+  useEffect(() => stop, [stop]);
+
+  return { start, stop };
+};